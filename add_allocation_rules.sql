@@ -0,0 +1,40 @@
+-- Move department allocation keywords from code into admin-managed rules
+-- Run this once against your database after add_department_jurisdictions.sql
+
+-- STEP 1: Rules. Keywords are a JSON array of { "term", "weight" }; a report that
+-- contains any of the exclusion words never matches the rule.
+CREATE TABLE Allocation_Rules (
+    RuleId INT IDENTITY(1,1) PRIMARY KEY,
+    Name NVARCHAR(100) NOT NULL,
+    DepartmentId INT NOT NULL,             -- target; its offices with the same name are routed by jurisdiction
+    Keywords NVARCHAR(MAX) NOT NULL,
+    ExcludeWords NVARCHAR(MAX) NOT NULL DEFAULT '[]',
+    IsActive BIT NOT NULL DEFAULT 1,
+    CreatedBy INT NULL,
+    UpdatedBy INT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    UpdatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_AllocationRules_Department FOREIGN KEY (DepartmentId) REFERENCES Departments(DepartmentId),
+    CONSTRAINT FK_AllocationRules_CreatedBy FOREIGN KEY (CreatedBy) REFERENCES Users(UserId),
+    CONSTRAINT FK_AllocationRules_UpdatedBy FOREIGN KEY (UpdatedBy) REFERENCES Users(UserId),
+    CONSTRAINT CK_AllocationRules_Keywords CHECK (ISJSON(Keywords) = 1),
+    CONSTRAINT CK_AllocationRules_ExcludeWords CHECK (ISJSON(ExcludeWords) = 1)
+);
+GO
+
+-- STEP 2: The keyword lists that used to be hard-coded, for departments that exist.
+-- Multi-word keywords weigh as many points as they have words, as before.
+INSERT INTO Allocation_Rules (Name, DepartmentId, Keywords)
+SELECT seed.Name, d.DepartmentId, seed.Keywords
+FROM (VALUES
+    ('Sanitation', 'Sanitation', '[{"term":"garbage","weight":1},{"term":"trash","weight":1},{"term":"waste","weight":1},{"term":"dustbin","weight":1},{"term":"litter","weight":1},{"term":"cleaning","weight":1},{"term":"sweep","weight":1},{"term":"dump","weight":1},{"term":"overflow","weight":1},{"term":"sewage","weight":1},{"term":"drain","weight":1},{"term":"drainage","weight":1}]'),
+    ('Water', 'Water', '[{"term":"water","weight":1},{"term":"leak","weight":1},{"term":"pipeline","weight":1},{"term":"tap","weight":1},{"term":"no water","weight":2},{"term":"low pressure","weight":2},{"term":"sewer","weight":1}]'),
+    ('Electricity', 'Electricity', '[{"term":"electric","weight":1},{"term":"streetlight","weight":1},{"term":"street light","weight":2},{"term":"light","weight":1},{"term":"power","weight":1},{"term":"outage","weight":1},{"term":"transformer","weight":1},{"term":"wire","weight":1},{"term":"pole","weight":1}]'),
+    ('Roads', 'PWD', '[{"term":"road","weight":1},{"term":"pothole","weight":1},{"term":"street","weight":1},{"term":"footpath","weight":1},{"term":"sidewalk","weight":1},{"term":"zebra","weight":1},{"term":"speed breaker","weight":2},{"term":"traffic","weight":1},{"term":"signage","weight":1},{"term":"pavement","weight":1},{"term":"asphalt","weight":1},{"term":"highway","weight":1}]')
+) AS seed (Name, DepartmentName, Keywords)
+CROSS APPLY (
+    SELECT TOP 1 DepartmentId FROM Departments WHERE DepartmentName = seed.DepartmentName ORDER BY DepartmentId
+) AS d;
+
+-- Verify
+SELECT r.RuleId, r.Name, d.DepartmentName, r.IsActive FROM Allocation_Rules r JOIN Departments d ON r.DepartmentId = d.DepartmentId;
@@ -0,0 +1,11 @@
+-- Record who chose the department of each new issue, so only human choices train the classifier
+-- Run this once against your database after add_issue_triage.sql
+
+-- STEP 1: REPORTER when the reporter picked the department, AUTOMATIC when the rules,
+-- the classifier or the nearest office did. Issues from before this migration stay NULL:
+-- it is not known which of them were allocated automatically.
+ALTER TABLE Issues ADD AllocationSource NVARCHAR(20) NULL;
+GO
+
+-- Verify
+SELECT AllocationSource, COUNT(*) AS Issues FROM Issues GROUP BY AllocationSource;
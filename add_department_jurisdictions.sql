@@ -0,0 +1,23 @@
+-- Add jurisdiction areas to departments, used to route new issues by location
+-- Run this once against your database after add_rate_limits.sql
+
+-- Jurisdiction as a GeoJSON Polygon or MultiPolygon, coordinates as [longitude, latitude]
+ALTER TABLE Departments ADD
+    JurisdictionName NVARCHAR(100) NULL,   -- e.g. 'Ward 12'
+    JurisdictionGeoJson NVARCHAR(MAX) NULL,
+    JurisdictionUpdatedAt DATETIME2 NULL;
+GO
+
+ALTER TABLE Departments ADD CONSTRAINT CK_Departments_JurisdictionGeoJson
+    CHECK (JurisdictionGeoJson IS NULL OR ISJSON(JurisdictionGeoJson) = 1);
+GO
+
+-- Example: a rectangular ward for department 1
+-- UPDATE Departments
+-- SET JurisdictionName = 'Ward 12',
+--     JurisdictionGeoJson = '{"type":"Polygon","coordinates":[[[77.20,28.60],[77.25,28.60],[77.25,28.65],[77.20,28.65],[77.20,28.60]]]}',
+--     JurisdictionUpdatedAt = SYSUTCDATETIME()
+-- WHERE DepartmentId = 1;
+
+-- Verify
+SELECT DepartmentId, DepartmentName, JurisdictionName, LEN(JurisdictionGeoJson) as GeoJsonLength FROM Departments;
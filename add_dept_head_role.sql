@@ -0,0 +1,18 @@
+-- Add the DEPT_HEAD role
+-- Run this once against your database after add_user_administration.sql
+--
+-- Roles live in application code (services/permissionService.js); Users.Role is a
+-- plain NVARCHAR(20) and needs no change. If you added your own CHECK constraint
+-- on Users.Role, widen it to include 'DEPT_HEAD' as well.
+
+-- STEP 1: Allow DEPT_HEAD invitations
+ALTER TABLE User_Invitations DROP CONSTRAINT CK_UserInvitations_Role;
+ALTER TABLE User_Invitations ADD CONSTRAINT CK_UserInvitations_Role
+    CHECK (Role IN ('STAFF', 'DEPT_HEAD', 'ADMIN'));
+GO
+
+-- STEP 2 (optional): Promote an existing department admin to department head
+-- UPDATE Users SET Role = 'DEPT_HEAD' WHERE UserId = <id> AND DepartmentId IS NOT NULL;
+
+-- Verify
+SELECT Role, COUNT(*) AS Users FROM Users GROUP BY Role;
@@ -0,0 +1,17 @@
+-- Add individual staff assignment to issues
+-- Run this once against your database after schema.sql
+
+-- STEP 1: Assignee columns on Issues
+ALTER TABLE Issues ADD AssignedTo INT NULL;
+ALTER TABLE Issues ADD AssignedAt DATETIME2 NULL;
+
+ALTER TABLE Issues
+ADD CONSTRAINT FK_Issues_AssignedTo FOREIGN KEY (AssignedTo) REFERENCES Users(UserId);
+
+-- STEP 2: Index for the "my tasks" staff view
+CREATE INDEX IX_Issues_AssignedTo ON Issues (AssignedTo, Status);
+
+-- Verify
+SELECT TOP 10 IssueId, DepartmentId, Status, AssignedTo, AssignedAt
+FROM Issues
+ORDER BY CreatedAt DESC;
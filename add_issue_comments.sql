@@ -0,0 +1,20 @@
+-- Add comment threads on issues (citizens, staff and admins)
+-- Run this once against your database after add_issue_upvotes.sql
+
+CREATE TABLE Issue_Comments (
+    CommentId INT IDENTITY(1,1) PRIMARY KEY,
+    IssueId UNIQUEIDENTIFIER NOT NULL,
+    AuthorId INT NOT NULL,
+    AuthorRole NVARCHAR(20) NOT NULL,      -- role of the author when the comment was posted
+    Body NVARCHAR(1000) NULL,
+    ImageUrl NVARCHAR(500) NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_Comments_Issue FOREIGN KEY (IssueId) REFERENCES Issues(IssueId),
+    CONSTRAINT FK_Comments_Author FOREIGN KEY (AuthorId) REFERENCES Users(UserId),
+    CONSTRAINT CK_Comments_Content CHECK (Body IS NOT NULL OR ImageUrl IS NOT NULL)
+);
+
+CREATE INDEX IX_Comments_Issue ON Issue_Comments (IssueId, CreatedAt);
+
+-- Verify
+SELECT TOP 10 * FROM Issue_Comments ORDER BY CreatedAt DESC;
@@ -0,0 +1,23 @@
+-- Add issue followers (duplicate reports linked to an existing issue)
+-- Run this once against your database after add_sla_escalation.sql
+
+-- STEP 1: Users following an issue other than its original reporter
+CREATE TABLE Issue_Followers (
+    FollowerId INT IDENTITY(1,1) PRIMARY KEY,
+    IssueId UNIQUEIDENTIFIER NOT NULL,
+    UserId INT NOT NULL,
+    Source NVARCHAR(20) NOT NULL,          -- REPORT: filed a duplicate report
+    Note NVARCHAR(500) NULL,               -- description given with a duplicate report
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_Followers_Issue FOREIGN KEY (IssueId) REFERENCES Issues(IssueId),
+    CONSTRAINT FK_Followers_User FOREIGN KEY (UserId) REFERENCES Users(UserId),
+    CONSTRAINT UQ_Followers_IssueUser UNIQUE (IssueId, UserId)
+);
+
+CREATE INDEX IX_Followers_User ON Issue_Followers (UserId);
+
+-- STEP 2: Speed up nearby open issue lookups
+CREATE INDEX IX_Issues_Location ON Issues (Latitude, Longitude) INCLUDE (Status, DepartmentId, CreatedAt);
+
+-- Verify
+SELECT TOP 10 * FROM Issue_Followers ORDER BY CreatedAt DESC;
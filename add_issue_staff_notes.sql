@@ -0,0 +1,17 @@
+-- Add internal staff-only notes on issues (never shown to citizens)
+-- Run this once against your database after add_issue_comments.sql
+
+CREATE TABLE Issue_Staff_Notes (
+    NoteId INT IDENTITY(1,1) PRIMARY KEY,
+    IssueId UNIQUEIDENTIFIER NOT NULL,
+    AuthorId INT NOT NULL,
+    Body NVARCHAR(1000) NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_StaffNotes_Issue FOREIGN KEY (IssueId) REFERENCES Issues(IssueId),
+    CONSTRAINT FK_StaffNotes_Author FOREIGN KEY (AuthorId) REFERENCES Users(UserId)
+);
+
+CREATE INDEX IX_StaffNotes_Issue ON Issue_Staff_Notes (IssueId, CreatedAt);
+
+-- Verify
+SELECT TOP 10 * FROM Issue_Staff_Notes ORDER BY CreatedAt DESC;
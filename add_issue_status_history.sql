@@ -0,0 +1,31 @@
+-- Add issue status history and last-updated tracking
+-- Run this once against your database after add_issue_assignment.sql
+
+-- STEP 1: Track when an issue last changed
+ALTER TABLE Issues ADD UpdatedAt DATETIME2 NULL;
+GO
+
+UPDATE Issues SET UpdatedAt = CreatedAt WHERE UpdatedAt IS NULL;
+
+-- STEP 2: One row per status change
+CREATE TABLE Issue_Status_History (
+    HistoryId INT IDENTITY(1,1) PRIMARY KEY,
+    IssueId UNIQUEIDENTIFIER NOT NULL,
+    FromStatus NVARCHAR(20) NULL,          -- NULL for the initial REPORTED entry
+    ToStatus NVARCHAR(20) NOT NULL,
+    ChangedBy INT NULL,                    -- NULL for system changes
+    Note NVARCHAR(500) NULL,
+    ChangedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_StatusHistory_Issue FOREIGN KEY (IssueId) REFERENCES Issues(IssueId),
+    CONSTRAINT FK_StatusHistory_User FOREIGN KEY (ChangedBy) REFERENCES Users(UserId)
+);
+
+CREATE INDEX IX_StatusHistory_Issue ON Issue_Status_History (IssueId, ChangedAt);
+
+-- STEP 3: Backfill an initial entry for existing issues so every timeline has a start
+INSERT INTO Issue_Status_History (IssueId, FromStatus, ToStatus, ChangedBy, Note, ChangedAt)
+SELECT IssueId, NULL, 'REPORTED', CitizenId, NULL, CreatedAt
+FROM Issues;
+
+-- Verify
+SELECT TOP 10 * FROM Issue_Status_History ORDER BY ChangedAt DESC;
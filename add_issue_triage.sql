@@ -0,0 +1,50 @@
+-- Add allocation confidence, the manual triage queue and labelled allocation examples
+-- Run this once against your database after add_allocation_rules.sql
+
+-- STEP 1: How sure automatic allocation was (0-1); NULL when the reporter chose the department
+ALTER TABLE Issues ADD AllocationConfidence DECIMAL(4,3) NULL;
+
+-- STEP 2: Issues waiting for an admin to route them. The issue keeps the office it was
+-- provisionally allocated to, but staff do not see it in their task lists until it is routed.
+CREATE TABLE Issue_Triage (
+    IssueId UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,
+    Reason NVARCHAR(20) NOT NULL,              -- NO_MATCH | TIE | LOW_CONFIDENCE
+    Confidence DECIMAL(4,3) NOT NULL,
+    SuggestedDepartmentId INT NULL,            -- office chosen automatically
+    SuggestedRuleId INT NULL,                  -- winning allocation rule, if any
+    Status NVARCHAR(10) NOT NULL DEFAULT 'PENDING',   -- PENDING | ROUTED
+    RoutedDepartmentId INT NULL,
+    RoutedBy INT NULL,
+    RoutedAt DATETIME2 NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_IssueTriage_Issue FOREIGN KEY (IssueId) REFERENCES Issues(IssueId),
+    CONSTRAINT FK_IssueTriage_Suggested FOREIGN KEY (SuggestedDepartmentId) REFERENCES Departments(DepartmentId),
+    CONSTRAINT FK_IssueTriage_Routed FOREIGN KEY (RoutedDepartmentId) REFERENCES Departments(DepartmentId),
+    CONSTRAINT FK_IssueTriage_RoutedBy FOREIGN KEY (RoutedBy) REFERENCES Users(UserId),
+    CONSTRAINT CK_IssueTriage_Status CHECK (Status IN ('PENDING', 'ROUTED'))
+);
+
+CREATE INDEX IX_IssueTriage_Status ON Issue_Triage (Status, CreatedAt);
+
+-- STEP 3: Manual routing decisions, kept as labelled examples for improving the rules.
+-- The report text is copied so an example stays as it was labelled.
+CREATE TABLE Allocation_Examples (
+    ExampleId INT IDENTITY(1,1) PRIMARY KEY,
+    IssueId UNIQUEIDENTIFIER NULL,
+    IssueType NVARCHAR(100) NULL,
+    Description NVARCHAR(MAX) NOT NULL,
+    DepartmentId INT NOT NULL,                 -- the label: where the issue belongs
+    SuggestedDepartmentId INT NULL,
+    SuggestedRuleId INT NULL,
+    Confidence DECIMAL(4,3) NULL,
+    LabelledBy INT NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_AllocationExamples_Issue FOREIGN KEY (IssueId) REFERENCES Issues(IssueId),
+    CONSTRAINT FK_AllocationExamples_Department FOREIGN KEY (DepartmentId) REFERENCES Departments(DepartmentId),
+    CONSTRAINT FK_AllocationExamples_LabelledBy FOREIGN KEY (LabelledBy) REFERENCES Users(UserId)
+);
+
+CREATE INDEX IX_AllocationExamples_Department ON Allocation_Examples (DepartmentId, CreatedAt);
+
+-- Verify
+SELECT t.Status, COUNT(*) AS Issues FROM Issue_Triage t GROUP BY t.Status;
@@ -0,0 +1,19 @@
+-- Add citizen upvotes ("me too") on issues
+-- Run this once against your database after add_issue_followers.sql
+-- Supporters are also added to Issue_Followers with Source = 'UPVOTE'
+
+CREATE TABLE Issue_Upvotes (
+    UpvoteId INT IDENTITY(1,1) PRIMARY KEY,
+    IssueId UNIQUEIDENTIFIER NOT NULL,
+    UserId INT NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_Upvotes_Issue FOREIGN KEY (IssueId) REFERENCES Issues(IssueId),
+    CONSTRAINT FK_Upvotes_User FOREIGN KEY (UserId) REFERENCES Users(UserId),
+    CONSTRAINT UQ_Upvotes_IssueUser UNIQUE (IssueId, UserId)   -- each citizen counts once
+);
+
+-- Verify
+SELECT IssueId, COUNT(*) as Upvotes
+FROM Issue_Upvotes
+GROUP BY IssueId
+ORDER BY Upvotes DESC;
@@ -0,0 +1,21 @@
+-- Add per-user in-app notifications
+-- Run this once against your database after add_issue_staff_notes.sql
+
+CREATE TABLE Notifications (
+    NotificationId INT IDENTITY(1,1) PRIMARY KEY,
+    UserId INT NOT NULL,
+    Type NVARCHAR(30) NOT NULL,            -- STATUS_CHANGED | ISSUE_ASSIGNED | NEW_COMMENT | SLA_ESCALATION
+    Title NVARCHAR(200) NOT NULL,
+    Body NVARCHAR(500) NULL,
+    IssueId UNIQUEIDENTIFIER NULL,
+    IsRead BIT NOT NULL DEFAULT 0,
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    ReadAt DATETIME2 NULL,
+    CONSTRAINT FK_Notifications_User FOREIGN KEY (UserId) REFERENCES Users(UserId),
+    CONSTRAINT FK_Notifications_Issue FOREIGN KEY (IssueId) REFERENCES Issues(IssueId)
+);
+
+CREATE INDEX IX_Notifications_UserUnread ON Notifications (UserId, IsRead, CreatedAt DESC);
+
+-- Verify
+SELECT TOP 10 * FROM Notifications ORDER BY CreatedAt DESC;
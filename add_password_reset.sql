@@ -0,0 +1,13 @@
+-- Add password reset and change support
+-- Run this once against your database after add_phone_verification.sql
+
+-- TokenVersion is embedded in every JWT; bumping it invalidates all tokens issued before
+ALTER TABLE Users ADD
+    TokenVersion INT NOT NULL DEFAULT 0,
+    PasswordChangedAt DATETIME2 NULL;
+GO
+
+-- Phone_Otps.Purpose now also takes PASSWORD_RESET (no schema change needed)
+
+-- Verify
+SELECT UserId, FullName, phone_number, TokenVersion, PasswordChangedAt FROM Users;
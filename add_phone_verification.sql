@@ -0,0 +1,26 @@
+-- Add phone number verification by OTP
+-- Run this once against your database after add_user_devices.sql
+
+-- STEP 1: Verification state on Users
+ALTER TABLE Users ADD PhoneVerifiedAt DATETIME2 NULL;
+GO
+
+-- Existing accounts predate verification: treat them as verified
+UPDATE Users SET PhoneVerifiedAt = CreatedAt WHERE PhoneVerifiedAt IS NULL;
+
+-- STEP 2: One-time passwords (only the hash of the code is stored)
+CREATE TABLE Phone_Otps (
+    OtpId INT IDENTITY(1,1) PRIMARY KEY,
+    PhoneNumber NVARCHAR(15) NOT NULL,
+    Purpose NVARCHAR(20) NOT NULL,         -- SIGNUP | PASSWORD_RESET
+    CodeHash NVARCHAR(255) NOT NULL,
+    Attempts INT NOT NULL DEFAULT 0,
+    ExpiresAt DATETIME2 NOT NULL,
+    ConsumedAt DATETIME2 NULL,             -- set when verified or superseded by a newer code
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+);
+
+CREATE INDEX IX_PhoneOtps_PhonePurpose ON Phone_Otps (PhoneNumber, Purpose, CreatedAt DESC);
+
+-- Verify
+SELECT UserId, FullName, phone_number, PhoneVerifiedAt FROM Users;
@@ -0,0 +1,25 @@
+-- Add anonymous reporting and the log of revealed citizen contact details
+-- Run this once against your database after add_dept_head_role.sql
+
+-- STEP 1: Reporters can hide their name and phone number from staff
+ALTER TABLE Issues ADD IsAnonymous BIT NOT NULL DEFAULT 0;
+GO
+
+-- STEP 2: Every time a reporter's phone number is shown unmasked to someone else
+CREATE TABLE Contact_Reveal_Log (
+    RevealId INT IDENTITY(1,1) PRIMARY KEY,
+    ViewerId INT NOT NULL,                 -- who saw the number
+    CitizenId INT NOT NULL,                -- whose number it was
+    IssueId UNIQUEIDENTIFIER NOT NULL,
+    Context NVARCHAR(30) NOT NULL,         -- ISSUE_DETAILS | STAFF_TASKS
+    RevealedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_ContactReveal_Viewer FOREIGN KEY (ViewerId) REFERENCES Users(UserId),
+    CONSTRAINT FK_ContactReveal_Citizen FOREIGN KEY (CitizenId) REFERENCES Users(UserId),
+    CONSTRAINT FK_ContactReveal_Issue FOREIGN KEY (IssueId) REFERENCES Issues(IssueId)
+);
+
+CREATE INDEX IX_ContactReveal_Citizen ON Contact_Reveal_Log (CitizenId, RevealedAt DESC);
+CREATE INDEX IX_ContactReveal_Viewer ON Contact_Reveal_Log (ViewerId, RevealedAt DESC);
+
+-- Verify
+SELECT TOP 10 IssueId, CitizenId, IsAnonymous FROM Issues ORDER BY CreatedAt DESC;
@@ -0,0 +1,13 @@
+-- Add shared rate limit counters (only needed with RATE_LIMIT_STORE=database)
+-- Run this once against your database after add_two_factor.sql
+
+CREATE TABLE Rate_Limit_Counters (
+    CounterKey NVARCHAR(200) NOT NULL PRIMARY KEY,   -- e.g. LOGIN_IP:203.0.113.7, login-lock:account:1234567890
+    Hits INT NOT NULL,
+    ResetAt DATETIME2 NOT NULL                       -- when the window or lockout ends
+);
+
+CREATE INDEX IX_RateLimitCounters_ResetAt ON Rate_Limit_Counters (ResetAt);
+
+-- Verify
+SELECT TOP 10 CounterKey, Hits, ResetAt FROM Rate_Limit_Counters ORDER BY ResetAt DESC;
@@ -0,0 +1,24 @@
+-- Add refresh tokens and server-side sessions
+-- Run this once against your database after add_password_reset.sql
+
+-- Each login starts a session (SessionId); every refresh rotates the token within it.
+-- Only the SHA-256 hash of a refresh token is stored.
+CREATE TABLE Refresh_Tokens (
+    TokenId INT IDENTITY(1,1) PRIMARY KEY,
+    UserId INT NOT NULL,
+    SessionId NVARCHAR(36) NOT NULL,
+    TokenHash NVARCHAR(64) NOT NULL,
+    ExpiresAt DATETIME2 NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    RevokedAt DATETIME2 NULL,
+    RevokedReason NVARCHAR(20) NULL,       -- ROTATED | LOGOUT | REUSE_DETECTED | PASSWORD_CHANGED | ADMIN_REVOKED
+    ReplacedByTokenId INT NULL,
+    CONSTRAINT FK_RefreshTokens_User FOREIGN KEY (UserId) REFERENCES Users(UserId),
+    CONSTRAINT UQ_RefreshTokens_Hash UNIQUE (TokenHash)
+);
+
+CREATE INDEX IX_RefreshTokens_Session ON Refresh_Tokens (SessionId);
+CREATE INDEX IX_RefreshTokens_User ON Refresh_Tokens (UserId, RevokedAt);
+
+-- Verify
+SELECT TOP 10 TokenId, UserId, SessionId, ExpiresAt, RevokedAt, RevokedReason FROM Refresh_Tokens ORDER BY CreatedAt DESC;
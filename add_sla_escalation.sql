@@ -0,0 +1,50 @@
+-- Add SLA targets, issue priority and escalation tracking
+-- Run this once against your database after add_issue_status_history.sql
+
+-- STEP 1: SLA targets per department, optionally per issue type
+-- A row with IssueType = NULL is the department default
+CREATE TABLE Sla_Policies (
+    SlaPolicyId INT IDENTITY(1,1) PRIMARY KEY,
+    DepartmentId INT NOT NULL,
+    IssueType NVARCHAR(100) NULL,
+    AcknowledgeHours INT NOT NULL,
+    ResolveHours INT NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    UpdatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_SlaPolicies_Department FOREIGN KEY (DepartmentId) REFERENCES Departments(DepartmentId),
+    CONSTRAINT CK_SlaPolicies_Hours CHECK (AcknowledgeHours > 0 AND ResolveHours >= AcknowledgeHours)
+);
+
+CREATE UNIQUE INDEX UX_SlaPolicies_DeptType ON Sla_Policies (DepartmentId, IssueType);
+
+-- STEP 2: Priority and escalation state on Issues
+ALTER TABLE Issues ADD Priority NVARCHAR(10) NOT NULL DEFAULT 'NORMAL';
+ALTER TABLE Issues ADD EscalationLevel INT NOT NULL DEFAULT 0;   -- 0 none, 1 acknowledge overdue, 2 resolve overdue
+ALTER TABLE Issues ADD LastEscalatedAt DATETIME2 NULL;
+
+-- STEP 3: One row per escalation
+CREATE TABLE Issue_Escalations (
+    EscalationId INT IDENTITY(1,1) PRIMARY KEY,
+    IssueId UNIQUEIDENTIFIER NOT NULL,
+    EscalationLevel INT NOT NULL,
+    Reason NVARCHAR(30) NOT NULL,          -- ACKNOWLEDGE_OVERDUE | RESOLVE_OVERDUE
+    PreviousPriority NVARCHAR(10) NOT NULL,
+    NewPriority NVARCHAR(10) NOT NULL,
+    NotifiedCount INT NOT NULL DEFAULT 0,
+    EscalatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_Escalations_Issue FOREIGN KEY (IssueId) REFERENCES Issues(IssueId)
+);
+
+CREATE INDEX IX_Escalations_Issue ON Issue_Escalations (IssueId, EscalatedAt);
+
+-- STEP 4 (optional): Example targets
+-- INSERT INTO Sla_Policies (DepartmentId, IssueType, AcknowledgeHours, ResolveHours)
+-- SELECT DepartmentId, 'streetlight', 24, 72 FROM Departments WHERE DepartmentName = 'Electricity';
+-- INSERT INTO Sla_Policies (DepartmentId, IssueType, AcknowledgeHours, ResolveHours)
+-- SELECT DepartmentId, NULL, 24, 120 FROM Departments;
+
+-- Verify
+SELECT p.*, d.DepartmentName
+FROM Sla_Policies p
+JOIN Departments d ON p.DepartmentId = d.DepartmentId
+ORDER BY d.DepartmentName, p.IssueType;
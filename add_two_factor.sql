@@ -0,0 +1,39 @@
+-- Add TOTP two-factor authentication with recovery codes
+-- Run this once against your database after add_privacy_controls.sql
+
+-- STEP 1: Two-factor state on Users (secrets are stored encrypted)
+ALTER TABLE Users ADD
+    TwoFactorSecret NVARCHAR(255) NULL,          -- set while two-factor is enabled
+    TwoFactorPendingSecret NVARCHAR(255) NULL,   -- set during enrolment until the first code is confirmed
+    TwoFactorEnabledAt DATETIME2 NULL,
+    TwoFactorLastStep BIGINT NULL;               -- last accepted TOTP time step, so a code works only once
+GO
+
+-- STEP 2: Single-use recovery codes (only the hash is stored)
+CREATE TABLE Two_Factor_Recovery_Codes (
+    CodeId INT IDENTITY(1,1) PRIMARY KEY,
+    UserId INT NOT NULL,
+    CodeHash NVARCHAR(64) NOT NULL,
+    UsedAt DATETIME2 NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_RecoveryCodes_User FOREIGN KEY (UserId) REFERENCES Users(UserId)
+);
+
+CREATE INDEX IX_RecoveryCodes_User ON Two_Factor_Recovery_Codes (UserId, UsedAt);
+
+-- STEP 3: Login challenges issued after the password check, before the second factor
+CREATE TABLE Login_Challenges (
+    ChallengeId INT IDENTITY(1,1) PRIMARY KEY,
+    UserId INT NOT NULL,
+    TokenHash NVARCHAR(64) NOT NULL,
+    Attempts INT NOT NULL DEFAULT 0,
+    ExpiresAt DATETIME2 NOT NULL,
+    ConsumedAt DATETIME2 NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_LoginChallenges_User FOREIGN KEY (UserId) REFERENCES Users(UserId)
+);
+
+CREATE UNIQUE INDEX IX_LoginChallenges_TokenHash ON Login_Challenges (TokenHash);
+
+-- Verify
+SELECT UserId, FullName, Role, TwoFactorEnabledAt FROM Users;
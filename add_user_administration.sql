@@ -0,0 +1,26 @@
+-- Add account deactivation, forced password resets and the admin audit log
+-- Run this once against your database after add_user_invitations.sql
+
+-- STEP 1: Account state on Users
+ALTER TABLE Users ADD
+    DeactivatedAt DATETIME2 NULL,
+    PasswordResetRequired BIT NOT NULL DEFAULT 0;
+GO
+
+-- STEP 2: Audit log of admin actions
+CREATE TABLE Admin_Audit_Log (
+    AuditId INT IDENTITY(1,1) PRIMARY KEY,
+    ActorId INT NOT NULL,
+    Action NVARCHAR(40) NOT NULL,          -- ROLE_CHANGED | DEPARTMENT_CHANGED | USER_DEACTIVATED | ...
+    TargetUserId INT NULL,
+    Details NVARCHAR(MAX) NULL,            -- JSON: previous and new values, reason
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_AdminAuditLog_Actor FOREIGN KEY (ActorId) REFERENCES Users(UserId),
+    CONSTRAINT FK_AdminAuditLog_Target FOREIGN KEY (TargetUserId) REFERENCES Users(UserId)
+);
+
+CREATE INDEX IX_AdminAuditLog_Target ON Admin_Audit_Log (TargetUserId, CreatedAt DESC);
+CREATE INDEX IX_AdminAuditLog_Actor ON Admin_Audit_Log (ActorId, CreatedAt DESC);
+
+-- Verify
+SELECT UserId, FullName, Role, DepartmentId, DeactivatedAt, PasswordResetRequired FROM Users;
@@ -0,0 +1,18 @@
+-- Add push notification device registrations
+-- Run this once against your database after add_notifications.sql
+
+CREATE TABLE User_Devices (
+    DeviceId INT IDENTITY(1,1) PRIMARY KEY,
+    UserId INT NOT NULL,
+    Platform NVARCHAR(10) NOT NULL,        -- ANDROID | IOS | WEB
+    PushToken NVARCHAR(512) NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    LastSeenAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT FK_UserDevices_User FOREIGN KEY (UserId) REFERENCES Users(UserId),
+    CONSTRAINT UQ_UserDevices_Token UNIQUE (PushToken)   -- a token belongs to one user at a time
+);
+
+CREATE INDEX IX_UserDevices_User ON User_Devices (UserId);
+
+-- Verify
+SELECT TOP 10 * FROM User_Devices ORDER BY LastSeenAt DESC;
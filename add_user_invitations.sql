@@ -0,0 +1,29 @@
+-- Add invitations for STAFF and ADMIN accounts (public signup only creates CITIZEN accounts)
+-- Run this once against your database after add_user_sessions.sql
+
+CREATE TABLE User_Invitations (
+    InvitationId INT IDENTITY(1,1) PRIMARY KEY,
+    TokenHash NVARCHAR(64) NOT NULL,       -- SHA-256 of the token sent to the invitee by SMS
+    PhoneNumber NVARCHAR(15) NOT NULL,
+    FullName NVARCHAR(100) NULL,
+    Email NVARCHAR(100) NULL,
+    Role NVARCHAR(20) NOT NULL,            -- STAFF | ADMIN
+    DepartmentId INT NULL,
+    InvitedBy INT NOT NULL,
+    ExpiresAt DATETIME2 NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    AcceptedAt DATETIME2 NULL,
+    AcceptedUserId INT NULL,
+    RevokedAt DATETIME2 NULL,
+    CONSTRAINT UQ_UserInvitations_Token UNIQUE (TokenHash),
+    CONSTRAINT FK_UserInvitations_Department FOREIGN KEY (DepartmentId) REFERENCES Departments(DepartmentId),
+    CONSTRAINT FK_UserInvitations_InvitedBy FOREIGN KEY (InvitedBy) REFERENCES Users(UserId),
+    CONSTRAINT FK_UserInvitations_AcceptedUser FOREIGN KEY (AcceptedUserId) REFERENCES Users(UserId),
+    CONSTRAINT CK_UserInvitations_Role CHECK (Role IN ('STAFF', 'ADMIN'))
+);
+
+CREATE INDEX IX_UserInvitations_Phone ON User_Invitations (PhoneNumber);
+
+-- Verify
+SELECT TOP 10 InvitationId, PhoneNumber, Role, DepartmentId, ExpiresAt, AcceptedAt, RevokedAt
+FROM User_Invitations ORDER BY CreatedAt DESC;
@@ -0,0 +1,31 @@
+-- Add session metadata (device, IP, last use) for session management
+-- Run this once against your database after add_refresh_tokens.sql
+
+CREATE TABLE User_Sessions (
+    SessionId NVARCHAR(36) NOT NULL PRIMARY KEY,
+    UserId INT NOT NULL,
+    IpAddress NVARCHAR(45) NULL,
+    UserAgent NVARCHAR(512) NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    LastSeenAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    RevokedAt DATETIME2 NULL,
+    RevokedReason NVARCHAR(20) NULL,       -- same values as Refresh_Tokens.RevokedReason
+    CONSTRAINT FK_UserSessions_User FOREIGN KEY (UserId) REFERENCES Users(UserId)
+);
+
+CREATE INDEX IX_UserSessions_User ON User_Sessions (UserId, RevokedAt);
+GO
+
+-- Sessions started before this migration have no device details
+INSERT INTO User_Sessions (SessionId, UserId, CreatedAt, LastSeenAt, RevokedAt, RevokedReason)
+SELECT rt.SessionId, rt.UserId, MIN(rt.CreatedAt), MAX(rt.CreatedAt),
+       CASE WHEN COUNT(CASE WHEN rt.RevokedAt IS NULL THEN 1 END) = 0 THEN MAX(rt.RevokedAt) END,
+       CASE WHEN COUNT(CASE WHEN rt.RevokedAt IS NULL THEN 1 END) = 0 THEN 'LOGOUT' END
+FROM Refresh_Tokens rt
+GROUP BY rt.SessionId, rt.UserId;
+
+ALTER TABLE Refresh_Tokens ADD CONSTRAINT FK_RefreshTokens_Session
+    FOREIGN KEY (SessionId) REFERENCES User_Sessions(SessionId);
+
+-- Verify
+SELECT TOP 10 * FROM User_Sessions ORDER BY LastSeenAt DESC;
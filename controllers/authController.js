@@ -1,38 +1,85 @@
 const authService = require('../services/authService');
+const invitationService = require('../services/invitationService');
+const userService = require('../services/userService');
+const pushService = require('../services/pushService');
+const twoFactorService = require('../services/twoFactorService');
 
 /**
  * Controller Layer - Request/Response Handling
  * Handles HTTP requests and responses for authentication endpoints
  */
 class AuthController {
+    /**
+     * Device details recorded with a session
+     * @param {Object} req - Express request
+     * @returns {Object} { ipAddress, userAgent }
+     */
+    getClientInfo(req) {
+        return {
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        };
+    }
+
+    /**
+     * Send the result of a sign-in: the new session, or the two-factor
+     * challenge the client must answer first
+     * @param {Object} res - Express response
+     * @param {number} statusCode - Status for the response
+     * @param {string} message - Message when a session was created
+     * @param {Object} result - Result of authService.signIn
+     * @param {Object} extra - Fields added to either response (optional)
+     */
+    sendSignIn(res, statusCode, message, result, extra = {}) {
+        if (result.twoFactor) {
+            return res.status(statusCode).json({
+                success: true,
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                ...result.twoFactor,
+                ...extra
+            });
+        }
+
+        res.status(statusCode).json({
+            success: true,
+            message,
+            token: result.token,
+            refreshToken: result.refreshToken,
+            user: result.user,
+            ...extra
+        });
+    }
+
     /**
      * Signup controller
      * POST /api/auth/signup
      */
     async signup(req, res) {
         try {
-            const { fullName, phoneNumber, password, email, role, departmentId } = req.body;
+            const { fullName, phoneNumber, password, email, role } = req.body;
 
             const result = await authService.register({
                 fullName,
                 phoneNumber,
                 password,
                 email,
-                role,
-                departmentId
-            });
+                role
+            }, this.getClientInfo(req));
 
-            res.status(201).json({
-                success: true,
-                message: 'User registered successfully',
-                token: result.token,
-                user: result.user
-            });
+            this.sendSignIn(res, 201, 'User registered successfully', result, { verification: result.verification });
 
         } catch (error) {
             console.error('Signup error:', error.message);
 
             // Handle specific error types
+            if (error.message.startsWith('Only')) {
+                return res.status(403).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
             if (error.message.includes('already registered')) {
                 return res.status(409).json({ 
                     success: false,
@@ -62,19 +109,250 @@ class AuthController {
         try {
             const { phoneNumber, password } = req.body;
 
-            const result = await authService.login(phoneNumber, password);
+            const result = await authService.login(phoneNumber, password, this.getClientInfo(req));
+
+            this.sendSignIn(res, 200, 'Login successful', result);
+
+        } catch (error) {
+            console.error('Login error:', error.message);
+
+            if (error.message.includes('Too many')) {
+                return this.sendTooManyRequests(res, error);
+            }
+
+            if (error.message.includes('Invalid phone number or password')) {
+                return res.status(401).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            if (error.message.includes('deactivated') || error.message.includes('reset required')) {
+                return res.status(403).json({ 
+                    success: false,
+                    error: error.message,
+                    passwordResetRequired: error.message.includes('reset required')
+                });
+            }
+
+            if (error.message.includes('required')) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Send a 429, with Retry-After when the service said how long to wait
+     * @param {Object} res - Express response
+     * @param {Error} error - Error from the service, optionally with retryAfterSeconds
+     */
+    sendTooManyRequests(res, error) {
+        if (error.retryAfterSeconds) {
+            res.set('Retry-After', String(error.retryAfterSeconds));
+        }
+
+        res.status(429).json({ 
+            success: false,
+            error: error.message,
+            ...(error.retryAfterSeconds ? { retryAfterSeconds: error.retryAfterSeconds } : {})
+        });
+    }
+
+    /**
+     * Send a two-factor error with the matching status
+     * @param {Object} res - Express response
+     * @param {Error} error - Error from the service
+     */
+    sendTwoFactorError(res, error) {
+        const statusCode = error.message.includes('Invalid two-factor code')
+                || error.message.includes('Invalid password')
+                || error.message.includes('login challenge') ? 401
+            : error.message.includes('Too many') ? 429
+            : error.message.includes('cannot be turned off') || error.message.includes('deactivated') ? 403
+            : error.message.includes('already enabled') ? 409
+            : error.message.includes('required') || error.message.includes('Invalid') ? 400
+            : error.message.includes('not found') ? 404
+            : 500;
+
+        res.status(statusCode).json({ 
+            success: false,
+            error: statusCode === 500 ? 'Internal server error' : error.message 
+        });
+    }
+
+    /**
+     * Two-factor login controller
+     * POST /api/auth/login/2fa
+     */
+    async completeTwoFactorLogin(req, res) {
+        try {
+            const { challengeToken, code, recoveryCode } = req.body;
+
+            const result = await authService.completeTwoFactorLogin(
+                { challengeToken, code, recoveryCode },
+                this.getClientInfo(req)
+            );
 
             res.status(200).json({
                 success: true,
                 message: 'Login successful',
                 token: result.token,
+                refreshToken: result.refreshToken,
+                user: result.user,
+                ...(result.recoveryCodes ? { recoveryCodes: result.recoveryCodes } : {})
+            });
+
+        } catch (error) {
+            console.error('Two-factor login error:', error.message);
+            this.sendTwoFactorError(res, error);
+        }
+    }
+
+    /**
+     * Two-factor setup during login (roles that require it)
+     * POST /api/auth/login/2fa/setup
+     */
+    async setupTwoFactorForLogin(req, res) {
+        try {
+            const setup = await twoFactorService.startChallengeEnrollment(req.body.challengeToken);
+
+            res.status(200).json({
+                success: true,
+                ...setup
+            });
+
+        } catch (error) {
+            console.error('Two-factor setup error:', error.message);
+            this.sendTwoFactorError(res, error);
+        }
+    }
+
+    /**
+     * Two-factor status controller
+     * GET /api/auth/2fa
+     */
+    async getTwoFactorStatus(req, res) {
+        try {
+            const twoFactor = await twoFactorService.getStatus(req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                twoFactor
+            });
+
+        } catch (error) {
+            console.error('Two-factor status error:', error.message);
+            this.sendTwoFactorError(res, error);
+        }
+    }
+
+    /**
+     * Two-factor setup controller
+     * POST /api/auth/2fa/setup
+     */
+    async setupTwoFactor(req, res) {
+        try {
+            const setup = await twoFactorService.startEnrollment(req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                ...setup
+            });
+
+        } catch (error) {
+            console.error('Two-factor setup error:', error.message);
+            this.sendTwoFactorError(res, error);
+        }
+    }
+
+    /**
+     * Two-factor enable controller
+     * POST /api/auth/2fa/enable
+     */
+    async enableTwoFactor(req, res) {
+        try {
+            const { recoveryCodes } = await twoFactorService.confirmEnrollment(req.user.userId, req.body.code);
+
+            res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe',
+                recoveryCodes
+            });
+
+        } catch (error) {
+            console.error('Two-factor enable error:', error.message);
+            this.sendTwoFactorError(res, error);
+        }
+    }
+
+    /**
+     * Two-factor disable controller
+     * POST /api/auth/2fa/disable
+     */
+    async disableTwoFactor(req, res) {
+        try {
+            const { password, code, recoveryCode } = req.body;
+
+            await twoFactorService.disable(req.user.userId, { password, code, recoveryCode });
+
+            res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication disabled'
+            });
+
+        } catch (error) {
+            console.error('Two-factor disable error:', error.message);
+            this.sendTwoFactorError(res, error);
+        }
+    }
+
+    /**
+     * Recovery codes controller
+     * POST /api/auth/2fa/recovery-codes
+     */
+    async regenerateRecoveryCodes(req, res) {
+        try {
+            const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(req.user.userId, req.body.code);
+
+            res.status(200).json({
+                success: true,
+                message: 'New recovery codes generated. Earlier codes no longer work',
+                recoveryCodes
+            });
+
+        } catch (error) {
+            console.error('Recovery codes error:', error.message);
+            this.sendTwoFactorError(res, error);
+        }
+    }
+
+    /**
+     * Refresh token controller
+     * POST /api/auth/refresh
+     */
+    async refresh(req, res) {
+        try {
+            const result = await authService.refreshSession(req.body.refreshToken, this.getClientInfo(req));
+
+            res.status(200).json({
+                success: true,
+                token: result.token,
+                refreshToken: result.refreshToken,
                 user: result.user
             });
 
         } catch (error) {
-            console.error('Login error:', error.message);
+            console.error('Refresh token error:', error.message);
 
-            if (error.message.includes('Invalid phone number or password')) {
+            if (error.message.includes('Invalid')) {
                 return res.status(401).json({ 
                     success: false,
                     error: error.message 
@@ -96,21 +374,61 @@ class AuthController {
     }
 
     /**
-     * Verify token controller
-     * GET /api/auth/verify
+     * Logout controller
+     * POST /api/auth/logout
      */
-    async verifyToken(req, res) {
+    async logout(req, res) {
         try {
-            const user = await authService.verifyUser(req.user.userId);
+            const { refreshToken, allSessions } = req.body;
+
+            await authService.logout(refreshToken, { allSessions: allSessions === true });
 
             res.status(200).json({
                 success: true,
-                valid: true,
-                user: user
+                message: allSessions === true ? 'Logged out of all sessions' : 'Logged out successfully'
             });
 
         } catch (error) {
-            console.error('Verify token error:', error.message);
+            console.error('Logout error:', error.message);
+
+            if (error.message.includes('required')) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Revoke all sessions of a user controller (admin)
+     * DELETE /api/auth/users/:userId/sessions
+     */
+    async revokeUserSessions(req, res) {
+        try {
+            const userId = parseInt(req.params.userId);
+            if (!Number.isInteger(userId)) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: 'Invalid user id' 
+                });
+            }
+
+            const result = await userService.revokeSessions(req.user.userId, userId);
+
+            res.status(200).json({
+                success: true,
+                message: 'All sessions revoked',
+                revokedSessions: result.revokedSessions
+            });
+
+        } catch (error) {
+            console.error('Revoke user sessions error:', error.message);
 
             if (error.message.includes('not found')) {
                 return res.status(404).json({ 
@@ -127,20 +445,43 @@ class AuthController {
     }
 
     /**
-     * Get profile controller
-     * GET /api/auth/profile
+     * List own sessions controller
+     * GET /api/auth/sessions
      */
-    async getProfile(req, res) {
+    async getSessions(req, res) {
         try {
-            const user = await authService.getProfile(req.user.userId);
+            const sessions = await authService.getSessions(req.user.userId, req.user.sessionId);
 
             res.status(200).json({
                 success: true,
-                user: user
+                sessions: sessions
             });
 
         } catch (error) {
-            console.error('Get profile error:', error.message);
+            console.error('Get sessions error:', error.message);
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Sign out one own session controller
+     * DELETE /api/auth/sessions/:sessionId
+     */
+    async revokeSession(req, res) {
+        try {
+            await authService.revokeSession(req.user.userId, req.params.sessionId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Session signed out'
+            });
+
+        } catch (error) {
+            console.error('Revoke session error:', error.message);
 
             if (error.message.includes('not found')) {
                 return res.status(404).json({ 
@@ -155,6 +496,564 @@ class AuthController {
             });
         }
     }
+
+    /**
+     * List a user's sessions controller (admin)
+     * GET /api/auth/users/:userId/sessions
+     */
+    async getUserSessions(req, res) {
+        try {
+            const userId = parseInt(req.params.userId);
+            if (!Number.isInteger(userId)) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: 'Invalid user id' 
+                });
+            }
+
+            const sessions = await authService.getSessions(userId);
+
+            res.status(200).json({
+                success: true,
+                sessions: sessions
+            });
+
+        } catch (error) {
+            console.error('Get user sessions error:', error.message);
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Sign out one session of a user controller (admin)
+     * DELETE /api/auth/users/:userId/sessions/:sessionId
+     */
+    async revokeUserSession(req, res) {
+        try {
+            const userId = parseInt(req.params.userId);
+            if (!Number.isInteger(userId)) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: 'Invalid user id' 
+                });
+            }
+
+            await userService.revokeSession(req.user.userId, userId, req.params.sessionId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Session signed out'
+            });
+
+        } catch (error) {
+            console.error('Revoke user session error:', error.message);
+
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Verify token controller
+     * GET /api/auth/verify
+     */
+    async verifyToken(req, res) {
+        try {
+            const user = await authService.verifyUser(req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                valid: true,
+                user: user
+            });
+
+        } catch (error) {
+            console.error('Verify token error:', error.message);
+
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Get profile controller
+     * GET /api/auth/profile
+     */
+    async getProfile(req, res) {
+        try {
+            const user = await authService.getProfile(req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                user: user
+            });
+
+        } catch (error) {
+            console.error('Get profile error:', error.message);
+
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Request phone verification code controller
+     * POST /api/auth/phone/otp
+     */
+    async requestPhoneVerification(req, res) {
+        try {
+            const result = await authService.requestPhoneVerification(req.body.phoneNumber);
+
+            res.status(200).json({
+                success: true,
+                message: 'Verification code sent',
+                ...result
+            });
+
+        } catch (error) {
+            console.error('Request phone verification error:', error.message);
+
+            if (error.message.includes('Too many') || error.message.includes('Please wait')) {
+                return this.sendTooManyRequests(res, error);
+            }
+
+            if (error.message.includes('already verified')) {
+                return res.status(409).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            if (error.message.includes('required')) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Verify phone number controller
+     * POST /api/auth/phone/verify
+     */
+    async verifyPhone(req, res) {
+        try {
+            const { phoneNumber, code } = req.body;
+
+            const result = await authService.verifyPhone(phoneNumber, code, this.getClientInfo(req));
+
+            this.sendSignIn(res, 200, 'Phone number verified successfully', result);
+
+        } catch (error) {
+            console.error('Verify phone error:', error.message);
+
+            if (error.message.includes('Too many')) {
+                return res.status(429).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            if (error.message.includes('already verified')) {
+                return res.status(409).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            if (error.message.includes('required') || error.message.includes('Invalid')) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Forgot password controller
+     * POST /api/auth/password/forgot
+     */
+    async forgotPassword(req, res) {
+        try {
+            await authService.requestPasswordReset(req.body.phoneNumber);
+
+            res.status(200).json({
+                success: true,
+                message: 'If the phone number is registered, a reset code has been sent'
+            });
+
+        } catch (error) {
+            console.error('Forgot password error:', error.message);
+
+            if (error.message.includes('Too many') || error.message.includes('Please wait')) {
+                return this.sendTooManyRequests(res, error);
+            }
+
+            if (error.message.includes('required')) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Reset password controller
+     * POST /api/auth/password/reset
+     */
+    async resetPassword(req, res) {
+        try {
+            const { phoneNumber, code, newPassword } = req.body;
+
+            const result = await authService.resetPassword({ phoneNumber, code, newPassword }, this.getClientInfo(req));
+
+            this.sendSignIn(res, 200, 'Password reset successfully', result);
+
+        } catch (error) {
+            console.error('Reset password error:', error.message);
+
+            if (error.message.includes('Too many')) {
+                return res.status(429).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            if (error.message.includes('required') || error.message.includes('Invalid') || error.message.includes('must be')) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Change password controller
+     * POST /api/auth/password/change
+     */
+    async changePassword(req, res) {
+        try {
+            const { currentPassword, newPassword } = req.body;
+
+            const result = await authService.changePassword(req.user.userId, currentPassword, newPassword, this.getClientInfo(req));
+
+            res.status(200).json({
+                success: true,
+                message: 'Password changed successfully',
+                token: result.token,
+                refreshToken: result.refreshToken,
+                user: result.user
+            });
+
+        } catch (error) {
+            console.error('Change password error:', error.message);
+
+            if (error.message.includes('Invalid current password')) {
+                return res.status(401).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            if (error.message.includes('required') || error.message.includes('must be')) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Create invitation controller (admin)
+     * POST /api/auth/invitations
+     */
+    async createInvitation(req, res) {
+        try {
+            const { phoneNumber, role, departmentId, fullName, email } = req.body;
+
+            const invitation = await invitationService.createInvitation(req.user.userId, {
+                phoneNumber,
+                role,
+                departmentId,
+                fullName,
+                email
+            });
+
+            res.status(201).json({
+                success: true,
+                message: invitation.delivered
+                    ? 'Invitation sent'
+                    : 'Invitation created, but the SMS could not be sent. Invite again to resend',
+                invitation: invitation
+            });
+
+        } catch (error) {
+            console.error('Create invitation error:', error.message);
+
+            if (error.message.includes('already registered')) {
+                return res.status(409).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            if (error.message.includes('required') || error.message.includes('Invalid')) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * List pending invitations controller (admin)
+     * GET /api/auth/invitations
+     */
+    async getInvitations(req, res) {
+        try {
+            const invitations = await invitationService.listInvitations();
+
+            res.status(200).json({
+                success: true,
+                invitations: invitations
+            });
+
+        } catch (error) {
+            console.error('Get invitations error:', error.message);
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Revoke invitation controller (admin)
+     * DELETE /api/auth/invitations/:invitationId
+     */
+    async revokeInvitation(req, res) {
+        try {
+            await invitationService.revokeInvitation(req.user.userId, parseInt(req.params.invitationId));
+
+            res.status(200).json({
+                success: true,
+                message: 'Invitation revoked'
+            });
+
+        } catch (error) {
+            console.error('Revoke invitation error:', error.message);
+
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            if (error.message.includes('Invalid')) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Accept invitation controller
+     * POST /api/auth/invitations/accept
+     */
+    async acceptInvitation(req, res) {
+        try {
+            const { token, password, fullName, email } = req.body;
+
+            const result = await invitationService.acceptInvitation(
+                { token, password, fullName, email },
+                this.getClientInfo(req)
+            );
+
+            this.sendSignIn(res, 201, 'Account created successfully', result);
+
+        } catch (error) {
+            console.error('Accept invitation error:', error.message);
+
+            if (error.message.includes('already registered')) {
+                return res.status(409).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            if (error.message.includes('required') || error.message.includes('Invalid') || error.message.includes('must be')) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Register push device controller
+     * POST /api/auth/devices
+     */
+    async registerDevice(req, res) {
+        try {
+            const { token, platform } = req.body;
+
+            const device = await pushService.registerDevice(req.user.userId, { token, platform });
+
+            res.status(201).json({
+                success: true,
+                message: 'Device registered successfully',
+                device: device
+            });
+
+        } catch (error) {
+            console.error('Register device error:', error.message);
+
+            if (error.message.includes('required') || error.message.includes('Invalid')) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
+
+    /**
+     * Unregister push device controller
+     * DELETE /api/auth/devices
+     */
+    async unregisterDevice(req, res) {
+        try {
+            await pushService.unregisterDevice(req.user.userId, req.body.token);
+
+            res.status(200).json({
+                success: true,
+                message: 'Device unregistered successfully'
+            });
+
+        } catch (error) {
+            console.error('Unregister device error:', error.message);
+
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            if (error.message.includes('required')) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: error.message 
+                });
+            }
+
+            res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+    }
 }
 
 module.exports = new AuthController();
@@ -1,4 +1,15 @@
 const departmentService = require('../services/departmentService');
+const slaService = require('../services/slaService');
+const jurisdictionService = require('../services/jurisdictionService');
+const allocationRuleService = require('../services/allocationRuleService');
+const issueService = require('../services/issueService');
+
+// Status for an allocation rule error, or null to pass it on
+const ruleErrorStatus = (error) => {
+    if (error.message.includes('not found') && !error.message.startsWith('Invalid')) return 404;
+    if (error.message.includes('Invalid') || error.message.includes('required')) return 400;
+    return null;
+};
 
 class DepartmentController {
     async getDepartments(req, res, next) {
@@ -9,6 +20,133 @@ class DepartmentController {
             next(error);
         }
     }
+
+    async getSlaPolicies(req, res, next) {
+        try {
+            const policies = await slaService.listPolicies();
+            res.json({ success: true, data: policies });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async setSlaPolicy(req, res, next) {
+        try {
+            const departmentId = parseInt(req.params.departmentId);
+            const { issueType, acknowledgeHours, resolveHours } = req.body;
+
+            const policy = await slaService.setPolicy(departmentId, { issueType, acknowledgeHours, resolveHours });
+            res.json({ success: true, data: policy });
+        } catch (error) {
+            if (error.message.includes('Invalid')) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    }
+
+    async getJurisdiction(req, res, next) {
+        try {
+            const jurisdiction = await jurisdictionService.getJurisdiction(parseInt(req.params.departmentId));
+            res.json({ success: true, data: jurisdiction });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    }
+
+    async setJurisdiction(req, res, next) {
+        try {
+            const departmentId = parseInt(req.params.departmentId);
+            const { name, geometry } = req.body;
+
+            const jurisdiction = await jurisdictionService.setJurisdiction(departmentId, { name, geometry });
+            res.json({ success: true, data: jurisdiction });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Invalid') || error.message.includes('required')) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    }
+
+    async removeJurisdiction(req, res, next) {
+        try {
+            await jurisdictionService.removeJurisdiction(parseInt(req.params.departmentId));
+            res.json({ success: true, message: 'Jurisdiction removed' });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    }
+
+    async getAllocationRules(req, res, next) {
+        try {
+            const rules = await allocationRuleService.listRules({ includeInactive: req.query.active !== 'true' });
+            res.json({ success: true, data: rules });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async createAllocationRule(req, res, next) {
+        try {
+            const { name, departmentId, keywords, excludeWords, isActive } = req.body;
+
+            const rule = await allocationRuleService.createRule(req.user.userId, { name, departmentId, keywords, excludeWords, isActive });
+            res.status(201).json({ success: true, data: rule });
+        } catch (error) {
+            const status = ruleErrorStatus(error);
+            if (status) return res.status(status).json({ success: false, error: error.message });
+            next(error);
+        }
+    }
+
+    async updateAllocationRule(req, res, next) {
+        try {
+            const { name, departmentId, keywords, excludeWords, isActive } = req.body;
+
+            const rule = await allocationRuleService.updateRule(req.user.userId, req.params.ruleId, { name, departmentId, keywords, excludeWords, isActive });
+            res.json({ success: true, data: rule });
+        } catch (error) {
+            const status = ruleErrorStatus(error);
+            if (status) return res.status(status).json({ success: false, error: error.message });
+            next(error);
+        }
+    }
+
+    async deleteAllocationRule(req, res, next) {
+        try {
+            await allocationRuleService.deleteRule(req.params.ruleId);
+            res.json({ success: true, message: 'Rule deleted' });
+        } catch (error) {
+            const status = ruleErrorStatus(error);
+            if (status) return res.status(status).json({ success: false, error: error.message });
+            next(error);
+        }
+    }
+
+    async testAllocationRules(req, res, next) {
+        try {
+            const { description, issueType } = req.body;
+            const latitude = req.body.latitude !== undefined ? parseFloat(req.body.latitude) : undefined;
+            const longitude = req.body.longitude !== undefined ? parseFloat(req.body.longitude) : undefined;
+
+            const result = await issueService.explainAllocation({ description, issueType, latitude, longitude });
+            res.json({ success: true, data: result });
+        } catch (error) {
+            const status = ruleErrorStatus(error);
+            if (status) return res.status(status).json({ success: false, error: error.message });
+            next(error);
+        }
+    }
 }
 
 module.exports = new DepartmentController();
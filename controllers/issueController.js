@@ -1,10 +1,11 @@
+const fs = require('fs');
 const issueService = require('../services/issueService');
 
 class IssueController {
     async createIssue(req, res) {
         try {
-            const { description, issueType, latitude, longitude, address, departmentId } = req.body;
-            console.log('[CreateIssue] Request body:', { description, issueType, latitude, longitude, address, departmentId });
+            const { description, issueType, latitude, longitude, address, departmentId, duplicateOf, ignoreDuplicates, anonymous } = req.body;
+            console.log('[CreateIssue] Request body:', { description, issueType, latitude, longitude, address, departmentId, duplicateOf, ignoreDuplicates, anonymous });
             const citizenId = req.user.userId;
 
             const issue = await issueService.createIssue({
@@ -15,10 +16,17 @@ class IssueController {
                 latitude,
                 longitude,
                 address,
+                duplicateOf,
+                ignoreDuplicates: ignoreDuplicates === true || ignoreDuplicates === 'true',
+                anonymous: anonymous === true || anonymous === 'true',
             });
 
-            res.status(201).json({ success: true, issue });
+            // Linked to an existing issue: nothing new was created
+            res.status(issue.linkedToExisting ? 200 : 201).json({ success: true, issue });
         } catch (error) {
+            if (error.duplicates) {
+                return res.status(409).json({ success: false, error: error.message, duplicates: error.duplicates });
+            }
             const status = error.message.includes('required') || error.message.includes('Invalid') ? 400 : 500;
             res.status(status).json({ success: false, error: error.message });
         }
@@ -31,11 +39,17 @@ class IssueController {
             if (!req.file) return res.status(400).json({ success: false, error: 'No image file provided' });
 
             const imagePath = req.file.path || req.file.filename;
-            const image = await issueService.addImageToIssue(issueId, imagePath, imageType);
+            const image = await issueService.addImageToIssue(issueId, req.user.userId, imagePath, imageType);
 
             res.status(201).json({ success: true, image });
         } catch (error) {
-            const status = error.message.includes('not found') ? 404 : 500;
+            // Don't keep a file that was not attached to the issue
+            if (req.file?.path) fs.unlink(req.file.path, () => {});
+
+            const status = error.message.includes('not found') ? 404
+                : error.message.startsWith('Only') ? 403
+                : error.message.includes('Invalid') ? 400
+                : 500;
             res.status(status).json({ success: false, error: error.message });
         }
     }
@@ -53,14 +67,17 @@ class IssueController {
             const attendance = await issueService.addIssueAttendance(issueId, staffId, latitude, longitude);
             res.status(201).json({ success: true, attendance });
         } catch (error) {
-            const status = error.message.includes('not found') || error.message.includes('Invalid') ? 400 : 500;
+            const status = error.message.includes('not found') ? 404
+                : error.message.startsWith('Only') ? 403
+                : error.message.includes('Invalid') ? 400
+                : 500;
             res.status(status).json({ success: false, error: error.message });
         }
     }
 
     async getIssueDetails(req, res) {
         try {
-            const issue = await issueService.getIssueDetails(req.params.issueId);
+            const issue = await issueService.getIssueDetails(req.params.issueId, req.user.userId);
             res.status(200).json({ success: true, issue });
         } catch (error) {
             const status = error.message.includes('not found') ? 404 : 500;
@@ -79,16 +96,19 @@ class IssueController {
 
     async getAllIssues(req, res) {
         try {
-            const issues = await issueService.getAllIssues();
+            const limit = parseInt(req.query.limit) || 20;
+            const offset = parseInt(req.query.offset) || 0;
+            const issues = await issueService.getAllIssues(limit, offset, req.query.sort, req.user);
             res.status(200).json({ success: true, issues });
         } catch (error) {
-            res.status(500).json({ success: false, error: error.message });
+            const status = error.message.includes('Invalid') ? 400 : 500;
+            res.status(status).json({ success: false, error: error.message });
         }
     }
 
     async getDepartmentIssues(req, res) {
         try {
-            const issues = await issueService.getDepartmentIssues(parseInt(req.params.departmentId));
+            const issues = await issueService.getDepartmentIssues(parseInt(req.params.departmentId), req.user);
             res.status(200).json({ success: true, issues });
         } catch (error) {
             res.status(500).json({ success: false, error: error.message });
@@ -97,17 +117,146 @@ class IssueController {
 
     async updateIssueStatus(req, res) {
         try {
-            const { status } = req.body;
+            const { status, note } = req.body;
             if (!status) return res.status(400).json({ success: false, error: 'Status is required' });
 
-            const issue = await issueService.updateIssueStatus(req.params.issueId, status);
+            const issue = await issueService.updateIssueStatus(req.params.issueId, status, {
+                actorId: req.user.userId,
+                note
+            });
             res.status(200).json({ success: true, issue });
         } catch (error) {
-            const statusCode = error.message.includes('Invalid status') ? 400 : 500;
+            const statusCode = error.message.includes('not found') ? 404
+                : error.message.startsWith('Only') ? 403
+                : error.message.includes('changed by someone else') ? 409
+                : error.message.includes('Invalid') || error.message.includes('required') ? 400
+                : 500;
             res.status(statusCode).json({ success: false, error: error.message });
         }
     }
 
+    async getIssueTimeline(req, res) {
+        try {
+            const timeline = await issueService.getIssueTimeline(req.params.issueId, req.user.userId);
+            res.status(200).json({ success: true, timeline });
+        } catch (error) {
+            const status = error.message.includes('not found') ? 404
+                : error.message.startsWith('Only') ? 403
+                : error.message.includes('Invalid') ? 400
+                : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+
+    async assignIssue(req, res) {
+        try {
+            const staffId = parseInt(req.body.staffId);
+            if (!Number.isInteger(staffId)) {
+                return res.status(400).json({ success: false, error: 'staffId is required' });
+            }
+
+            const assignment = await issueService.assignIssue(req.params.issueId, staffId, req.user.userId);
+            res.status(200).json({ success: true, assignment });
+        } catch (error) {
+            const status = error.message.includes('not found') ? 404
+                : error.message.includes('Invalid') || error.message.includes('required') ? 400
+                : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+
+    async claimIssue(req, res) {
+        try {
+            const assignment = await issueService.claimIssue(req.params.issueId, req.user.userId);
+            res.status(200).json({ success: true, assignment });
+        } catch (error) {
+            const status = error.message.includes('not found') ? 404
+                : error.message.includes('already assigned') ? 409
+                : error.message.includes('different department') || error.message.startsWith('Only') ? 403
+                : error.message.includes('Invalid') ? 400
+                : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+
+    async upvoteIssue(req, res) {
+        try {
+            const result = await issueService.upvoteIssue(req.params.issueId, req.user.userId);
+            res.status(result.alreadyUpvoted ? 200 : 201).json({ success: true, ...result });
+        } catch (error) {
+            const status = error.message.includes('not found') ? 404
+                : error.message.includes('Invalid') ? 400
+                : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+
+    async removeUpvote(req, res) {
+        try {
+            const result = await issueService.removeUpvote(req.params.issueId, req.user.userId);
+            res.status(200).json({ success: true, ...result });
+        } catch (error) {
+            const status = error.message.includes('not found') ? 404 : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+
+    async addComment(req, res) {
+        try {
+            const comment = await issueService.addComment(req.params.issueId, req.user.userId, {
+                body: req.body.body,
+                imagePath: req.file ? (req.file.path || req.file.filename) : null
+            });
+            res.status(201).json({ success: true, comment });
+        } catch (error) {
+            // Don't keep an attachment for a comment that was not saved
+            if (req.file?.path) fs.unlink(req.file.path, () => {});
+
+            const status = error.message.includes('not found') ? 404
+                : error.message.startsWith('Only') ? 403
+                : error.message.includes('required') || error.message.includes('Invalid') ? 400
+                : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+
+    async getComments(req, res) {
+        try {
+            const comments = await issueService.getComments(req.params.issueId, req.user.userId);
+            res.status(200).json({ success: true, comments });
+        } catch (error) {
+            const status = error.message.includes('not found') ? 404
+                : error.message.startsWith('Only') ? 403
+                : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+
+    async addStaffNote(req, res) {
+        try {
+            const note = await issueService.addStaffNote(req.params.issueId, req.user.userId, req.body.body);
+            res.status(201).json({ success: true, note });
+        } catch (error) {
+            const status = error.message.includes('not found') ? 404
+                : error.message.includes('Only staff') ? 403
+                : error.message.includes('required') || error.message.includes('Invalid') ? 400
+                : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+
+    async getStaffNotes(req, res) {
+        try {
+            const notes = await issueService.getStaffNotes(req.params.issueId, req.user.userId);
+            res.status(200).json({ success: true, notes });
+        } catch (error) {
+            const status = error.message.includes('not found') ? 404
+                : error.message.includes('Only staff') ? 403
+                : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+
     async getIssueStats(req, res) {
         try {
             const stats = await issueService.getIssueStats();
@@ -150,7 +299,14 @@ class IssueController {
             const staffLat = req.query.lat ? parseFloat(req.query.lat) : null;
             const staffLon = req.query.lon ? parseFloat(req.query.lon) : null;
 
-            const tasks = await issueService.getStaffTasks(staffDepartmentId, staffLat, staffLon);
+            // mode=mine limits the list to issues assigned to the requesting user
+            const assignedTo = req.query.mode === 'mine' ? req.user.userId : null;
+
+            const tasks = await issueService.getStaffTasks(staffDepartmentId, staffLat, staffLon, {
+                assignedTo,
+                sort: req.query.sort,
+                viewer: req.user
+            });
             res.status(200).json({ success: true, tasks });
         } catch (error) {
             res.status(500).json({ success: false, error: error.message });
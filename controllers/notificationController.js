@@ -0,0 +1,39 @@
+const notificationService = require('../services/notificationService');
+
+class NotificationController {
+    async getNotifications(req, res) {
+        try {
+            const result = await notificationService.getNotifications(req.user.userId, {
+                unreadOnly: req.query.unread === 'true',
+                limit: Math.min(parseInt(req.query.limit) || 20, 100),
+                offset: parseInt(req.query.offset) || 0
+            });
+            res.status(200).json({ success: true, ...result });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async markAsRead(req, res) {
+        try {
+            const notification = await notificationService.markAsRead(parseInt(req.params.id), req.user.userId);
+            res.status(200).json({ success: true, notification });
+        } catch (error) {
+            const status = error.message.includes('not found') ? 404
+                : error.message.includes('Invalid') ? 400
+                : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+
+    async markAllAsRead(req, res) {
+        try {
+            const result = await notificationService.markAllAsRead(req.user.userId);
+            res.status(200).json({ success: true, ...result });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+}
+
+module.exports = new NotificationController();
@@ -0,0 +1,46 @@
+const triageService = require('../services/triageService');
+
+class TriageController {
+    async getQueue(req, res) {
+        try {
+            const result = await triageService.getQueue({
+                status: req.query.status,
+                limit: req.query.limit,
+                offset: req.query.offset
+            });
+            res.status(200).json({ success: true, ...result });
+        } catch (error) {
+            const status = error.message.includes('Invalid') ? 400 : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+
+    async routeIssue(req, res) {
+        try {
+            const result = await triageService.routeIssue(req.user.userId, req.params.issueId, req.body.departmentId);
+            res.status(200).json({ success: true, ...result });
+        } catch (error) {
+            const status = error.message.includes('Invalid') ? 400
+                : error.message.includes('not found') ? 404
+                : error.message.includes('already been routed') ? 409
+                : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+
+    async getExamples(req, res) {
+        try {
+            const examples = await triageService.getExamples({
+                departmentId: req.query.departmentId,
+                limit: req.query.limit,
+                offset: req.query.offset
+            });
+            res.status(200).json({ success: true, examples });
+        } catch (error) {
+            const status = error.message.includes('Invalid') ? 400 : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+}
+
+module.exports = new TriageController();
@@ -0,0 +1,126 @@
+const userService = require('../services/userService');
+const privacyService = require('../services/privacyService');
+
+// Map service errors to HTTP status
+const statusFor = (error) => error.message.includes('not found') ? 404
+    : error.message.startsWith('You cannot') ? 403
+    : error.message.includes('already') ? 409
+    : error.message.includes('Invalid') || error.message.includes('required') ? 400
+    : 500;
+
+class UserController {
+    async listUsers(req, res) {
+        try {
+            const { search, role, departmentId, status } = req.query;
+            const result = await userService.listUsers({
+                search,
+                role,
+                departmentId,
+                status,
+                limit: Math.min(parseInt(req.query.limit) || 50, 200),
+                offset: parseInt(req.query.offset) || 0
+            });
+            res.status(200).json({ success: true, ...result });
+        } catch (error) {
+            res.status(statusFor(error)).json({ success: false, error: error.message });
+        }
+    }
+
+    async getUser(req, res) {
+        try {
+            const user = await userService.getUser(req.params.userId);
+            res.status(200).json({ success: true, user });
+        } catch (error) {
+            res.status(statusFor(error)).json({ success: false, error: error.message });
+        }
+    }
+
+    async changeRole(req, res) {
+        try {
+            const { role, departmentId } = req.body;
+            const user = await userService.changeRole(req.user.userId, req.params.userId, { role, departmentId });
+            res.status(200).json({ success: true, user });
+        } catch (error) {
+            res.status(statusFor(error)).json({ success: false, error: error.message });
+        }
+    }
+
+    async changeDepartment(req, res) {
+        try {
+            const user = await userService.changeDepartment(req.user.userId, req.params.userId, req.body.departmentId);
+            res.status(200).json({ success: true, user });
+        } catch (error) {
+            res.status(statusFor(error)).json({ success: false, error: error.message });
+        }
+    }
+
+    async deactivateUser(req, res) {
+        try {
+            const user = await userService.deactivateUser(req.user.userId, req.params.userId, req.body?.reason);
+            res.status(200).json({ success: true, user });
+        } catch (error) {
+            res.status(statusFor(error)).json({ success: false, error: error.message });
+        }
+    }
+
+    async reactivateUser(req, res) {
+        try {
+            const user = await userService.reactivateUser(req.user.userId, req.params.userId);
+            res.status(200).json({ success: true, user });
+        } catch (error) {
+            res.status(statusFor(error)).json({ success: false, error: error.message });
+        }
+    }
+
+    async forcePasswordReset(req, res) {
+        try {
+            const result = await userService.forcePasswordReset(req.user.userId, req.params.userId);
+            res.status(200).json({ success: true, ...result });
+        } catch (error) {
+            res.status(statusFor(error)).json({ success: false, error: error.message });
+        }
+    }
+
+    async resetTwoFactor(req, res) {
+        try {
+            const result = await userService.resetTwoFactor(req.user.userId, req.params.userId);
+            res.status(200).json({ success: true, ...result });
+        } catch (error) {
+            res.status(statusFor(error)).json({ success: false, error: error.message });
+        }
+    }
+
+    async getAuditLog(req, res) {
+        try {
+            const { actorId, targetUserId, action } = req.query;
+            const entries = await userService.getAuditLog({
+                actorId,
+                targetUserId,
+                action,
+                limit: Math.min(parseInt(req.query.limit) || 50, 200),
+                offset: parseInt(req.query.offset) || 0
+            });
+            res.status(200).json({ success: true, entries });
+        } catch (error) {
+            res.status(statusFor(error)).json({ success: false, error: error.message });
+        }
+    }
+
+    async getContactReveals(req, res) {
+        try {
+            const { viewerId, citizenId, issueId } = req.query;
+            const reveals = await privacyService.getRevealLog({
+                viewerId,
+                citizenId,
+                issueId,
+                limit: Math.min(parseInt(req.query.limit) || 50, 200),
+                offset: parseInt(req.query.offset) || 0
+            });
+            res.status(200).json({ success: true, reveals });
+        } catch (error) {
+            res.status(statusFor(error)).json({ success: false, error: error.message });
+        }
+    }
+}
+
+module.exports = new UserController();
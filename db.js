@@ -26,7 +26,27 @@ const getPool = async () => {
     return pool;
 };
 
+/**
+ * Run a unit of work inside a transaction.
+ * Commits when work resolves, rolls back when it throws.
+ * @param {Function} work - async (transaction) => result
+ * @returns {Promise<*>} Result of work
+ */
+const withTransaction = async (work) => {
+    const transaction = new sql.Transaction(await getPool());
+    await transaction.begin();
+    try {
+        const result = await work(transaction);
+        await transaction.commit();
+        return result;
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+};
+
 module.exports = {
     sql,
-    getPool
+    getPool,
+    withTransaction
 };
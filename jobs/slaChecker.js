@@ -0,0 +1,46 @@
+const slaService = require('../services/slaService');
+
+/**
+ * Background Job - SLA Checker
+ * Periodically escalates issues that passed their SLA deadlines
+ */
+
+let timer = null;
+let running = false;
+
+const runOnce = async () => {
+    // Skip a tick if the previous run is still in progress
+    if (running) return;
+    running = true;
+    try {
+        const { checked, escalated } = await slaService.escalateOverdueIssues();
+        if (checked > 0) {
+            console.log(`[SLA] Checked ${checked} overdue issue(s), escalated ${escalated}`);
+        }
+    } catch (error) {
+        console.error('[SLA] Checker error:', error.message);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start the checker
+ * @param {number} intervalMinutes - Minutes between runs
+ */
+const start = (intervalMinutes) => {
+    if (timer) return;
+    timer = setInterval(runOnce, intervalMinutes * 60 * 1000);
+    timer.unref(); // don't keep the process alive just for the checker
+};
+
+const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    start,
+    stop,
+    runOnce
+};
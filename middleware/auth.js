@@ -1,4 +1,7 @@
 const authService = require('../services/authService');
+const issueService = require('../services/issueService');
+const permissionService = require('../services/permissionService');
+const { ACCESS_LEVELS } = require('../services/issueAccessService');
 
 /**
  * Middleware - Authentication & Authorization
@@ -7,9 +10,11 @@ const authService = require('../services/authService');
 
 /**
  * Authentication middleware - Verify JWT token
- * Extracts and validates JWT token from Authorization header
+ * Extracts and validates JWT token from Authorization header.
+ * Tokens issued before the user's last password reset or change are rejected,
+ * as are tokens of a session that was signed out. Updates the session's last-seen time.
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
     try {
         const authHeader = req.headers['authorization'];
         const token = authHeader && authHeader.split(' ')[1]; // Bearer <token>
@@ -22,16 +27,25 @@ const authenticateToken = (req, res, next) => {
         }
 
         // Verify token using service
-        const decoded = authService.verifyToken(token);
+        const decoded = await authService.authenticate(token, { ipAddress: req.ip });
         req.user = decoded;
-        next();
 
     } catch (error) {
+        if (!error.message.includes('Invalid or expired token')) {
+            console.error('Authentication error:', error.message);
+            return res.status(500).json({ 
+                success: false,
+                error: 'Internal server error' 
+            });
+        }
+
         return res.status(403).json({ 
             success: false,
             error: 'Invalid or expired token' 
         });
     }
+
+    next();
 };
 
 /**
@@ -68,18 +82,144 @@ const authorize = (...allowedRoles) => {
     };
 };
 
+/**
+ * Permission-based authorization middleware
+ * Checks that the user's role grants a permission. For department-scoped roles
+ * (STAFF, DEPT_HEAD) pass a department resolver so the check is limited to
+ * resources of the user's own department.
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Object} options - { department: async (req) => departmentId }
+ *                           The resolver returns undefined when the resource does not
+ *                           exist; the request then continues so the controller can 404.
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.patch('/:issueId/assign', authenticateToken, requirePermission(PERMISSIONS.ISSUE_ASSIGN, { department: issueDepartment }), ...);
+ */
+const requirePermission = (permission, { department } = {}) => {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ 
+                success: false,
+                error: 'Authentication required' 
+            });
+        }
+
+        if (!permissionService.can(req.user, permission)) {
+            return res.status(403).json({ 
+                success: false,
+                error: 'You do not have permission to access this resource',
+                required: permission,
+                current: req.user.role
+            });
+        }
+
+        if (department) {
+            try {
+                const departmentId = await department(req);
+
+                if (departmentId !== undefined && !permissionService.can(req.user, permission, departmentId)) {
+                    return res.status(403).json({ 
+                        success: false,
+                        error: 'You do not have permission to access resources of this department',
+                        required: permission,
+                        current: req.user.role
+                    });
+                }
+            } catch (error) {
+                console.error('Permission check error:', error.message);
+                return res.status(500).json({ 
+                    success: false,
+                    error: 'Internal server error' 
+                });
+            }
+        }
+
+        next();
+    };
+};
+
+/**
+ * Department resolvers for requirePermission
+ */
+const issueDepartment = (req) => issueService.getIssueDepartmentId(req.params.issueId);
+const paramDepartment = (req) => {
+    const departmentId = parseInt(req.params.departmentId);
+    return Number.isInteger(departmentId) ? departmentId : undefined;
+};
+
+/**
+ * Issue participant middleware
+ * Lets only the reporter of :issueId, staff of its department and admins through.
+ * Use before file uploads so nothing is written to disk for other users' issues.
+ * Unknown issues get 404.
+ */
+const requireIssueParticipant = async (req, res, next) => {
+    try {
+        const access = await issueService.getAccessLevel(req.params.issueId, req.user);
+
+        if (!access) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Issue not found' 
+            });
+        }
+
+        if (access === ACCESS_LEVELS.PUBLIC) {
+            return res.status(403).json({ 
+                success: false,
+                error: 'Only the reporter, department staff and admins can do this' 
+            });
+        }
+    } catch (error) {
+        console.error('Issue access check error:', error.message);
+        return res.status(500).json({ 
+            success: false,
+            error: 'Internal server error' 
+        });
+    }
+
+    next();
+};
+
+/**
+ * Verified phone middleware
+ * Rejects users who have not confirmed their phone number by OTP yet.
+ * Use after authenticateToken.
+ */
+const requireVerifiedPhone = async (req, res, next) => {
+    try {
+        const verified = await authService.isPhoneVerified(req.user.userId);
+
+        if (!verified) {
+            return res.status(403).json({ 
+                success: false,
+                error: 'Phone number must be verified before you can do this' 
+            });
+        }
+
+        next();
+
+    } catch (error) {
+        return res.status(500).json({ 
+            success: false,
+            error: 'Internal server error' 
+        });
+    }
+};
+
 /**
  * Optional authentication middleware
  * Attaches user info if token is valid, but doesn't reject request if no token
  * Useful for endpoints that work for both authenticated and guest users
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
     try {
         const authHeader = req.headers['authorization'];
         const token = authHeader && authHeader.split(' ')[1];
 
         if (token) {
-            const decoded = authService.verifyToken(token);
+            const decoded = await authService.authenticate(token, { ipAddress: req.ip });
             req.user = decoded;
         }
     } catch (error) {
@@ -92,5 +232,10 @@ const optionalAuth = (req, res, next) => {
 module.exports = {
     authenticateToken,
     authorize,
+    requirePermission,
+    requireIssueParticipant,
+    issueDepartment,
+    paramDepartment,
+    requireVerifiedPhone,
     optionalAuth
 };
@@ -0,0 +1,51 @@
+const rateLimitService = require('../services/rateLimitService');
+
+/**
+ * Middleware - Rate Limiting
+ * Counts requests per client IP, user or phone number and answers 429 with
+ * Retry-After once a limit is used up. Limits are defined in rateLimitService.
+ */
+
+// What a request is counted by
+const byIp = (req) => req.ip;
+const byUser = (req) => req.user && req.user.userId;
+const byPhoneNumber = (req) => (req.body && req.body.phoneNumber ? String(req.body.phoneNumber).trim() : null);
+
+/**
+ * Rate limiting middleware
+ * @param {string} limitName - Key of rateLimitService.RATE_LIMITS
+ * @param {Function} getIdentifier - (req) => what to count by; requests without one are not counted
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.post('/login', rateLimit('LOGIN_IP', byIp), controller.login);
+ * router.post('/create', authenticateToken, rateLimit('ISSUE_CREATE_USER', byUser), controller.create);
+ */
+const rateLimit = (limitName, getIdentifier = byIp) => {
+    // Fail at startup, not on the first request
+    rateLimitService.getLimit(limitName);
+
+    return async (req, res, next) => {
+        const identifier = getIdentifier(req);
+        if (identifier === undefined || identifier === null || identifier === '') return next();
+
+        const result = await rateLimitService.consume(limitName, identifier);
+        if (!result.allowed) {
+            res.set('Retry-After', String(result.retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                error: 'Too many requests. Please try again later',
+                retryAfterSeconds: result.retryAfterSeconds
+            });
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    rateLimit,
+    byIp,
+    byUser,
+    byPhoneNumber
+};
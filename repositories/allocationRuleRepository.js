@@ -0,0 +1,131 @@
+const { sql, getPool } = require('../db');
+
+const RULE_COLUMNS = `
+    r.RuleId, r.Name, r.DepartmentId, d.DepartmentName, r.Keywords, r.ExcludeWords, r.IsActive,
+    r.CreatedBy, r.UpdatedBy, r.CreatedAt, r.UpdatedAt
+`;
+
+/**
+ * Repository Layer - Department Allocation Rules
+ * Keyword rules that decide which department a new issue goes to
+ */
+class AllocationRuleRepository {
+    /**
+     * Get rules with their department names
+     * @param {Object} options - { includeInactive }
+     * @returns {Promise<Array>} Rules ordered by RuleId
+     */
+    async getAll({ includeInactive = false } = {}) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('includeInactive', sql.Bit, includeInactive)
+                .query(`
+                    SELECT ${RULE_COLUMNS}
+                    FROM Allocation_Rules r
+                    JOIN Departments d ON r.DepartmentId = d.DepartmentId
+                    WHERE @includeInactive = 1 OR r.IsActive = 1
+                    ORDER BY r.RuleId
+                `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getAll: ${error.message}`);
+        }
+    }
+
+    async getById(ruleId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('ruleId', sql.Int, ruleId)
+                .query(`
+                    SELECT ${RULE_COLUMNS}
+                    FROM Allocation_Rules r
+                    JOIN Departments d ON r.DepartmentId = d.DepartmentId
+                    WHERE r.RuleId = @ruleId
+                `);
+
+            return result.recordset[0] || null;
+        } catch (error) {
+            throw new Error(`Database error in getById: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a rule
+     * @param {Object} rule - { name, departmentId, keywords (JSON), excludeWords (JSON), isActive, createdBy }
+     * @returns {Promise<number>} New RuleId
+     */
+    async create({ name, departmentId, keywords, excludeWords, isActive, createdBy }) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('name', sql.NVarChar, name)
+                .input('departmentId', sql.Int, departmentId)
+                .input('keywords', sql.NVarChar(sql.MAX), keywords)
+                .input('excludeWords', sql.NVarChar(sql.MAX), excludeWords)
+                .input('isActive', sql.Bit, isActive)
+                .input('createdBy', sql.Int, createdBy)
+                .query(`
+                    INSERT INTO Allocation_Rules (Name, DepartmentId, Keywords, ExcludeWords, IsActive, CreatedBy, UpdatedBy)
+                    OUTPUT INSERTED.RuleId
+                    VALUES (@name, @departmentId, @keywords, @excludeWords, @isActive, @createdBy, @createdBy)
+                `);
+
+            return result.recordset[0].RuleId;
+        } catch (error) {
+            throw new Error(`Database error in create: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a rule; fields left undefined keep their value
+     * @param {number} ruleId - Rule ID
+     * @param {Object} changes - { name?, departmentId?, keywords?, excludeWords?, isActive?, updatedBy }
+     * @returns {Promise<boolean>} False if the rule does not exist
+     */
+    async update(ruleId, { name, departmentId, keywords, excludeWords, isActive, updatedBy }) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('ruleId', sql.Int, ruleId)
+                .input('name', sql.NVarChar, name ?? null)
+                .input('departmentId', sql.Int, departmentId ?? null)
+                .input('keywords', sql.NVarChar(sql.MAX), keywords ?? null)
+                .input('excludeWords', sql.NVarChar(sql.MAX), excludeWords ?? null)
+                .input('isActive', sql.Bit, isActive ?? null)
+                .input('updatedBy', sql.Int, updatedBy)
+                .query(`
+                    UPDATE Allocation_Rules
+                    SET Name = COALESCE(@name, Name),
+                        DepartmentId = COALESCE(@departmentId, DepartmentId),
+                        Keywords = COALESCE(@keywords, Keywords),
+                        ExcludeWords = COALESCE(@excludeWords, ExcludeWords),
+                        IsActive = COALESCE(@isActive, IsActive),
+                        UpdatedBy = @updatedBy,
+                        UpdatedAt = SYSUTCDATETIME()
+                    WHERE RuleId = @ruleId
+                `);
+
+            return result.rowsAffected[0] > 0;
+        } catch (error) {
+            throw new Error(`Database error in update: ${error.message}`);
+        }
+    }
+
+    async delete(ruleId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('ruleId', sql.Int, ruleId)
+                .query(`DELETE FROM Allocation_Rules WHERE RuleId = @ruleId`);
+
+            return result.rowsAffected[0] > 0;
+        } catch (error) {
+            throw new Error(`Database error in delete: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new AllocationRuleRepository();
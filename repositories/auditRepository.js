@@ -0,0 +1,78 @@
+const { sql, getPool } = require('../db');
+
+/**
+ * Repository Layer - Admin Audit Log
+ * Records who did what to which account
+ */
+class AuditRepository {
+    /**
+     * Insert an audit entry as part of a transaction
+     * @param {Object} transaction - Active transaction
+     * @param {Object} entry - { actorId, action, targetUserId?, details? }
+     * @returns {Promise<Object>} Created entry
+     */
+    async insertEntry(transaction, { actorId, action, targetUserId, details }) {
+        const result = await new sql.Request(transaction)
+            .input('actorId', sql.Int, actorId)
+            .input('action', sql.NVarChar, action)
+            .input('targetUserId', sql.Int, targetUserId || null)
+            .input('details', sql.NVarChar, details ? JSON.stringify(details) : null)
+            .query(`
+                INSERT INTO Admin_Audit_Log (ActorId, Action, TargetUserId, Details)
+                OUTPUT INSERTED.AuditId, INSERTED.ActorId, INSERTED.Action, INSERTED.TargetUserId,
+                       INSERTED.Details, INSERTED.CreatedAt
+                VALUES (@actorId, @action, @targetUserId, @details)
+            `);
+
+        return result.recordset[0];
+    }
+
+    /**
+     * Record an audit entry on its own
+     * @param {Object} entry - { actorId, action, targetUserId?, details? }
+     * @returns {Promise<Object>} Created entry
+     */
+    async record(entry) {
+        try {
+            const pool = await getPool();
+            return await this.insertEntry(pool, entry);
+        } catch (error) {
+            throw new Error(`Database error in record: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get audit entries, newest first, with actor and target names
+     * @param {Object} filters - { actorId?, targetUserId?, action?, limit, offset }
+     * @returns {Promise<Array>} Array of entries
+     */
+    async getEntries({ actorId = null, targetUserId = null, action = null, limit = 50, offset = 0 } = {}) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('actorId', sql.Int, actorId)
+                .input('targetUserId', sql.Int, targetUserId)
+                .input('action', sql.NVarChar, action)
+                .input('limit', sql.Int, limit)
+                .input('offset', sql.Int, offset)
+                .query(`
+                    SELECT a.AuditId, a.ActorId, a.Action, a.TargetUserId, a.Details, a.CreatedAt,
+                           actor.FullName as ActorName, target.FullName as TargetName
+                    FROM Admin_Audit_Log a
+                    LEFT JOIN Users actor ON a.ActorId = actor.UserId
+                    LEFT JOIN Users target ON a.TargetUserId = target.UserId
+                    WHERE (@actorId IS NULL OR a.ActorId = @actorId)
+                      AND (@targetUserId IS NULL OR a.TargetUserId = @targetUserId)
+                      AND (@action IS NULL OR a.Action = @action)
+                    ORDER BY a.CreatedAt DESC, a.AuditId DESC
+                    OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
+                `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getEntries: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new AuditRepository();
@@ -16,7 +16,8 @@ class AuthRepository {
             const result = await pool.request()
                 .input('phoneNumber', sql.NVarChar, phoneNumber)
                 .query(`
-                    SELECT UserId, FullName, phone_number, PasswordHash, Email, Role, DepartmentId, CreatedAt 
+                    SELECT UserId, FullName, phone_number, PasswordHash, Email, Role, DepartmentId, PhoneVerifiedAt, TokenVersion,
+                           DeactivatedAt, PasswordResetRequired, TwoFactorEnabledAt, CreatedAt 
                     FROM Users 
                     WHERE phone_number = @phoneNumber
                 `);
@@ -38,7 +39,8 @@ class AuthRepository {
             const result = await pool.request()
                 .input('userId', sql.Int, userId)
                 .query(`
-                    SELECT UserId, FullName, phone_number, Email, Role, DepartmentId, CreatedAt 
+                    SELECT UserId, FullName, phone_number, Email, Role, DepartmentId, PhoneVerifiedAt, TokenVersion,
+                           DeactivatedAt, PasswordResetRequired, TwoFactorEnabledAt, CreatedAt 
                     FROM Users 
                     WHERE UserId = @userId
                 `);
@@ -60,7 +62,7 @@ class AuthRepository {
             const result = await pool.request()
                 .input('userId', sql.Int, userId)
                 .query(`
-                    SELECT u.UserId, u.FullName, u.phone_number, u.Email, u.Role, u.DepartmentId, u.CreatedAt,
+                    SELECT u.UserId, u.FullName, u.phone_number, u.Email, u.Role, u.DepartmentId, u.PhoneVerifiedAt, u.CreatedAt,
                            d.DepartmentName, d.Latitude, d.Longitude
                     FROM Users u
                     LEFT JOIN Departments d ON u.DepartmentId = d.DepartmentId
@@ -93,7 +95,7 @@ class AuthRepository {
                 .query(`
                     INSERT INTO Users (FullName, phone_number, PasswordHash, Email, Role, DepartmentId)
                     OUTPUT INSERTED.UserId, INSERTED.FullName, INSERTED.phone_number, INSERTED.Email, 
-                           INSERTED.Role, INSERTED.DepartmentId, INSERTED.CreatedAt
+                           INSERTED.Role, INSERTED.DepartmentId, INSERTED.PhoneVerifiedAt, INSERTED.TokenVersion, INSERTED.CreatedAt
                     VALUES (@fullName, @phoneNumber, @passwordHash, @email, @role, @departmentId)
                 `);
             
@@ -107,6 +109,132 @@ class AuthRepository {
         }
     }
 
+    /**
+     * Mark a user's phone number as verified
+     * @param {number} userId - User's ID
+     * @returns {Promise<Object|null>} Updated user or null
+     */
+    async markPhoneVerified(userId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .query(`
+                    UPDATE Users
+                    SET PhoneVerifiedAt = COALESCE(PhoneVerifiedAt, SYSUTCDATETIME())
+                    OUTPUT INSERTED.UserId, INSERTED.FullName, INSERTED.phone_number, INSERTED.Email,
+                           INSERTED.Role, INSERTED.DepartmentId, INSERTED.PhoneVerifiedAt, INSERTED.TokenVersion,
+                           INSERTED.TwoFactorEnabledAt, INSERTED.CreatedAt
+                    WHERE UserId = @userId
+                `);
+            
+            return result.recordset.length > 0 ? result.recordset[0] : null;
+        } catch (error) {
+            throw new Error(`Database error in markPhoneVerified: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a user's password hash
+     * @param {number} userId - User's ID
+     * @returns {Promise<string|null>} Password hash or null
+     */
+    async getPasswordHash(userId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .query('SELECT PasswordHash FROM Users WHERE UserId = @userId');
+            
+            return result.recordset.length > 0 ? result.recordset[0].PasswordHash : null;
+        } catch (error) {
+            throw new Error(`Database error in getPasswordHash: ${error.message}`);
+        }
+    }
+
+    /**
+     * Set a new password and bump the token version, which invalidates every
+     * token issued before the change
+     * @param {number} userId - User's ID
+     * @param {string} passwordHash - New hashed password
+     * @returns {Promise<Object|null>} Updated user or null
+     */
+    async updatePassword(userId, passwordHash) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .input('passwordHash', sql.NVarChar, passwordHash)
+                .query(`
+                    UPDATE Users
+                    SET PasswordHash = @passwordHash,
+                        TokenVersion = TokenVersion + 1,
+                        PasswordChangedAt = SYSUTCDATETIME(),
+                        PasswordResetRequired = 0
+                    OUTPUT INSERTED.UserId, INSERTED.FullName, INSERTED.phone_number, INSERTED.Email,
+                           INSERTED.Role, INSERTED.DepartmentId, INSERTED.PhoneVerifiedAt, INSERTED.TokenVersion,
+                           INSERTED.TwoFactorEnabledAt, INSERTED.CreatedAt
+                    WHERE UserId = @userId
+                `);
+            
+            return result.recordset.length > 0 ? result.recordset[0] : null;
+        } catch (error) {
+            throw new Error(`Database error in updatePassword: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get what is needed to accept an access token: the user's token version and,
+     * when the token belongs to a session, whether that session is still live
+     * @param {number} userId - User's ID
+     * @param {string|null} sessionId - Session the token was issued for
+     * @returns {Promise<Object|null>} { TokenVersion, DeactivatedAt, Role, DepartmentId, SessionActive } or null if the user is gone
+     */
+    async getAuthState(userId, sessionId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .input('sessionId', sql.NVarChar, sessionId || null)
+                .query(`
+                    SELECT u.TokenVersion, u.DeactivatedAt, u.Role, u.DepartmentId,
+                           CASE WHEN @sessionId IS NULL OR EXISTS (
+                               SELECT 1 FROM User_Sessions s
+                               WHERE s.SessionId = @sessionId AND s.UserId = u.UserId AND s.RevokedAt IS NULL
+                           ) THEN 1 ELSE 0 END as SessionActive
+                    FROM Users u
+                    WHERE u.UserId = @userId
+                `);
+            
+            return result.recordset.length > 0 ? result.recordset[0] : null;
+        } catch (error) {
+            throw new Error(`Database error in getAuthState: ${error.message}`);
+        }
+    }
+
+    /**
+     * Bump the token version, which invalidates every access token issued before
+     * @param {number} userId - User's ID
+     * @returns {Promise<number|null>} New token version or null if the user is gone
+     */
+    async incrementTokenVersion(userId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .query(`
+                    UPDATE Users
+                    SET TokenVersion = TokenVersion + 1
+                    OUTPUT INSERTED.TokenVersion
+                    WHERE UserId = @userId
+                `);
+            
+            return result.recordset.length > 0 ? result.recordset[0].TokenVersion : null;
+        } catch (error) {
+            throw new Error(`Database error in incrementTokenVersion: ${error.message}`);
+        }
+    }
+
     /**
      * Check if phone number exists
      * @param {string} phoneNumber - Phone number to check
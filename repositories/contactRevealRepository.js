@@ -0,0 +1,73 @@
+const { sql, getPool } = require('../db');
+
+/**
+ * Repository Layer - Contact Reveal Log
+ * Records every time a reporter's phone number is shown unmasked to someone else
+ */
+class ContactRevealRepository {
+    /**
+     * Record reveals made by one viewer in one response
+     * @param {number} viewerId - Who saw the numbers
+     * @param {Array} reveals - [{ issueId, citizenId }]
+     * @param {string} context - Where they were shown (ISSUE_DETAILS, STAFF_TASKS)
+     * @returns {Promise<number>} Rows written
+     */
+    async logReveals(viewerId, reveals, context) {
+        try {
+            const pool = await getPool();
+            const request = pool.request()
+                .input('viewerId', sql.Int, viewerId)
+                .input('context', sql.NVarChar, context);
+
+            const values = reveals.map(({ issueId, citizenId }, index) => {
+                request.input(`issueId${index}`, sql.UniqueIdentifier, issueId);
+                request.input(`citizenId${index}`, sql.Int, citizenId);
+                return `(@viewerId, @citizenId${index}, @issueId${index}, @context)`;
+            });
+
+            const result = await request.query(`
+                INSERT INTO Contact_Reveal_Log (ViewerId, CitizenId, IssueId, Context)
+                VALUES ${values.join(', ')}
+            `);
+
+            return result.rowsAffected[0];
+        } catch (error) {
+            throw new Error(`Database error in logReveals: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get reveals, newest first, with viewer and citizen names
+     * @param {Object} filters - { viewerId?, citizenId?, issueId?, limit, offset }
+     * @returns {Promise<Array>} Array of reveals
+     */
+    async getReveals({ viewerId = null, citizenId = null, issueId = null, limit = 50, offset = 0 } = {}) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('viewerId', sql.Int, viewerId)
+                .input('citizenId', sql.Int, citizenId)
+                .input('issueId', sql.UniqueIdentifier, issueId)
+                .input('limit', sql.Int, limit)
+                .input('offset', sql.Int, offset)
+                .query(`
+                    SELECT r.RevealId, r.ViewerId, r.CitizenId, r.IssueId, r.Context, r.RevealedAt,
+                           viewer.FullName as ViewerName, viewer.Role as ViewerRole, citizen.FullName as CitizenName
+                    FROM Contact_Reveal_Log r
+                    LEFT JOIN Users viewer ON r.ViewerId = viewer.UserId
+                    LEFT JOIN Users citizen ON r.CitizenId = citizen.UserId
+                    WHERE (@viewerId IS NULL OR r.ViewerId = @viewerId)
+                      AND (@citizenId IS NULL OR r.CitizenId = @citizenId)
+                      AND (@issueId IS NULL OR r.IssueId = @issueId)
+                    ORDER BY r.RevealedAt DESC, r.RevealId DESC
+                    OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
+                `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getReveals: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new ContactRevealRepository();
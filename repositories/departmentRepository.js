@@ -4,12 +4,46 @@ class DepartmentRepository {
     async getAll() {
         const pool = await getPool();
         const result = await pool.request().query(`
-            SELECT DepartmentId, DepartmentName, Latitude, Longitude
+            SELECT DepartmentId, DepartmentName, Latitude, Longitude,
+                   JurisdictionName, JurisdictionGeoJson, JurisdictionUpdatedAt
             FROM Departments
             ORDER BY DepartmentName
         `);
         return result.recordset;
     }
+
+    async getById(departmentId) {
+        const pool = await getPool();
+        const result = await pool.request()
+            .input('departmentId', sql.Int, departmentId)
+            .query(`
+                SELECT DepartmentId, DepartmentName, Latitude, Longitude,
+                       JurisdictionName, JurisdictionGeoJson, JurisdictionUpdatedAt
+                FROM Departments
+                WHERE DepartmentId = @departmentId
+            `);
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Set or clear a department's jurisdiction area
+     * @param {number} departmentId - Department ID
+     * @param {Object} jurisdiction - { name, geoJson } (geoJson null to clear)
+     */
+    async setJurisdiction(departmentId, { name, geoJson }) {
+        const pool = await getPool();
+        await pool.request()
+            .input('departmentId', sql.Int, departmentId)
+            .input('name', sql.NVarChar, name)
+            .input('geoJson', sql.NVarChar(sql.MAX), geoJson)
+            .query(`
+                UPDATE Departments
+                SET JurisdictionName = @name,
+                    JurisdictionGeoJson = @geoJson,
+                    JurisdictionUpdatedAt = CASE WHEN @geoJson IS NULL THEN NULL ELSE SYSUTCDATETIME() END
+                WHERE DepartmentId = @departmentId
+            `);
+    }
 }
 
 module.exports = new DepartmentRepository();
@@ -0,0 +1,107 @@
+const { sql, getPool } = require('../db');
+
+/**
+ * Repository Layer - Push Device Operations
+ * Handles registered push notification devices
+ */
+class DeviceRepository {
+    /**
+     * Register a device token for a user.
+     * A token already registered (to this or another user) is moved to this user.
+     * @param {Object} device - { userId, platform, pushToken }
+     * @returns {Promise<Object>} Saved device
+     */
+    async upsertDevice({ userId, platform, pushToken }) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .input('platform', sql.NVarChar, platform)
+                .input('pushToken', sql.NVarChar, pushToken)
+                .query(`
+                    MERGE User_Devices AS target
+                    USING (SELECT @pushToken AS PushToken) AS source
+                    ON target.PushToken = source.PushToken
+                    WHEN MATCHED THEN
+                        UPDATE SET UserId = @userId, Platform = @platform, LastSeenAt = SYSUTCDATETIME()
+                    WHEN NOT MATCHED THEN
+                        INSERT (UserId, Platform, PushToken) VALUES (@userId, @platform, @pushToken)
+                    OUTPUT INSERTED.DeviceId, INSERTED.UserId, INSERTED.Platform, INSERTED.PushToken,
+                           INSERTED.CreatedAt, INSERTED.LastSeenAt;
+                `);
+
+            return result.recordset[0];
+        } catch (error) {
+            throw new Error(`Database error in upsertDevice: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a user's device token
+     * @param {number} userId - Owner
+     * @param {string} pushToken - Token to remove
+     * @returns {Promise<boolean>} True if a device was removed
+     */
+    async deleteDevice(userId, pushToken) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .input('pushToken', sql.NVarChar, pushToken)
+                .query(`DELETE FROM User_Devices WHERE UserId = @userId AND PushToken = @pushToken`);
+
+            return result.rowsAffected[0] > 0;
+        } catch (error) {
+            throw new Error(`Database error in deleteDevice: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get devices of several users
+     * @param {Array<number>} userIds - User IDs
+     * @returns {Promise<Array>} Array of devices
+     */
+    async getDevicesForUsers(userIds) {
+        if (!userIds.length) return [];
+
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userIds', sql.NVarChar, userIds.join(','))
+                .query(`
+                    SELECT DeviceId, UserId, Platform, PushToken
+                    FROM User_Devices
+                    WHERE UserId IN (SELECT CAST(value AS INT) FROM STRING_SPLIT(@userIds, ','))
+                `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getDevicesForUsers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove tokens the push provider reported as invalid
+     * @param {Array<string>} pushTokens - Dead tokens
+     * @returns {Promise<number>} Number of devices removed
+     */
+    async deleteTokens(pushTokens) {
+        if (!pushTokens.length) return 0;
+
+        try {
+            const pool = await getPool();
+            const request = pool.request();
+            const params = pushTokens.map((token, index) => {
+                request.input(`token${index}`, sql.NVarChar, token);
+                return `@token${index}`;
+            });
+
+            const result = await request.query(`DELETE FROM User_Devices WHERE PushToken IN (${params.join(', ')})`);
+            return result.rowsAffected[0];
+        } catch (error) {
+            throw new Error(`Database error in deleteTokens: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new DeviceRepository();
@@ -0,0 +1,167 @@
+const { sql, getPool, withTransaction } = require('../db');
+
+// Pending = not accepted, not revoked and not expired
+const PENDING = `AcceptedAt IS NULL AND RevokedAt IS NULL AND ExpiresAt > SYSUTCDATETIME()`;
+
+/**
+ * Repository Layer - Invitation Operations
+ * Handles admin-issued invitations for STAFF, DEPT_HEAD and ADMIN accounts
+ */
+class InvitationRepository {
+    /**
+     * Store an invitation and revoke any earlier pending one for the same phone number
+     * @param {Object} invitation - { tokenHash, phoneNumber, fullName, email, role, departmentId, invitedBy, expiresAt }
+     * @returns {Promise<Object>} Created invitation
+     */
+    async createInvitation({ tokenHash, phoneNumber, fullName, email, role, departmentId, invitedBy, expiresAt }) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('tokenHash', sql.NVarChar, tokenHash)
+                .input('phoneNumber', sql.NVarChar, phoneNumber)
+                .input('fullName', sql.NVarChar, fullName || null)
+                .input('email', sql.NVarChar, email || null)
+                .input('role', sql.NVarChar, role)
+                .input('departmentId', sql.Int, departmentId || null)
+                .input('invitedBy', sql.Int, invitedBy)
+                .input('expiresAt', sql.DateTime2, expiresAt)
+                .query(`
+                    UPDATE User_Invitations
+                    SET RevokedAt = SYSUTCDATETIME()
+                    WHERE PhoneNumber = @phoneNumber AND ${PENDING};
+
+                    INSERT INTO User_Invitations (TokenHash, PhoneNumber, FullName, Email, Role, DepartmentId, InvitedBy, ExpiresAt)
+                    OUTPUT INSERTED.InvitationId, INSERTED.PhoneNumber, INSERTED.FullName, INSERTED.Email, INSERTED.Role,
+                           INSERTED.DepartmentId, INSERTED.InvitedBy, INSERTED.ExpiresAt, INSERTED.CreatedAt
+                    VALUES (@tokenHash, @phoneNumber, @fullName, @email, @role, @departmentId, @invitedBy, @expiresAt);
+                `);
+
+            return result.recordset[0];
+        } catch (error) {
+            throw new Error(`Database error in createInvitation: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get pending invitations with department and inviter names
+     * @returns {Promise<Array>} Array of invitations
+     */
+    async getPendingInvitations() {
+        try {
+            const pool = await getPool();
+            const result = await pool.request().query(`
+                SELECT i.InvitationId, i.PhoneNumber, i.FullName, i.Email, i.Role, i.DepartmentId,
+                       i.InvitedBy, i.ExpiresAt, i.CreatedAt,
+                       d.DepartmentName, u.FullName as InvitedByName
+                FROM User_Invitations i
+                LEFT JOIN Departments d ON i.DepartmentId = d.DepartmentId
+                LEFT JOIN Users u ON i.InvitedBy = u.UserId
+                WHERE i.AcceptedAt IS NULL AND i.RevokedAt IS NULL AND i.ExpiresAt > SYSUTCDATETIME()
+                ORDER BY i.CreatedAt DESC
+            `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getPendingInvitations: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find a pending invitation by the hash of its token
+     * @param {string} tokenHash - SHA-256 of the invitation token
+     * @returns {Promise<Object|null>} Invitation or null
+     */
+    async findPendingByTokenHash(tokenHash) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('tokenHash', sql.NVarChar, tokenHash)
+                .query(`
+                    SELECT InvitationId, PhoneNumber, FullName, Email, Role, DepartmentId, InvitedBy, ExpiresAt, CreatedAt
+                    FROM User_Invitations
+                    WHERE TokenHash = @tokenHash AND ${PENDING}
+                `);
+
+            return result.recordset[0] || null;
+        } catch (error) {
+            throw new Error(`Database error in findPendingByTokenHash: ${error.message}`);
+        }
+    }
+
+    /**
+     * Revoke a pending invitation
+     * @param {number} invitationId - Invitation ID
+     * @returns {Promise<boolean>} True if an invitation was revoked
+     */
+    async revokeInvitation(invitationId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('invitationId', sql.Int, invitationId)
+                .query(`
+                    UPDATE User_Invitations
+                    SET RevokedAt = SYSUTCDATETIME()
+                    WHERE InvitationId = @invitationId AND ${PENDING}
+                `);
+
+            return result.rowsAffected[0] > 0;
+        } catch (error) {
+            throw new Error(`Database error in revokeInvitation: ${error.message}`);
+        }
+    }
+
+    /**
+     * Redeem an invitation: mark it used and create the account with the invited
+     * role and department. The phone number counts as verified, since the token
+     * was delivered to it by SMS.
+     * @param {Object} acceptance - { invitationId, fullName, email, passwordHash }
+     * @returns {Promise<Object|null>} Created user, or null if the invitation is no longer pending
+     */
+    async acceptInvitation({ invitationId, fullName, email, passwordHash }) {
+        try {
+            return await withTransaction(async (transaction) => {
+                const claimed = await new sql.Request(transaction)
+                    .input('invitationId', sql.Int, invitationId)
+                    .query(`
+                        UPDATE User_Invitations
+                        SET AcceptedAt = SYSUTCDATETIME()
+                        OUTPUT INSERTED.PhoneNumber, INSERTED.Role, INSERTED.DepartmentId, INSERTED.FullName, INSERTED.Email
+                        WHERE InvitationId = @invitationId AND ${PENDING}
+                    `);
+
+                const invitation = claimed.recordset[0];
+                if (!invitation) return null;
+
+                const created = await new sql.Request(transaction)
+                    .input('fullName', sql.NVarChar, fullName || invitation.FullName)
+                    .input('phoneNumber', sql.NVarChar, invitation.PhoneNumber)
+                    .input('passwordHash', sql.NVarChar, passwordHash)
+                    .input('email', sql.NVarChar, email || invitation.Email || null)
+                    .input('role', sql.NVarChar, invitation.Role)
+                    .input('departmentId', sql.Int, invitation.DepartmentId)
+                    .query(`
+                        INSERT INTO Users (FullName, phone_number, PasswordHash, Email, Role, DepartmentId, PhoneVerifiedAt)
+                        OUTPUT INSERTED.UserId, INSERTED.FullName, INSERTED.phone_number, INSERTED.Email,
+                               INSERTED.Role, INSERTED.DepartmentId, INSERTED.PhoneVerifiedAt, INSERTED.TokenVersion, INSERTED.CreatedAt
+                        VALUES (@fullName, @phoneNumber, @passwordHash, @email, @role, @departmentId, SYSUTCDATETIME())
+                    `);
+
+                const user = created.recordset[0];
+
+                await new sql.Request(transaction)
+                    .input('invitationId', sql.Int, invitationId)
+                    .input('userId', sql.Int, user.UserId)
+                    .query(`UPDATE User_Invitations SET AcceptedUserId = @userId WHERE InvitationId = @invitationId`);
+
+                return user;
+            });
+        } catch (error) {
+            if (error.message.includes('duplicate') || error.message.includes('UNIQUE')) {
+                throw new Error('Phone number already registered');
+            }
+            throw new Error(`Database error in acceptInvitation: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new InvitationRepository();
@@ -1,13 +1,56 @@
-const { sql, getPool } = require('../db');
+const { sql, getPool, withTransaction } = require('../db');
+
+// Most specific SLA policy for an issue: department + issue type, else the department default
+const SLA_POLICY_APPLY = `
+    OUTER APPLY (
+        SELECT TOP 1 sp.AcknowledgeHours as SlaAcknowledgeHours, sp.ResolveHours as SlaResolveHours
+        FROM Sla_Policies sp
+        WHERE sp.DepartmentId = i.DepartmentId
+          AND (sp.IssueType = i.IssueType OR sp.IssueType IS NULL)
+        ORDER BY CASE WHEN sp.IssueType IS NULL THEN 1 ELSE 0 END
+    ) sla`;
+
+// Number of citizens who upvoted the issue
+const UPVOTE_COUNT = `
+    (SELECT COUNT(*) FROM Issue_Upvotes uv WHERE uv.IssueId = i.IssueId)`;
+
+// Original reporter plus everyone who filed a duplicate report
+const REPORTER_COUNT = `
+    (1 + (SELECT COUNT(*) FROM Issue_Followers f WHERE f.IssueId = i.IssueId AND f.Source = 'REPORT'))`;
 
 /**
  * Repository Layer - Issue Operations
  * Handles all direct database queries for issues
  */
 class IssueRepository {
+    /**
+     * Insert a status history entry
+     * @param {Object} transaction - Active transaction
+     * @param {Object} entry - { issueId, fromStatus, toStatus, changedBy, note }
+     * @returns {Promise<Object>} Created history row
+     */
+    async insertStatusHistory(transaction, { issueId, fromStatus, toStatus, changedBy, note }) {
+        const result = await new sql.Request(transaction)
+            .input('issueId', sql.UniqueIdentifier, issueId)
+            .input('fromStatus', sql.NVarChar, fromStatus || null)
+            .input('toStatus', sql.NVarChar, toStatus)
+            .input('changedBy', sql.Int, changedBy || null)
+            .input('note', sql.NVarChar, note || null)
+            .query(`
+                INSERT INTO Issue_Status_History (IssueId, FromStatus, ToStatus, ChangedBy, Note)
+                OUTPUT INSERTED.HistoryId, INSERTED.IssueId, INSERTED.FromStatus, INSERTED.ToStatus,
+                       INSERTED.ChangedBy, INSERTED.Note, INSERTED.ChangedAt
+                VALUES (@issueId, @fromStatus, @toStatus, @changedBy, @note)
+            `);
+
+        return result.recordset[0];
+    }
+
     /**
      * Create new issue
-     * @param {Object} issueData - Issue data object
+     * @param {Object} issueData - Issue data object; allocationSource says who chose the department
+     *   ('REPORTER' | 'AUTOMATIC'). With `triage` ({ reason, confidence, suggestedRuleId }) the issue
+     *   is also put in the triage queue
      * @returns {Promise<Object>} Created issue with ID
      */
     async createIssue(issueData) {
@@ -19,29 +62,58 @@ class IssueRepository {
                 description, 
                 latitude, 
                 longitude, 
-                address 
+                address,
+                isAnonymous = false,
+                allocationConfidence = null,
+                allocationSource = null,
+                triage = null
             } = issueData;
 
-            const pool = await getPool();
-            const result = await pool.request()
-                .input('citizenId', sql.Int, citizenId)
-                .input('departmentId', sql.Int, departmentId)
-                .input('issueType', sql.NVarChar, issueType || null)
-                .input('description', sql.NVarChar, description)
-                .input('latitude', sql.Float, latitude)
-                .input('longitude', sql.Float, longitude)
-                .input('address', sql.NVarChar, address || null)
-                .query(`
-                    INSERT INTO Issues (CitizenId, DepartmentId, IssueType, Description, Latitude, Longitude, Address, Status)
-                    OUTPUT INSERTED.IssueId, INSERTED.CitizenId, INSERTED.DepartmentId, INSERTED.IssueType, 
-                           INSERTED.Description, INSERTED.Latitude, INSERTED.Longitude, INSERTED.Address, 
-                           INSERTED.Status, INSERTED.CreatedAt
-                    VALUES (@citizenId, @departmentId, @issueType, @description, @latitude, @longitude, @address, 'REPORTED')
-                `);
-
-            const issue = result.recordset[0];
+            const issue = await withTransaction(async (transaction) => {
+                const result = await new sql.Request(transaction)
+                    .input('citizenId', sql.Int, citizenId)
+                    .input('departmentId', sql.Int, departmentId)
+                    .input('issueType', sql.NVarChar, issueType || null)
+                    .input('description', sql.NVarChar, description)
+                    .input('latitude', sql.Float, latitude)
+                    .input('longitude', sql.Float, longitude)
+                    .input('address', sql.NVarChar, address || null)
+                    .input('isAnonymous', sql.Bit, isAnonymous ? 1 : 0)
+                    .input('allocationConfidence', sql.Decimal(4, 3), allocationConfidence)
+                    .input('allocationSource', sql.NVarChar, allocationSource)
+                    .query(`
+                        INSERT INTO Issues (CitizenId, DepartmentId, IssueType, Description, Latitude, Longitude, Address, IsAnonymous, AllocationConfidence, AllocationSource, Status, UpdatedAt)
+                        OUTPUT INSERTED.IssueId, INSERTED.CitizenId, INSERTED.DepartmentId, INSERTED.IssueType, 
+                               INSERTED.Description, INSERTED.Latitude, INSERTED.Longitude, INSERTED.Address, 
+                               INSERTED.IsAnonymous, INSERTED.AllocationConfidence, INSERTED.Status, INSERTED.CreatedAt, INSERTED.UpdatedAt
+                        VALUES (@citizenId, @departmentId, @issueType, @description, @latitude, @longitude, @address, @isAnonymous, @allocationConfidence, @allocationSource, 'REPORTED', SYSUTCDATETIME())
+                    `);
+
+                const created = result.recordset[0];
+                await this.insertStatusHistory(transaction, {
+                    issueId: created.IssueId,
+                    fromStatus: null,
+                    toStatus: created.Status,
+                    changedBy: citizenId
+                });
+
+                if (triage) {
+                    await new sql.Request(transaction)
+                        .input('issueId', sql.UniqueIdentifier, created.IssueId)
+                        .input('reason', sql.NVarChar, triage.reason)
+                        .input('confidence', sql.Decimal(4, 3), triage.confidence)
+                        .input('departmentId', sql.Int, departmentId)
+                        .input('ruleId', sql.Int, triage.suggestedRuleId || null)
+                        .query(`
+                            INSERT INTO Issue_Triage (IssueId, Reason, Confidence, SuggestedDepartmentId, SuggestedRuleId)
+                            VALUES (@issueId, @reason, @confidence, @departmentId, @ruleId)
+                        `);
+                }
+                return created;
+            });
 
             // Fetch department name
+            const pool = await getPool();
             const deptResult = await pool.request()
                 .input('departmentId', sql.Int, issue.DepartmentId)
                 .query(`SELECT DepartmentName FROM Departments WHERE DepartmentId = @departmentId`);
@@ -56,6 +128,148 @@ class IssueRepository {
         }
     }
 
+    /**
+     * Find open issues of a department inside a bounding box, reported since a given time
+     * @param {Object} query - { departmentId, minLat, maxLat, minLon, maxLon, since }
+     * @returns {Promise<Array>} Candidate issues (caller filters by exact distance)
+     */
+    async findOpenIssuesInArea({ departmentId, minLat, maxLat, minLon, maxLon, since }) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('departmentId', sql.Int, departmentId)
+                .input('minLat', sql.Float, minLat)
+                .input('maxLat', sql.Float, maxLat)
+                .input('minLon', sql.Float, minLon)
+                .input('maxLon', sql.Float, maxLon)
+                .input('since', sql.DateTime2, since)
+                .query(`
+                    SELECT 
+                        i.IssueId, i.CitizenId, i.DepartmentId, i.IssueType, i.Description,
+                        i.Latitude, i.Longitude, i.Address, i.Status, i.CreatedAt,
+                        d.DepartmentName,
+                        ${REPORTER_COUNT} as ReporterCount
+                    FROM Issues i
+                    LEFT JOIN Departments d ON i.DepartmentId = d.DepartmentId
+                    WHERE i.DepartmentId = @departmentId
+                      AND i.Status <> 'RESOLVED'
+                      AND i.Latitude BETWEEN @minLat AND @maxLat
+                      AND i.Longitude BETWEEN @minLon AND @maxLon
+                      AND i.CreatedAt >= @since
+                    ORDER BY i.CreatedAt DESC
+                `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in findOpenIssuesInArea: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add a follower to an issue
+     * @param {Object} follower - { issueId, userId, source, note }
+     * @returns {Promise<Object|null>} Created follower or null if the user already follows the issue
+     */
+    async addFollower({ issueId, userId, source, note }) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('issueId', sql.UniqueIdentifier, issueId)
+                .input('userId', sql.Int, userId)
+                .input('source', sql.NVarChar, source)
+                .input('note', sql.NVarChar, note || null)
+                .query(`
+                    INSERT INTO Issue_Followers (IssueId, UserId, Source, Note)
+                    OUTPUT INSERTED.FollowerId, INSERTED.IssueId, INSERTED.UserId, INSERTED.Source, INSERTED.CreatedAt
+                    SELECT @issueId, @userId, @source, @note
+                    WHERE NOT EXISTS (
+                        SELECT 1 FROM Issue_Followers WHERE IssueId = @issueId AND UserId = @userId
+                    )
+                `);
+
+            return result.recordset[0] || null;
+        } catch (error) {
+            // Lost a race with a concurrent insert for the same user
+            if (error.message.includes('UQ_Followers_IssueUser')) return null;
+            throw new Error(`Database error in addFollower: ${error.message}`);
+        }
+    }
+
+    /**
+     * Upvote an issue and make the user a follower of it
+     * @param {string} issueId - Issue ID
+     * @param {number} userId - Supporting user
+     * @returns {Promise<Object>} { created, upvoteCount }
+     */
+    async addUpvote(issueId, userId) {
+        try {
+            return await withTransaction(async (transaction) => {
+                const inserted = await new sql.Request(transaction)
+                    .input('issueId', sql.UniqueIdentifier, issueId)
+                    .input('userId', sql.Int, userId)
+                    .query(`
+                        INSERT INTO Issue_Upvotes (IssueId, UserId)
+                        SELECT @issueId, @userId
+                        WHERE NOT EXISTS (
+                            SELECT 1 FROM Issue_Upvotes WHERE IssueId = @issueId AND UserId = @userId
+                        );
+
+                        INSERT INTO Issue_Followers (IssueId, UserId, Source)
+                        SELECT @issueId, @userId, 'UPVOTE'
+                        WHERE NOT EXISTS (
+                            SELECT 1 FROM Issue_Followers WHERE IssueId = @issueId AND UserId = @userId
+                        );
+                    `);
+
+                const count = await new sql.Request(transaction)
+                    .input('issueId', sql.UniqueIdentifier, issueId)
+                    .query(`SELECT COUNT(*) as UpvoteCount FROM Issue_Upvotes WHERE IssueId = @issueId`);
+
+                return {
+                    created: inserted.rowsAffected[0] > 0,
+                    upvoteCount: count.recordset[0].UpvoteCount
+                };
+            });
+        } catch (error) {
+            // Lost a race with a concurrent upvote by the same user
+            if (error.message.includes('UQ_Upvotes_IssueUser')) {
+                return { created: false, upvoteCount: null };
+            }
+            throw new Error(`Database error in addUpvote: ${error.message}`);
+        }
+    }
+
+    /**
+     * Withdraw an upvote. A follow that came from the upvote is removed as well.
+     * @param {string} issueId - Issue ID
+     * @param {number} userId - User withdrawing support
+     * @returns {Promise<Object>} { removed, upvoteCount }
+     */
+    async removeUpvote(issueId, userId) {
+        try {
+            return await withTransaction(async (transaction) => {
+                const deleted = await new sql.Request(transaction)
+                    .input('issueId', sql.UniqueIdentifier, issueId)
+                    .input('userId', sql.Int, userId)
+                    .query(`
+                        DELETE FROM Issue_Upvotes WHERE IssueId = @issueId AND UserId = @userId;
+                        DELETE FROM Issue_Followers WHERE IssueId = @issueId AND UserId = @userId AND Source = 'UPVOTE';
+                    `);
+
+                const count = await new sql.Request(transaction)
+                    .input('issueId', sql.UniqueIdentifier, issueId)
+                    .query(`SELECT COUNT(*) as UpvoteCount FROM Issue_Upvotes WHERE IssueId = @issueId`);
+
+                return {
+                    removed: deleted.rowsAffected[0] > 0,
+                    upvoteCount: count.recordset[0].UpvoteCount
+                };
+            });
+        } catch (error) {
+            throw new Error(`Database error in removeUpvote: ${error.message}`);
+        }
+    }
+
     /**
      * Add image to issue
      * @param {string} issueId - Issue ID (GUID)
@@ -108,6 +322,42 @@ class IssueRepository {
         }
     }
 
+    /**
+     * Get the department an issue belongs to
+     * @param {string} issueId - Issue ID (GUID)
+     * @returns {Promise<number|null|undefined>} Department ID, or undefined if the issue does not exist
+     */
+    async getIssueDepartmentId(issueId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('issueId', sql.UniqueIdentifier, issueId)
+                .query(`SELECT DepartmentId FROM Issues WHERE IssueId = @issueId`);
+
+            return result.recordset.length > 0 ? result.recordset[0].DepartmentId : undefined;
+        } catch (error) {
+            throw new Error(`Database error in getIssueDepartmentId: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get who reported an issue and which department it belongs to
+     * @param {string} issueId - Issue ID (GUID)
+     * @returns {Promise<Object|null>} { IssueId, CitizenId, DepartmentId } or null
+     */
+    async getIssueOwnership(issueId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('issueId', sql.UniqueIdentifier, issueId)
+                .query(`SELECT IssueId, CitizenId, DepartmentId FROM Issues WHERE IssueId = @issueId`);
+
+            return result.recordset[0] || null;
+        } catch (error) {
+            throw new Error(`Database error in getIssueOwnership: ${error.message}`);
+        }
+    }
+
     /**
      * Get issue by ID with images
      * @param {string} issueId - Issue ID (GUID)
@@ -121,12 +371,21 @@ class IssueRepository {
                 .query(`
                     SELECT 
                         i.IssueId, i.CitizenId, i.DepartmentId, i.IssueType, i.Description, 
-                        i.Latitude, i.Longitude, i.Address, i.Status, i.CreatedAt,
+                        i.Latitude, i.Longitude, i.Address, i.Status, i.CreatedAt, i.UpdatedAt,
+                        i.AssignedTo, i.AssignedAt, i.Priority, i.EscalationLevel, i.IsAnonymous,
+                        i.AllocationConfidence, t.Status as TriageStatus,
+                        sla.SlaAcknowledgeHours, sla.SlaResolveHours,
+                        ${REPORTER_COUNT} as ReporterCount,
+                        ${UPVOTE_COUNT} as UpvoteCount,
                         d.DepartmentName,
-                        u.FullName as CitizenName, u.phone_number as CitizenPhone
+                        u.FullName as CitizenName, u.phone_number as CitizenPhone,
+                        a.FullName as AssigneeName
                     FROM Issues i
                     LEFT JOIN Departments d ON i.DepartmentId = d.DepartmentId
                     LEFT JOIN Users u ON i.CitizenId = u.UserId
+                    LEFT JOIN Users a ON i.AssignedTo = a.UserId
+                    LEFT JOIN Issue_Triage t ON i.IssueId = t.IssueId
+                    ${SLA_POLICY_APPLY}
                     WHERE i.IssueId = @issueId
                 `);
 
@@ -183,25 +442,33 @@ class IssueRepository {
      * Get all issues (with pagination)
      * @param {number} limit - Number of issues per page
      * @param {number} offset - Pagination offset
+     * @param {string} sort - 'upvotes' for most supported first, otherwise newest first
+     * @param {number} departmentId - Only issues of this department (optional)
      * @returns {Promise<Array>} Array of issues
      */
-    async getAllIssues(limit = 20, offset = 0) {
+    async getAllIssues(limit = 20, offset = 0, sort = null, departmentId = null) {
         try {
             const pool = await getPool();
             const result = await pool.request()
                 .input('limit', sql.Int, limit)
                 .input('offset', sql.Int, offset)
+                .input('departmentId', sql.Int, departmentId)
                 .query(`
                     SELECT 
                         i.IssueId, i.CitizenId, i.DepartmentId, i.IssueType, i.Description, 
                         i.Latitude, i.Longitude, i.Address, i.Status, i.CreatedAt,
+                        i.Priority, i.IsAnonymous, sla.SlaAcknowledgeHours, sla.SlaResolveHours,
+                        ${REPORTER_COUNT} as ReporterCount,
+                        ${UPVOTE_COUNT} as UpvoteCount,
                         d.DepartmentName,
                         u.FullName as CitizenName,
                         (SELECT COUNT(*) FROM Issue_Images WHERE IssueId = i.IssueId) as ImageCount
                     FROM Issues i
                     LEFT JOIN Departments d ON i.DepartmentId = d.DepartmentId
                     LEFT JOIN Users u ON i.CitizenId = u.UserId
-                    ORDER BY i.CreatedAt DESC
+                    ${SLA_POLICY_APPLY}
+                    WHERE @departmentId IS NULL OR i.DepartmentId = @departmentId
+                    ORDER BY ${sort === 'upvotes' ? 'UpvoteCount DESC,' : ''} i.CreatedAt DESC
                     OFFSET @offset ROWS
                     FETCH NEXT @limit ROWS ONLY
                 `);
@@ -225,7 +492,7 @@ class IssueRepository {
                 .query(`
                     SELECT 
                         i.IssueId, i.CitizenId, i.DepartmentId, i.IssueType, i.Description, 
-                        i.Latitude, i.Longitude, i.Address, i.Status, i.CreatedAt,
+                        i.Latitude, i.Longitude, i.Address, i.Status, i.CreatedAt, i.IsAnonymous,
                         d.DepartmentName,
                         u.FullName as CitizenName,
                         (SELECT COUNT(*) FROM Issue_Images WHERE IssueId = i.IssueId) as ImageCount
@@ -243,27 +510,131 @@ class IssueRepository {
     }
 
     /**
-     * Update issue status
+     * Update issue status and record the change in the status history.
+     * The update only applies while the issue is still in fromStatus, so a
+     * concurrent change cannot be silently overwritten.
+     * @param {Object} change - { issueId, fromStatus, toStatus, changedBy, note }
+     * @returns {Promise<Object|null>} Updated issue with history entry, or null if the status changed meanwhile
+     */
+    async updateIssueStatus({ issueId, fromStatus, toStatus, changedBy, note }) {
+        try {
+            return await withTransaction(async (transaction) => {
+                const result = await new sql.Request(transaction)
+                    .input('issueId', sql.UniqueIdentifier, issueId)
+                    .input('fromStatus', sql.NVarChar, fromStatus)
+                    .input('toStatus', sql.NVarChar, toStatus)
+                    .query(`
+                        UPDATE Issues
+                        SET Status = @toStatus, UpdatedAt = SYSUTCDATETIME(),
+                            -- Sending an issue back to REPORTED releases its assignee
+                            AssignedTo = CASE WHEN @toStatus = 'REPORTED' THEN NULL ELSE AssignedTo END,
+                            AssignedAt = CASE WHEN @toStatus = 'REPORTED' THEN NULL ELSE AssignedAt END
+                        OUTPUT INSERTED.IssueId, INSERTED.Status, INSERTED.UpdatedAt
+                        WHERE IssueId = @issueId AND Status = @fromStatus
+                    `);
+
+                const issue = result.recordset[0];
+                if (!issue) return null;
+
+                issue.history = await this.insertStatusHistory(transaction, {
+                    issueId, fromStatus, toStatus, changedBy, note
+                });
+                return issue;
+            });
+        } catch (error) {
+            throw new Error(`Database error in updateIssueStatus: ${error.message}`);
+        }
+    }
+
+    /**
+     * Set the assignee of an issue and record the change. A REPORTED issue moves to
+     * ASSIGNED; one already further along keeps its status, so work is never set back.
+     * @param {Object} transaction - Active transaction
+     * @param {Object} assignment - { issueId, staffId, changedBy, note, onlyIfUnassigned }
+     * @returns {Promise<Object|null>} Updated issue or null if nothing was updated
+     */
+    async applyAssignment(transaction, { issueId, staffId, changedBy, note, onlyIfUnassigned }) {
+        const result = await new sql.Request(transaction)
+            .input('issueId', sql.UniqueIdentifier, issueId)
+            .input('staffId', sql.Int, staffId)
+            .query(`
+                UPDATE Issues
+                SET AssignedTo = @staffId, AssignedAt = SYSUTCDATETIME(), 
+                    Status = CASE WHEN Status = 'REPORTED' THEN 'ASSIGNED' ELSE Status END,
+                    UpdatedAt = SYSUTCDATETIME()
+                OUTPUT INSERTED.IssueId, INSERTED.DepartmentId, INSERTED.Status, 
+                       INSERTED.AssignedTo, INSERTED.AssignedAt, DELETED.Status as PreviousStatus
+                WHERE IssueId = @issueId ${onlyIfUnassigned ? 'AND AssignedTo IS NULL' : ''}
+            `);
+
+        const issue = result.recordset[0];
+        if (!issue) return null;
+
+        await this.insertStatusHistory(transaction, {
+            issueId,
+            fromStatus: issue.PreviousStatus,
+            toStatus: issue.Status,
+            changedBy,
+            note
+        });
+        return issue;
+    }
+
+    /**
+     * Assign issue to a staff member (a REPORTED issue moves to ASSIGNED)
+     * @param {Object} assignment - { issueId, staffId, changedBy, note }
+     * @returns {Promise<Object|null>} Updated issue or null if not found
+     */
+    async assignIssue({ issueId, staffId, changedBy, note }) {
+        try {
+            return await withTransaction((transaction) =>
+                this.applyAssignment(transaction, { issueId, staffId, changedBy, note, onlyIfUnassigned: false })
+            );
+        } catch (error) {
+            throw new Error(`Database error in assignIssue: ${error.message}`);
+        }
+    }
+
+    /**
+     * Claim an unassigned issue for a staff member.
+     * Only succeeds while the issue is still unassigned, so two staff
+     * claiming the same task at once cannot both win.
+     * @param {Object} claim - { issueId, staffId, note }
+     * @returns {Promise<Object|null>} Updated issue or null if already taken
+     */
+    async claimIssue({ issueId, staffId, note }) {
+        try {
+            return await withTransaction((transaction) =>
+                this.applyAssignment(transaction, { issueId, staffId, changedBy: staffId, note, onlyIfUnassigned: true })
+            );
+        } catch (error) {
+            throw new Error(`Database error in claimIssue: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get status history of an issue, oldest first
      * @param {string} issueId - Issue ID
-     * @param {string} status - New status (REPORTED, ASSIGNED, IN_PROGRESS, RESOLVED)
-     * @returns {Promise<Object>} Updated issue
+     * @returns {Promise<Array>} Array of history entries with actor info
      */
-    async updateIssueStatus(issueId, status) {
+    async getStatusHistory(issueId) {
         try {
             const pool = await getPool();
             const result = await pool.request()
                 .input('issueId', sql.UniqueIdentifier, issueId)
-                .input('status', sql.NVarChar, status)
                 .query(`
-                    UPDATE Issues
-                    SET Status = @status
-                    OUTPUT INSERTED.IssueId, INSERTED.Status, INSERTED.CreatedAt
-                    WHERE IssueId = @issueId
+                    SELECT 
+                        h.HistoryId, h.IssueId, h.FromStatus, h.ToStatus, h.ChangedBy, h.Note, h.ChangedAt,
+                        u.FullName as ChangedByName, u.Role as ChangedByRole
+                    FROM Issue_Status_History h
+                    LEFT JOIN Users u ON h.ChangedBy = u.UserId
+                    WHERE h.IssueId = @issueId
+                    ORDER BY h.ChangedAt ASC, h.HistoryId ASC
                 `);
 
-            return result.recordset[0];
+            return result.recordset;
         } catch (error) {
-            throw new Error(`Database error in updateIssueStatus: ${error.message}`);
+            throw new Error(`Database error in getStatusHistory: ${error.message}`);
         }
     }
 
@@ -290,6 +661,122 @@ class IssueRepository {
         }
     }
 
+    /**
+     * Add a comment to an issue
+     * @param {Object} comment - { issueId, authorId, authorRole, body, imageUrl }
+     * @returns {Promise<Object>} Created comment with author name
+     */
+    async addComment({ issueId, authorId, authorRole, body, imageUrl }) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('issueId', sql.UniqueIdentifier, issueId)
+                .input('authorId', sql.Int, authorId)
+                .input('authorRole', sql.NVarChar, authorRole)
+                .input('body', sql.NVarChar, body || null)
+                .input('imageUrl', sql.NVarChar, imageUrl || null)
+                .query(`
+                    INSERT INTO Issue_Comments (IssueId, AuthorId, AuthorRole, Body, ImageUrl)
+                    OUTPUT INSERTED.CommentId, INSERTED.IssueId, INSERTED.AuthorId, INSERTED.AuthorRole,
+                           INSERTED.Body, INSERTED.ImageUrl, INSERTED.CreatedAt
+                    VALUES (@issueId, @authorId, @authorRole, @body, @imageUrl)
+                `);
+
+            const comment = result.recordset[0];
+
+            const author = await pool.request()
+                .input('authorId', sql.Int, authorId)
+                .query(`SELECT FullName FROM Users WHERE UserId = @authorId`);
+            comment.AuthorName = author.recordset[0]?.FullName || null;
+
+            return comment;
+        } catch (error) {
+            throw new Error(`Database error in addComment: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get comments of an issue, oldest first
+     * @param {string} issueId - Issue ID
+     * @returns {Promise<Array>} Array of comments with author names
+     */
+    async getComments(issueId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('issueId', sql.UniqueIdentifier, issueId)
+                .query(`
+                    SELECT c.CommentId, c.IssueId, c.AuthorId, c.AuthorRole, c.Body, c.ImageUrl, c.CreatedAt,
+                           u.FullName as AuthorName
+                    FROM Issue_Comments c
+                    LEFT JOIN Users u ON c.AuthorId = u.UserId
+                    WHERE c.IssueId = @issueId
+                    ORDER BY c.CreatedAt ASC, c.CommentId ASC
+                `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getComments: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add an internal staff note to an issue
+     * @param {Object} note - { issueId, authorId, body }
+     * @returns {Promise<Object>} Created note with author name
+     */
+    async addStaffNote({ issueId, authorId, body }) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('issueId', sql.UniqueIdentifier, issueId)
+                .input('authorId', sql.Int, authorId)
+                .input('body', sql.NVarChar, body)
+                .query(`
+                    INSERT INTO Issue_Staff_Notes (IssueId, AuthorId, Body)
+                    OUTPUT INSERTED.NoteId, INSERTED.IssueId, INSERTED.AuthorId, INSERTED.Body, INSERTED.CreatedAt
+                    VALUES (@issueId, @authorId, @body)
+                `);
+
+            const note = result.recordset[0];
+
+            const author = await pool.request()
+                .input('authorId', sql.Int, authorId)
+                .query(`SELECT FullName, Role FROM Users WHERE UserId = @authorId`);
+            note.AuthorName = author.recordset[0]?.FullName || null;
+            note.AuthorRole = author.recordset[0]?.Role || null;
+
+            return note;
+        } catch (error) {
+            throw new Error(`Database error in addStaffNote: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get internal staff notes of an issue, newest first
+     * @param {string} issueId - Issue ID
+     * @returns {Promise<Array>} Array of notes with author names
+     */
+    async getStaffNotes(issueId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('issueId', sql.UniqueIdentifier, issueId)
+                .query(`
+                    SELECT n.NoteId, n.IssueId, n.AuthorId, n.Body, n.CreatedAt,
+                           u.FullName as AuthorName, u.Role as AuthorRole
+                    FROM Issue_Staff_Notes n
+                    LEFT JOIN Users u ON n.AuthorId = u.UserId
+                    WHERE n.IssueId = @issueId
+                    ORDER BY n.CreatedAt DESC, n.NoteId DESC
+                `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getStaffNotes: ${error.message}`);
+        }
+    }
+
     /**
      * Get dashboard statistics
      * @returns {Promise<Object>} Stats object with total, resolved, inProgress counts
@@ -338,18 +825,60 @@ class IssueRepository {
     }
 
     /**
-     * Get tasks for staff member (issues in their department)
+     * Get issues whose department a person chose, for training the allocation classifier.
+     * Departments picked automatically (by the rules or the classifier) are not used, so the
+     * model never learns from, or is measured against, its own guesses:
+     * - TRIAGE: the department an admin routed the issue to (Allocation_Examples)
+     * - REPORTER: the department the reporter chose (AllocationSource 'REPORTER'). Issues from
+     *   before add_allocation_source.sql are left out: their source is not known.
+     * @returns {Promise<Array>} { IssueId, IssueType, Description, DepartmentId, DepartmentName, LabelSource }
+     */
+    async getTrainingIssues() {
+        try {
+            const pool = await getPool();
+            const result = await pool.request().query(`
+                SELECT e.IssueId, e.IssueType, e.Description, e.DepartmentId, d.DepartmentName,
+                       'TRIAGE' as LabelSource, e.CreatedAt
+                FROM Allocation_Examples e
+                JOIN Departments d ON e.DepartmentId = d.DepartmentId
+
+                UNION ALL
+
+                SELECT i.IssueId, i.IssueType, i.Description, i.DepartmentId, d.DepartmentName,
+                       'REPORTER' as LabelSource, i.CreatedAt
+                FROM Issues i
+                JOIN Departments d ON i.DepartmentId = d.DepartmentId
+                WHERE i.AllocationSource = 'REPORTER'
+
+                ORDER BY CreatedAt
+            `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getTrainingIssues: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get tasks for staff member (issues in their department, except those waiting for triage)
      * @param {number} staffDepartmentId - Department ID of the staff member
      * @param {number} staffLat - Staff member's current latitude (optional for distance calculation)
      * @param {number} staffLon - Staff member's current longitude (optional for distance calculation)
+     * @param {Object} options - { assignedTo: only issues assigned to this user, sort: 'upvotes' for most supported first }
      * @returns {Promise<Array>} Array of tasks with distance calculated
      */
-    async getStaffTasks(staffDepartmentId, staffLat = null, staffLon = null) {
+    async getStaffTasks(staffDepartmentId, staffLat = null, staffLon = null, { assignedTo = null, sort = null } = {}) {
         try {
             const pool = await getPool();
             const request = pool.request()
                 .input('departmentId', sql.Int, staffDepartmentId);
 
+            let assigneeFilter = '';
+            if (assignedTo !== null) {
+                request.input('assignedTo', sql.Int, assignedTo);
+                assigneeFilter = 'AND i.AssignedTo = @assignedTo';
+            }
+
             // If staff location provided, calculate distance using Haversine formula
             let distanceCalc = 'NULL';
             if (staffLat !== null && staffLon !== null) {
@@ -370,6 +899,8 @@ class IssueRepository {
             const result = await request.query(`
                 SELECT 
                     i.IssueId, 
+                    i.CitizenId,
+                    i.DepartmentId,
                     i.IssueType, 
                     i.Description,
                     i.Address, 
@@ -377,16 +908,28 @@ class IssueRepository {
                     i.Latitude,
                     i.Longitude,
                     i.CreatedAt,
+                    i.AssignedTo,
+                    i.Priority,
+                    i.IsAnonymous,
+                    sla.SlaAcknowledgeHours,
+                    sla.SlaResolveHours,
+                    ${REPORTER_COUNT} as ReporterCount,
+                    ${UPVOTE_COUNT} as UpvoteCount,
                     d.DepartmentName,
                     u.FullName as CitizenName,
                     u.phone_number as CitizenPhone,
+                    a.FullName as AssigneeName,
                     ${distanceCalc} as Distance,
                     (SELECT COUNT(*) FROM Issue_Images WHERE IssueId = i.IssueId AND ImageType = 'BEFORE') as ImageCount
                 FROM Issues i
                 LEFT JOIN Departments d ON i.DepartmentId = d.DepartmentId
                 LEFT JOIN Users u ON i.CitizenId = u.UserId
-                WHERE i.DepartmentId = @departmentId
+                LEFT JOIN Users a ON i.AssignedTo = a.UserId
+                ${SLA_POLICY_APPLY}
+                WHERE i.DepartmentId = @departmentId ${assigneeFilter}
+                  AND NOT EXISTS (SELECT 1 FROM Issue_Triage t WHERE t.IssueId = i.IssueId AND t.Status = 'PENDING')
                 ORDER BY 
+                    ${sort === 'upvotes' ? 'UpvoteCount DESC,' : ''}
                     CASE i.Status
                         WHEN 'ASSIGNED' THEN 1
                         WHEN 'IN_PROGRESS' THEN 2
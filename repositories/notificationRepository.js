@@ -0,0 +1,181 @@
+const { sql, getPool } = require('../db');
+
+// SQL Server allows ~2100 parameters per request, so large fan-outs are inserted in batches
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * Repository Layer - Notification Operations
+ * Handles all direct database queries for in-app notifications
+ */
+class NotificationRepository {
+    /**
+     * Create one notification per user
+     * @param {Array<number>} userIds - Recipients
+     * @param {Object} notification - { type, title, body, issueId }
+     * @returns {Promise<Array>} Created notifications
+     */
+    async createNotifications(userIds, { type, title, body, issueId }) {
+        try {
+            const pool = await getPool();
+            const created = [];
+
+            for (let start = 0; start < userIds.length; start += INSERT_BATCH_SIZE) {
+                const batch = userIds.slice(start, start + INSERT_BATCH_SIZE);
+                const request = pool.request()
+                    .input('type', sql.NVarChar, type)
+                    .input('title', sql.NVarChar, title)
+                    .input('body', sql.NVarChar, body || null)
+                    .input('issueId', sql.UniqueIdentifier, issueId || null);
+
+                const values = batch.map((userId, index) => {
+                    request.input(`userId${index}`, sql.Int, userId);
+                    return `(@userId${index}, @type, @title, @body, @issueId)`;
+                });
+
+                const result = await request.query(`
+                    INSERT INTO Notifications (UserId, Type, Title, Body, IssueId)
+                    OUTPUT INSERTED.NotificationId, INSERTED.UserId, INSERTED.Type, INSERTED.Title,
+                           INSERTED.Body, INSERTED.IssueId, INSERTED.IsRead, INSERTED.CreatedAt
+                    VALUES ${values.join(', ')}
+                `);
+                created.push(...result.recordset);
+            }
+
+            return created;
+        } catch (error) {
+            throw new Error(`Database error in createNotifications: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get users interested in an issue: the reporter, its followers and its assignee
+     * @param {string} issueId - Issue ID
+     * @returns {Promise<Object|null>} { citizenId, assignedTo, departmentId, followerIds,
+     *          followers: [{ UserId, Role, DepartmentId }] } or null if issue not found
+     */
+    async getIssueAudience(issueId) {
+        try {
+            const pool = await getPool();
+            const issue = await pool.request()
+                .input('issueId', sql.UniqueIdentifier, issueId)
+                .query(`SELECT CitizenId, AssignedTo, DepartmentId FROM Issues WHERE IssueId = @issueId`);
+
+            if (issue.recordset.length === 0) return null;
+
+            const followers = await pool.request()
+                .input('issueId', sql.UniqueIdentifier, issueId)
+                .query(`
+                    SELECT f.UserId, u.Role, u.DepartmentId
+                    FROM Issue_Followers f
+                    JOIN Users u ON f.UserId = u.UserId
+                    WHERE f.IssueId = @issueId
+                `);
+
+            return {
+                citizenId: issue.recordset[0].CitizenId,
+                assignedTo: issue.recordset[0].AssignedTo,
+                departmentId: issue.recordset[0].DepartmentId,
+                followerIds: followers.recordset.map((row) => row.UserId),
+                followers: followers.recordset
+            };
+        } catch (error) {
+            throw new Error(`Database error in getIssueAudience: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get notifications of a user, newest first
+     * @param {number} userId - User ID
+     * @param {Object} options - { unreadOnly, limit, offset }
+     * @returns {Promise<Array>} Array of notifications
+     */
+    async getUserNotifications(userId, { unreadOnly = false, limit = 20, offset = 0 } = {}) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .input('limit', sql.Int, limit)
+                .input('offset', sql.Int, offset)
+                .query(`
+                    SELECT NotificationId, UserId, Type, Title, Body, IssueId, IsRead, CreatedAt, ReadAt
+                    FROM Notifications
+                    WHERE UserId = @userId ${unreadOnly ? 'AND IsRead = 0' : ''}
+                    ORDER BY CreatedAt DESC, NotificationId DESC
+                    OFFSET @offset ROWS
+                    FETCH NEXT @limit ROWS ONLY
+                `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getUserNotifications: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count unread notifications of a user
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} Unread count
+     */
+    async getUnreadCount(userId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .query(`SELECT COUNT(*) as UnreadCount FROM Notifications WHERE UserId = @userId AND IsRead = 0`);
+
+            return result.recordset[0].UnreadCount;
+        } catch (error) {
+            throw new Error(`Database error in getUnreadCount: ${error.message}`);
+        }
+    }
+
+    /**
+     * Mark a notification of a user as read
+     * @param {number} notificationId - Notification ID
+     * @param {number} userId - Owner of the notification
+     * @returns {Promise<Object|null>} Updated notification or null if not found for this user
+     */
+    async markAsRead(notificationId, userId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('notificationId', sql.Int, notificationId)
+                .input('userId', sql.Int, userId)
+                .query(`
+                    UPDATE Notifications
+                    SET IsRead = 1, ReadAt = COALESCE(ReadAt, SYSUTCDATETIME())
+                    OUTPUT INSERTED.NotificationId, INSERTED.UserId, INSERTED.Type, INSERTED.Title,
+                           INSERTED.Body, INSERTED.IssueId, INSERTED.IsRead, INSERTED.CreatedAt, INSERTED.ReadAt
+                    WHERE NotificationId = @notificationId AND UserId = @userId
+                `);
+
+            return result.recordset[0] || null;
+        } catch (error) {
+            throw new Error(`Database error in markAsRead: ${error.message}`);
+        }
+    }
+
+    /**
+     * Mark all notifications of a user as read
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} Number of notifications updated
+     */
+    async markAllAsRead(userId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .query(`
+                    UPDATE Notifications
+                    SET IsRead = 1, ReadAt = SYSUTCDATETIME()
+                    WHERE UserId = @userId AND IsRead = 0
+                `);
+
+            return result.rowsAffected[0];
+        } catch (error) {
+            throw new Error(`Database error in markAllAsRead: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new NotificationRepository();
@@ -0,0 +1,133 @@
+const { sql, getPool } = require('../db');
+
+/**
+ * Repository Layer - OTP Operations
+ * Handles storage of hashed one-time passwords
+ */
+class OtpRepository {
+    /**
+     * Store a new OTP and retire any earlier unused codes for the same phone and purpose
+     * @param {Object} otp - { phoneNumber, purpose, codeHash, expiresAt }
+     * @returns {Promise<Object>} Created OTP record
+     */
+    async createOtp({ phoneNumber, purpose, codeHash, expiresAt }) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('phoneNumber', sql.NVarChar, phoneNumber)
+                .input('purpose', sql.NVarChar, purpose)
+                .input('codeHash', sql.NVarChar, codeHash)
+                .input('expiresAt', sql.DateTime2, expiresAt)
+                .query(`
+                    UPDATE Phone_Otps
+                    SET ConsumedAt = SYSUTCDATETIME()
+                    WHERE PhoneNumber = @phoneNumber AND Purpose = @purpose AND ConsumedAt IS NULL;
+
+                    INSERT INTO Phone_Otps (PhoneNumber, Purpose, CodeHash, ExpiresAt)
+                    OUTPUT INSERTED.OtpId, INSERTED.PhoneNumber, INSERTED.Purpose, INSERTED.ExpiresAt, INSERTED.CreatedAt
+                    VALUES (@phoneNumber, @purpose, @codeHash, @expiresAt);
+                `);
+
+            return result.recordset[0];
+        } catch (error) {
+            throw new Error(`Database error in createOtp: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the latest unused, unexpired OTP for a phone and purpose
+     * @param {string} phoneNumber - Phone number
+     * @param {string} purpose - OTP purpose
+     * @returns {Promise<Object|null>} OTP record or null
+     */
+    async findActiveOtp(phoneNumber, purpose) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('phoneNumber', sql.NVarChar, phoneNumber)
+                .input('purpose', sql.NVarChar, purpose)
+                .query(`
+                    SELECT TOP 1 OtpId, PhoneNumber, Purpose, CodeHash, Attempts, ExpiresAt, CreatedAt
+                    FROM Phone_Otps
+                    WHERE PhoneNumber = @phoneNumber AND Purpose = @purpose
+                      AND ConsumedAt IS NULL AND ExpiresAt > SYSUTCDATETIME()
+                    ORDER BY CreatedAt DESC
+                `);
+
+            return result.recordset[0] || null;
+        } catch (error) {
+            throw new Error(`Database error in findActiveOtp: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count OTPs sent to a phone since a given time, and when the first and last were sent
+     * @param {string} phoneNumber - Phone number
+     * @param {Date} since - Start of the window
+     * @returns {Promise<Object>} { SentCount, FirstSentAt, LastSentAt }
+     */
+    async getSendStats(phoneNumber, since) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('phoneNumber', sql.NVarChar, phoneNumber)
+                .input('since', sql.DateTime2, since)
+                .query(`
+                    SELECT COUNT(*) as SentCount, MIN(CreatedAt) as FirstSentAt, MAX(CreatedAt) as LastSentAt
+                    FROM Phone_Otps
+                    WHERE PhoneNumber = @phoneNumber AND CreatedAt >= @since
+                `);
+
+            return result.recordset[0];
+        } catch (error) {
+            throw new Error(`Database error in getSendStats: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a failed verification attempt
+     * @param {number} otpId - OTP ID
+     * @returns {Promise<number>} Attempts so far
+     */
+    async incrementAttempts(otpId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('otpId', sql.Int, otpId)
+                .query(`
+                    UPDATE Phone_Otps
+                    SET Attempts = Attempts + 1
+                    OUTPUT INSERTED.Attempts
+                    WHERE OtpId = @otpId
+                `);
+
+            return result.recordset[0]?.Attempts ?? 0;
+        } catch (error) {
+            throw new Error(`Database error in incrementAttempts: ${error.message}`);
+        }
+    }
+
+    /**
+     * Mark an OTP as used. Only succeeds once, so a code cannot be redeemed twice.
+     * @param {number} otpId - OTP ID
+     * @returns {Promise<boolean>} True if this call consumed the code
+     */
+    async consumeOtp(otpId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('otpId', sql.Int, otpId)
+                .query(`
+                    UPDATE Phone_Otps
+                    SET ConsumedAt = SYSUTCDATETIME()
+                    WHERE OtpId = @otpId AND ConsumedAt IS NULL
+                `);
+
+            return result.rowsAffected[0] > 0;
+        } catch (error) {
+            throw new Error(`Database error in consumeOtp: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new OtpRepository();
@@ -0,0 +1,123 @@
+const { sql, getPool } = require('../db');
+
+/**
+ * Repository Layer - Rate Limit Counters
+ * Shared counters for the database rate limit store
+ */
+class RateLimitRepository {
+    /**
+     * Count a hit atomically. An expired counter starts over at 1 with a new reset time.
+     * @param {string} key - Counter key
+     * @param {Date} now - Current time
+     * @param {Date} resetAt - End of the window if a new one starts
+     * @returns {Promise<Object>} { Hits, ResetAt }
+     */
+    async increment(key, now, resetAt) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('key', sql.NVarChar, key)
+                .input('now', sql.DateTime2, now)
+                .input('resetAt', sql.DateTime2, resetAt)
+                .query(`
+                    MERGE Rate_Limit_Counters WITH (HOLDLOCK) AS target
+                    USING (SELECT @key AS CounterKey) AS source
+                    ON target.CounterKey = source.CounterKey
+                    WHEN MATCHED AND target.ResetAt > @now THEN
+                        UPDATE SET Hits = target.Hits + 1
+                    WHEN MATCHED THEN
+                        UPDATE SET Hits = 1, ResetAt = @resetAt
+                    WHEN NOT MATCHED THEN
+                        INSERT (CounterKey, Hits, ResetAt) VALUES (@key, 1, @resetAt)
+                    OUTPUT INSERTED.Hits, INSERTED.ResetAt;
+                `);
+
+            return result.recordset[0];
+        } catch (error) {
+            throw new Error(`Database error in increment: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a counter that has not expired
+     * @param {string} key - Counter key
+     * @param {Date} now - Current time
+     * @returns {Promise<Object|null>} { Hits, ResetAt } or null
+     */
+    async find(key, now) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('key', sql.NVarChar, key)
+                .input('now', sql.DateTime2, now)
+                .query(`
+                    SELECT Hits, ResetAt
+                    FROM Rate_Limit_Counters
+                    WHERE CounterKey = @key AND ResetAt > @now
+                `);
+
+            return result.recordset[0] || null;
+        } catch (error) {
+            throw new Error(`Database error in find: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create or overwrite a counter
+     * @param {string} key - Counter key
+     * @param {number} hits - Counter value
+     * @param {Date} resetAt - When it expires
+     * @returns {Promise<void>}
+     */
+    async upsert(key, hits, resetAt) {
+        try {
+            const pool = await getPool();
+            await pool.request()
+                .input('key', sql.NVarChar, key)
+                .input('hits', sql.Int, hits)
+                .input('resetAt', sql.DateTime2, resetAt)
+                .query(`
+                    MERGE Rate_Limit_Counters WITH (HOLDLOCK) AS target
+                    USING (SELECT @key AS CounterKey) AS source
+                    ON target.CounterKey = source.CounterKey
+                    WHEN MATCHED THEN
+                        UPDATE SET Hits = @hits, ResetAt = @resetAt
+                    WHEN NOT MATCHED THEN
+                        INSERT (CounterKey, Hits, ResetAt) VALUES (@key, @hits, @resetAt);
+                `);
+        } catch (error) {
+            throw new Error(`Database error in upsert: ${error.message}`);
+        }
+    }
+
+    async delete(key) {
+        try {
+            const pool = await getPool();
+            await pool.request()
+                .input('key', sql.NVarChar, key)
+                .query(`DELETE FROM Rate_Limit_Counters WHERE CounterKey = @key`);
+        } catch (error) {
+            throw new Error(`Database error in delete: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete expired counters
+     * @param {Date} now - Current time
+     * @returns {Promise<number>} Rows deleted
+     */
+    async deleteExpired(now) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('now', sql.DateTime2, now)
+                .query(`DELETE FROM Rate_Limit_Counters WHERE ResetAt <= @now`);
+
+            return result.rowsAffected[0];
+        } catch (error) {
+            throw new Error(`Database error in deleteExpired: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new RateLimitRepository();
@@ -0,0 +1,78 @@
+const { sql, getPool, withTransaction } = require('../db');
+
+const TOKEN_COLUMNS = `TokenId, UserId, SessionId, ExpiresAt, CreatedAt, RevokedAt, RevokedReason, ReplacedByTokenId`;
+const INSERTED_TOKEN_COLUMNS = `INSERTED.TokenId, INSERTED.UserId, INSERTED.SessionId, INSERTED.ExpiresAt, INSERTED.CreatedAt,
+                           INSERTED.RevokedAt, INSERTED.RevokedReason, INSERTED.ReplacedByTokenId`;
+
+/**
+ * Repository Layer - Refresh Token Operations
+ * Handles hashed refresh tokens and their rotation within a session
+ */
+class RefreshTokenRepository {
+    /**
+     * Find a refresh token by its hash, whatever its state
+     * @param {string} tokenHash - SHA-256 hash of the token
+     * @returns {Promise<Object|null>} Token record or null
+     */
+    async findByHash(tokenHash) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('tokenHash', sql.NVarChar, tokenHash)
+                .query(`SELECT ${TOKEN_COLUMNS} FROM Refresh_Tokens WHERE TokenHash = @tokenHash`);
+
+            return result.recordset[0] || null;
+        } catch (error) {
+            throw new Error(`Database error in findByHash: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace a token with a new one in the same session.
+     * Only succeeds if the old token is still live, so a token can be rotated once.
+     * @param {number} tokenId - Token being rotated
+     * @param {Object} next - { tokenHash, expiresAt }
+     * @returns {Promise<Object|null>} New token record, or null if the old one was already used
+     */
+    async rotateToken(tokenId, { tokenHash, expiresAt }) {
+        try {
+            return await withTransaction(async (transaction) => {
+                const inserted = await new sql.Request(transaction)
+                    .input('tokenId', sql.Int, tokenId)
+                    .input('tokenHash', sql.NVarChar, tokenHash)
+                    .input('expiresAt', sql.DateTime2, expiresAt)
+                    .query(`
+                        INSERT INTO Refresh_Tokens (UserId, SessionId, TokenHash, ExpiresAt)
+                        OUTPUT ${INSERTED_TOKEN_COLUMNS}
+                        SELECT UserId, SessionId, @tokenHash, @expiresAt
+                        FROM Refresh_Tokens
+                        WHERE TokenId = @tokenId
+                    `);
+
+                const next = inserted.recordset[0];
+                if (!next) return null;
+
+                const updated = await new sql.Request(transaction)
+                    .input('tokenId', sql.Int, tokenId)
+                    .input('nextId', sql.Int, next.TokenId)
+                    .query(`
+                        UPDATE Refresh_Tokens
+                        SET RevokedAt = SYSUTCDATETIME(), RevokedReason = 'ROTATED', ReplacedByTokenId = @nextId
+                        WHERE TokenId = @tokenId AND RevokedAt IS NULL AND ExpiresAt > SYSUTCDATETIME()
+                    `);
+
+                // Someone else rotated it first: undo our insert
+                if (updated.rowsAffected[0] === 0) {
+                    throw Object.assign(new Error('Refresh token already used'), { alreadyUsed: true });
+                }
+
+                return next;
+            });
+        } catch (error) {
+            if (error.alreadyUsed) return null;
+            throw new Error(`Database error in rotateToken: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new RefreshTokenRepository();
@@ -0,0 +1,172 @@
+const { sql, getPool, withTransaction } = require('../db');
+
+/**
+ * Repository Layer - Session Operations
+ * Handles login sessions (one per signed-in device) and their revocation
+ */
+class SessionRepository {
+    /**
+     * Start a session together with its first refresh token
+     * @param {Object} session - { sessionId, userId, ipAddress, userAgent, tokenHash, expiresAt }
+     * @returns {Promise<Object>} Created session
+     */
+    async createSession({ sessionId, userId, ipAddress, userAgent, tokenHash, expiresAt }) {
+        try {
+            return await withTransaction(async (transaction) => {
+                const result = await new sql.Request(transaction)
+                    .input('sessionId', sql.NVarChar, sessionId)
+                    .input('userId', sql.Int, userId)
+                    .input('ipAddress', sql.NVarChar, ipAddress || null)
+                    .input('userAgent', sql.NVarChar, userAgent ? userAgent.slice(0, 512) : null)
+                    .query(`
+                        INSERT INTO User_Sessions (SessionId, UserId, IpAddress, UserAgent)
+                        OUTPUT INSERTED.SessionId, INSERTED.UserId, INSERTED.IpAddress, INSERTED.UserAgent,
+                               INSERTED.CreatedAt, INSERTED.LastSeenAt
+                        VALUES (@sessionId, @userId, @ipAddress, @userAgent)
+                    `);
+
+                await new sql.Request(transaction)
+                    .input('sessionId', sql.NVarChar, sessionId)
+                    .input('userId', sql.Int, userId)
+                    .input('tokenHash', sql.NVarChar, tokenHash)
+                    .input('expiresAt', sql.DateTime2, expiresAt)
+                    .query(`
+                        INSERT INTO Refresh_Tokens (UserId, SessionId, TokenHash, ExpiresAt)
+                        VALUES (@userId, @sessionId, @tokenHash, @expiresAt)
+                    `);
+
+                return result.recordset[0];
+            });
+        } catch (error) {
+            throw new Error(`Database error in createSession: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record that a session was used. Writes at most once a minute per session
+     * so authenticated requests do not each cost an update.
+     * @param {string} sessionId - Session ID
+     * @param {Object} details - { ipAddress? } latest address, if known
+     * @returns {Promise<void>}
+     */
+    async touchSession(sessionId, { ipAddress = null } = {}) {
+        try {
+            const pool = await getPool();
+            await pool.request()
+                .input('sessionId', sql.NVarChar, sessionId)
+                .input('ipAddress', sql.NVarChar, ipAddress)
+                .query(`
+                    UPDATE User_Sessions
+                    SET LastSeenAt = SYSUTCDATETIME(), IpAddress = COALESCE(@ipAddress, IpAddress)
+                    WHERE SessionId = @sessionId AND RevokedAt IS NULL
+                      AND (LastSeenAt < DATEADD(MINUTE, -1, SYSUTCDATETIME())
+                           OR (@ipAddress IS NOT NULL AND (IpAddress IS NULL OR IpAddress <> @ipAddress)))
+                `);
+        } catch (error) {
+            throw new Error(`Database error in touchSession: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a user's live sessions, most recently used first.
+     * A session is live while it is not revoked and still has a usable refresh token.
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} Array of sessions
+     */
+    async getUserSessions(userId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .query(`
+                    SELECT s.SessionId, s.UserId, s.IpAddress, s.UserAgent, s.CreatedAt, s.LastSeenAt
+                    FROM User_Sessions s
+                    WHERE s.UserId = @userId AND s.RevokedAt IS NULL
+                      AND EXISTS (
+                          SELECT 1 FROM Refresh_Tokens rt
+                          WHERE rt.SessionId = s.SessionId AND rt.RevokedAt IS NULL AND rt.ExpiresAt > SYSUTCDATETIME()
+                      )
+                    ORDER BY s.LastSeenAt DESC
+                `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getUserSessions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Revoke a session and its refresh tokens
+     * @param {string} sessionId - Session ID
+     * @param {string} reason - Revocation reason
+     * @param {number|null} userId - When given, only revoke if the session belongs to this user
+     * @returns {Promise<boolean>} True if a live session was revoked
+     */
+    async revokeSession(sessionId, reason, userId = null) {
+        try {
+            return await withTransaction(async (transaction) => {
+                const result = await new sql.Request(transaction)
+                    .input('sessionId', sql.NVarChar, sessionId)
+                    .input('reason', sql.NVarChar, reason)
+                    .input('userId', sql.Int, userId)
+                    .query(`
+                        UPDATE User_Sessions
+                        SET RevokedAt = SYSUTCDATETIME(), RevokedReason = @reason
+                        WHERE SessionId = @sessionId AND RevokedAt IS NULL
+                          AND (@userId IS NULL OR UserId = @userId)
+                    `);
+
+                if (result.rowsAffected[0] === 0) return false;
+
+                await new sql.Request(transaction)
+                    .input('sessionId', sql.NVarChar, sessionId)
+                    .input('reason', sql.NVarChar, reason)
+                    .query(`
+                        UPDATE Refresh_Tokens
+                        SET RevokedAt = SYSUTCDATETIME(), RevokedReason = @reason
+                        WHERE SessionId = @sessionId AND RevokedAt IS NULL
+                    `);
+
+                return true;
+            });
+        } catch (error) {
+            throw new Error(`Database error in revokeSession: ${error.message}`);
+        }
+    }
+
+    /**
+     * Revoke every session of a user and their refresh tokens
+     * @param {number} userId - User ID
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<number>} Number of sessions revoked
+     */
+    async revokeUserSessions(userId, reason) {
+        try {
+            return await withTransaction(async (transaction) => {
+                const result = await new sql.Request(transaction)
+                    .input('userId', sql.Int, userId)
+                    .input('reason', sql.NVarChar, reason)
+                    .query(`
+                        UPDATE User_Sessions
+                        SET RevokedAt = SYSUTCDATETIME(), RevokedReason = @reason
+                        WHERE UserId = @userId AND RevokedAt IS NULL
+                    `);
+
+                await new sql.Request(transaction)
+                    .input('userId', sql.Int, userId)
+                    .input('reason', sql.NVarChar, reason)
+                    .query(`
+                        UPDATE Refresh_Tokens
+                        SET RevokedAt = SYSUTCDATETIME(), RevokedReason = @reason
+                        WHERE UserId = @userId AND RevokedAt IS NULL
+                    `);
+
+                return result.rowsAffected[0];
+            });
+        } catch (error) {
+            throw new Error(`Database error in revokeUserSessions: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new SessionRepository();
@@ -0,0 +1,176 @@
+const { sql, getPool, withTransaction } = require('../db');
+
+/**
+ * Repository Layer - SLA Operations
+ * Handles SLA policies and escalation records
+ */
+class SlaRepository {
+    /**
+     * Get all SLA policies with department names
+     * @returns {Promise<Array>} Array of policies
+     */
+    async getPolicies() {
+        try {
+            const pool = await getPool();
+            const result = await pool.request().query(`
+                SELECT p.SlaPolicyId, p.DepartmentId, p.IssueType, p.AcknowledgeHours, p.ResolveHours,
+                       p.UpdatedAt, d.DepartmentName
+                FROM Sla_Policies p
+                JOIN Departments d ON p.DepartmentId = d.DepartmentId
+                ORDER BY d.DepartmentName, p.IssueType
+            `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getPolicies: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create or update the SLA policy for a department / issue type pair
+     * @param {Object} policy - { departmentId, issueType, acknowledgeHours, resolveHours }
+     * @returns {Promise<Object>} Saved policy
+     */
+    async upsertPolicy({ departmentId, issueType, acknowledgeHours, resolveHours }) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('departmentId', sql.Int, departmentId)
+                .input('issueType', sql.NVarChar, issueType || null)
+                .input('acknowledgeHours', sql.Int, acknowledgeHours)
+                .input('resolveHours', sql.Int, resolveHours)
+                .query(`
+                    MERGE Sla_Policies AS target
+                    USING (SELECT @departmentId AS DepartmentId, @issueType AS IssueType) AS source
+                    ON target.DepartmentId = source.DepartmentId
+                       AND (target.IssueType = source.IssueType OR (target.IssueType IS NULL AND source.IssueType IS NULL))
+                    WHEN MATCHED THEN
+                        UPDATE SET AcknowledgeHours = @acknowledgeHours, ResolveHours = @resolveHours,
+                                   UpdatedAt = SYSUTCDATETIME()
+                    WHEN NOT MATCHED THEN
+                        INSERT (DepartmentId, IssueType, AcknowledgeHours, ResolveHours)
+                        VALUES (@departmentId, @issueType, @acknowledgeHours, @resolveHours)
+                    OUTPUT INSERTED.SlaPolicyId, INSERTED.DepartmentId, INSERTED.IssueType,
+                           INSERTED.AcknowledgeHours, INSERTED.ResolveHours, INSERTED.UpdatedAt;
+                `);
+
+            return result.recordset[0];
+        } catch (error) {
+            throw new Error(`Database error in upsertPolicy: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get open issues that have passed an SLA deadline they were not yet escalated for
+     * @param {Object} defaults - { acknowledgeHours, resolveHours } used when no policy matches
+     * @returns {Promise<Array>} Overdue issues with their effective SLA hours
+     */
+    async getOverdueIssues({ acknowledgeHours, resolveHours }) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('defaultAck', sql.Int, acknowledgeHours)
+                .input('defaultResolve', sql.Int, resolveHours)
+                .query(`
+                    SELECT * FROM (
+                        SELECT
+                            i.IssueId, i.DepartmentId, i.IssueType, i.Status, i.Priority,
+                            i.EscalationLevel, i.CreatedAt,
+                            COALESCE(sla.AcknowledgeHours, @defaultAck) as AcknowledgeHours,
+                            COALESCE(sla.ResolveHours, @defaultResolve) as ResolveHours
+                        FROM Issues i
+                        OUTER APPLY (
+                            SELECT TOP 1 sp.AcknowledgeHours, sp.ResolveHours
+                            FROM Sla_Policies sp
+                            WHERE sp.DepartmentId = i.DepartmentId
+                              AND (sp.IssueType = i.IssueType OR sp.IssueType IS NULL)
+                            ORDER BY CASE WHEN sp.IssueType IS NULL THEN 1 ELSE 0 END
+                        ) sla
+                        WHERE i.Status <> 'RESOLVED'
+                    ) t
+                    WHERE (t.EscalationLevel < 2 AND DATEADD(HOUR, t.ResolveHours, t.CreatedAt) < SYSUTCDATETIME())
+                       OR (t.EscalationLevel < 1 AND t.Status = 'REPORTED'
+                           AND DATEADD(HOUR, t.AcknowledgeHours, t.CreatedAt) < SYSUTCDATETIME())
+                    ORDER BY t.CreatedAt ASC
+                `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getOverdueIssues: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get admins responsible for a department.
+     * Falls back to global admins (no department) when the department has none.
+     * @param {number} departmentId - Department ID
+     * @returns {Promise<Array>} Array of admin users
+     */
+    async getDepartmentAdmins(departmentId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('departmentId', sql.Int, departmentId)
+                .query(`
+                    SELECT UserId, FullName, DepartmentId
+                    FROM Users
+                    WHERE (Role = 'DEPT_HEAD' AND DepartmentId = @departmentId)
+                       OR (Role = 'ADMIN' AND (
+                           DepartmentId = @departmentId
+                           OR (DepartmentId IS NULL AND NOT EXISTS (
+                               SELECT 1 FROM Users WHERE Role IN ('ADMIN', 'DEPT_HEAD') AND DepartmentId = @departmentId
+                           ))
+                       ))
+                `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getDepartmentAdmins: ${error.message}`);
+        }
+    }
+
+    /**
+     * Raise issue priority and record the escalation.
+     * Only applies while the issue is below the given level, so overlapping
+     * checker runs cannot escalate the same issue twice.
+     * @param {Object} escalation - { issueId, level, reason, previousPriority, newPriority, notifiedCount }
+     * @returns {Promise<Object|null>} Escalation record or null if already escalated
+     */
+    async recordEscalation({ issueId, level, reason, previousPriority, newPriority, notifiedCount }) {
+        try {
+            return await withTransaction(async (transaction) => {
+                const updated = await new sql.Request(transaction)
+                    .input('issueId', sql.UniqueIdentifier, issueId)
+                    .input('level', sql.Int, level)
+                    .input('priority', sql.NVarChar, newPriority)
+                    .query(`
+                        UPDATE Issues
+                        SET EscalationLevel = @level, Priority = @priority, LastEscalatedAt = SYSUTCDATETIME()
+                        WHERE IssueId = @issueId AND EscalationLevel < @level
+                    `);
+
+                if (updated.rowsAffected[0] === 0) return null;
+
+                const result = await new sql.Request(transaction)
+                    .input('issueId', sql.UniqueIdentifier, issueId)
+                    .input('level', sql.Int, level)
+                    .input('reason', sql.NVarChar, reason)
+                    .input('previousPriority', sql.NVarChar, previousPriority)
+                    .input('newPriority', sql.NVarChar, newPriority)
+                    .input('notifiedCount', sql.Int, notifiedCount)
+                    .query(`
+                        INSERT INTO Issue_Escalations (IssueId, EscalationLevel, Reason, PreviousPriority, NewPriority, NotifiedCount)
+                        OUTPUT INSERTED.EscalationId, INSERTED.IssueId, INSERTED.EscalationLevel, INSERTED.Reason,
+                               INSERTED.PreviousPriority, INSERTED.NewPriority, INSERTED.NotifiedCount, INSERTED.EscalatedAt
+                        VALUES (@issueId, @level, @reason, @previousPriority, @newPriority, @notifiedCount)
+                    `);
+
+                return result.recordset[0];
+            });
+        } catch (error) {
+            throw new Error(`Database error in recordEscalation: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new SlaRepository();
@@ -0,0 +1,167 @@
+const { sql, getPool, withTransaction } = require('../db');
+
+/**
+ * Repository Layer - Issue Triage
+ * Issues that automatic allocation was unsure about, and the labelled examples
+ * recorded when an admin routes them
+ */
+class TriageRepository {
+    /**
+     * Get triage entries with their issues
+     * @param {Object} query - { status: 'PENDING' | 'ROUTED', limit, offset }
+     * @returns {Promise<Array>} Pending entries oldest first, routed ones newest first
+     */
+    async getQueue({ status, limit, offset }) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('status', sql.NVarChar, status)
+                .input('limit', sql.Int, limit)
+                .input('offset', sql.Int, offset)
+                .query(`
+                    SELECT
+                        t.IssueId, t.Reason, t.Confidence, t.Status as TriageStatus, t.CreatedAt as QueuedAt,
+                        t.SuggestedDepartmentId, sd.DepartmentName as SuggestedDepartmentName,
+                        t.SuggestedRuleId, r.Name as SuggestedRuleName,
+                        t.RoutedDepartmentId, rd.DepartmentName as RoutedDepartmentName,
+                        t.RoutedBy, u.FullName as RoutedByName, t.RoutedAt,
+                        i.IssueType, i.Description, i.Latitude, i.Longitude, i.Address, i.Status, i.CreatedAt,
+                        i.DepartmentId, d.DepartmentName
+                    FROM Issue_Triage t
+                    JOIN Issues i ON t.IssueId = i.IssueId
+                    LEFT JOIN Departments d ON i.DepartmentId = d.DepartmentId
+                    LEFT JOIN Departments sd ON t.SuggestedDepartmentId = sd.DepartmentId
+                    LEFT JOIN Departments rd ON t.RoutedDepartmentId = rd.DepartmentId
+                    LEFT JOIN Allocation_Rules r ON t.SuggestedRuleId = r.RuleId
+                    LEFT JOIN Users u ON t.RoutedBy = u.UserId
+                    WHERE t.Status = @status
+                    ORDER BY
+                        CASE WHEN @status = 'PENDING' THEN t.CreatedAt END ASC,
+                        t.RoutedAt DESC
+                    OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
+                `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getQueue: ${error.message}`);
+        }
+    }
+
+    async countPending() {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .query(`SELECT COUNT(*) as PendingCount FROM Issue_Triage WHERE Status = 'PENDING'`);
+
+            return result.recordset[0].PendingCount;
+        } catch (error) {
+            throw new Error(`Database error in countPending: ${error.message}`);
+        }
+    }
+
+    async getByIssueId(issueId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('issueId', sql.UniqueIdentifier, issueId)
+                .query(`
+                    SELECT IssueId, Reason, Confidence, SuggestedDepartmentId, SuggestedRuleId, Status,
+                           RoutedDepartmentId, RoutedBy, RoutedAt, CreatedAt
+                    FROM Issue_Triage
+                    WHERE IssueId = @issueId
+                `);
+
+            return result.recordset[0] || null;
+        } catch (error) {
+            throw new Error(`Database error in getByIssueId: ${error.message}`);
+        }
+    }
+
+    /**
+     * Route a pending issue: move it to the chosen office, close its triage entry
+     * and record the decision as a labelled example, all at once
+     * @param {Object} decision - { issueId, departmentId, routedBy }
+     * @returns {Promise<Object|null>} { PreviousDepartmentId, ExampleId } or null if it was not pending
+     */
+    async routeIssue({ issueId, departmentId, routedBy }) {
+        try {
+            return await withTransaction(async (transaction) => {
+                const triage = await new sql.Request(transaction)
+                    .input('issueId', sql.UniqueIdentifier, issueId)
+                    .input('departmentId', sql.Int, departmentId)
+                    .input('routedBy', sql.Int, routedBy)
+                    .query(`
+                        UPDATE Issue_Triage
+                        SET Status = 'ROUTED', RoutedDepartmentId = @departmentId,
+                            RoutedBy = @routedBy, RoutedAt = SYSUTCDATETIME()
+                        OUTPUT INSERTED.SuggestedDepartmentId, INSERTED.SuggestedRuleId, INSERTED.Confidence
+                        WHERE IssueId = @issueId AND Status = 'PENDING'
+                    `);
+
+                const entry = triage.recordset[0];
+                if (!entry) return null;
+
+                const result = await new sql.Request(transaction)
+                    .input('issueId', sql.UniqueIdentifier, issueId)
+                    .input('departmentId', sql.Int, departmentId)
+                    .input('suggestedDepartmentId', sql.Int, entry.SuggestedDepartmentId)
+                    .input('suggestedRuleId', sql.Int, entry.SuggestedRuleId)
+                    .input('confidence', sql.Decimal(4, 3), entry.Confidence)
+                    .input('routedBy', sql.Int, routedBy)
+                    .query(`
+                        DECLARE @previousDepartmentId INT = (SELECT DepartmentId FROM Issues WHERE IssueId = @issueId);
+
+                        UPDATE Issues
+                        SET DepartmentId = @departmentId, UpdatedAt = SYSUTCDATETIME()
+                        WHERE IssueId = @issueId;
+
+                        INSERT INTO Allocation_Examples
+                            (IssueId, IssueType, Description, DepartmentId, SuggestedDepartmentId, SuggestedRuleId, Confidence, LabelledBy)
+                        SELECT IssueId, IssueType, Description, @departmentId, @suggestedDepartmentId, @suggestedRuleId, @confidence, @routedBy
+                        FROM Issues
+                        WHERE IssueId = @issueId;
+
+                        SELECT CAST(SCOPE_IDENTITY() AS INT) as ExampleId, @previousDepartmentId as PreviousDepartmentId;
+                    `);
+
+                return result.recordset[0];
+            });
+        } catch (error) {
+            throw new Error(`Database error in routeIssue: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get labelled examples, newest first
+     * @param {Object} query - { departmentId?, limit, offset }
+     * @returns {Promise<Array>}
+     */
+    async getExamples({ departmentId = null, limit, offset }) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('departmentId', sql.Int, departmentId)
+                .input('limit', sql.Int, limit)
+                .input('offset', sql.Int, offset)
+                .query(`
+                    SELECT e.ExampleId, e.IssueId, e.IssueType, e.Description,
+                           e.DepartmentId, d.DepartmentName,
+                           e.SuggestedDepartmentId, sd.DepartmentName as SuggestedDepartmentName,
+                           e.SuggestedRuleId, e.Confidence, e.LabelledBy, u.FullName as LabelledByName, e.CreatedAt
+                    FROM Allocation_Examples e
+                    JOIN Departments d ON e.DepartmentId = d.DepartmentId
+                    LEFT JOIN Departments sd ON e.SuggestedDepartmentId = sd.DepartmentId
+                    LEFT JOIN Users u ON e.LabelledBy = u.UserId
+                    WHERE @departmentId IS NULL OR e.DepartmentId = @departmentId
+                    ORDER BY e.CreatedAt DESC, e.ExampleId DESC
+                    OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
+                `);
+
+            return result.recordset;
+        } catch (error) {
+            throw new Error(`Database error in getExamples: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new TriageRepository();
@@ -0,0 +1,300 @@
+const { sql, getPool, withTransaction } = require('../db');
+
+/**
+ * Repository Layer - Two-Factor Authentication
+ * Handles TOTP secrets, recovery codes and login challenges
+ */
+class TwoFactorRepository {
+    /**
+     * Get a user's two-factor state
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} { UserId, Role, TwoFactorSecret, TwoFactorPendingSecret, TwoFactorEnabledAt, TwoFactorLastStep, RecoveryCodesLeft }
+     */
+    async getState(userId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .query(`
+                    SELECT u.UserId, u.Role, u.phone_number, u.TwoFactorSecret, u.TwoFactorPendingSecret,
+                           u.TwoFactorEnabledAt, u.TwoFactorLastStep,
+                           (SELECT COUNT(*) FROM Two_Factor_Recovery_Codes
+                            WHERE UserId = u.UserId AND UsedAt IS NULL) as RecoveryCodesLeft
+                    FROM Users u
+                    WHERE u.UserId = @userId
+                `);
+
+            return result.recordset[0] || null;
+        } catch (error) {
+            throw new Error(`Database error in getState: ${error.message}`);
+        }
+    }
+
+    /**
+     * Store the secret of an enrolment that has not been confirmed yet
+     * @param {number} userId - User ID
+     * @param {string} encryptedSecret - Encrypted TOTP secret
+     * @returns {Promise<void>}
+     */
+    async setPendingSecret(userId, encryptedSecret) {
+        try {
+            const pool = await getPool();
+            await pool.request()
+                .input('userId', sql.Int, userId)
+                .input('secret', sql.NVarChar, encryptedSecret)
+                .query(`UPDATE Users SET TwoFactorPendingSecret = @secret WHERE UserId = @userId`);
+        } catch (error) {
+            throw new Error(`Database error in setPendingSecret: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace a user's recovery codes as part of a transaction
+     * @param {Object} transaction - Active transaction
+     * @param {number} userId - User ID
+     * @param {Array<string>} codeHashes - Hashes of the new codes (empty to delete all)
+     * @returns {Promise<void>}
+     */
+    async writeRecoveryCodes(transaction, userId, codeHashes) {
+        await new sql.Request(transaction)
+            .input('userId', sql.Int, userId)
+            .query(`DELETE FROM Two_Factor_Recovery_Codes WHERE UserId = @userId`);
+
+        for (const codeHash of codeHashes) {
+            await new sql.Request(transaction)
+                .input('userId', sql.Int, userId)
+                .input('codeHash', sql.NVarChar, codeHash)
+                .query(`INSERT INTO Two_Factor_Recovery_Codes (UserId, CodeHash) VALUES (@userId, @codeHash)`);
+        }
+    }
+
+    /**
+     * Turn two-factor on: the pending secret becomes the active one and the
+     * recovery codes replace any earlier ones
+     * @param {number} userId - User ID
+     * @param {number} step - Time step of the code that confirmed the enrolment
+     * @param {Array<string>} codeHashes - Hashes of the new recovery codes
+     * @param {number} [challengeId] - Login challenge the enrolment was confirmed in; it is closed in the same transaction
+     * @returns {Promise<boolean>} False if the challenge was already closed (nothing changed)
+     *          or there was no pending enrolment
+     */
+    async enable(userId, step, codeHashes, challengeId = null) {
+        try {
+            return await withTransaction(async (transaction) => {
+                if (challengeId !== null) {
+                    const consumed = await new sql.Request(transaction)
+                        .input('challengeId', sql.Int, challengeId)
+                        .query(`
+                            UPDATE Login_Challenges
+                            SET ConsumedAt = SYSUTCDATETIME()
+                            WHERE ChallengeId = @challengeId AND ConsumedAt IS NULL
+                        `);
+                    if (consumed.rowsAffected[0] === 0) return false;
+                }
+
+                const result = await new sql.Request(transaction)
+                    .input('userId', sql.Int, userId)
+                    .input('step', sql.BigInt, step)
+                    .query(`
+                        UPDATE Users
+                        SET TwoFactorSecret = TwoFactorPendingSecret,
+                            TwoFactorPendingSecret = NULL,
+                            TwoFactorEnabledAt = SYSUTCDATETIME(),
+                            TwoFactorLastStep = @step
+                        WHERE UserId = @userId AND TwoFactorPendingSecret IS NOT NULL
+                    `);
+
+                if (result.rowsAffected[0] === 0) return false;
+
+                await this.writeRecoveryCodes(transaction, userId, codeHashes);
+                return true;
+            });
+        } catch (error) {
+            throw new Error(`Database error in enable: ${error.message}`);
+        }
+    }
+
+    /**
+     * Turn two-factor off and delete the recovery codes
+     * @param {number} userId - User ID
+     * @returns {Promise<void>}
+     */
+    async disable(userId) {
+        try {
+            await withTransaction(async (transaction) => {
+                await new sql.Request(transaction)
+                    .input('userId', sql.Int, userId)
+                    .query(`
+                        UPDATE Users
+                        SET TwoFactorSecret = NULL, TwoFactorPendingSecret = NULL,
+                            TwoFactorEnabledAt = NULL, TwoFactorLastStep = NULL
+                        WHERE UserId = @userId
+                    `);
+
+                await this.writeRecoveryCodes(transaction, userId, []);
+            });
+        } catch (error) {
+            throw new Error(`Database error in disable: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace all recovery codes of a user
+     * @param {number} userId - User ID
+     * @param {Array<string>} codeHashes - Hashes of the new codes
+     * @returns {Promise<void>}
+     */
+    async replaceRecoveryCodes(userId, codeHashes) {
+        try {
+            await withTransaction((transaction) => this.writeRecoveryCodes(transaction, userId, codeHashes));
+        } catch (error) {
+            throw new Error(`Database error in replaceRecoveryCodes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Accept a TOTP time step. Only succeeds for steps after the last accepted one,
+     * so a code cannot be used twice.
+     * @param {number} userId - User ID
+     * @param {number} step - Time step of the code
+     * @returns {Promise<boolean>} True if the step was accepted
+     */
+    async acceptStep(userId, step) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .input('step', sql.BigInt, step)
+                .query(`
+                    UPDATE Users
+                    SET TwoFactorLastStep = @step
+                    WHERE UserId = @userId AND (TwoFactorLastStep IS NULL OR TwoFactorLastStep < @step)
+                `);
+
+            return result.rowsAffected[0] > 0;
+        } catch (error) {
+            throw new Error(`Database error in acceptStep: ${error.message}`);
+        }
+    }
+
+    /**
+     * Use up a recovery code
+     * @param {number} userId - User ID
+     * @param {string} codeHash - Hash of the code
+     * @returns {Promise<boolean>} True if an unused code matched
+     */
+    async useRecoveryCode(userId, codeHash) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .input('codeHash', sql.NVarChar, codeHash)
+                .query(`
+                    UPDATE TOP (1) Two_Factor_Recovery_Codes
+                    SET UsedAt = SYSUTCDATETIME()
+                    WHERE UserId = @userId AND CodeHash = @codeHash AND UsedAt IS NULL
+                `);
+
+            return result.rowsAffected[0] > 0;
+        } catch (error) {
+            throw new Error(`Database error in useRecoveryCode: ${error.message}`);
+        }
+    }
+
+    /**
+     * Store a login challenge and retire earlier open ones of the user
+     * @param {Object} challenge - { userId, tokenHash, expiresAt }
+     * @returns {Promise<Object>} Created challenge
+     */
+    async createChallenge({ userId, tokenHash, expiresAt }) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .input('tokenHash', sql.NVarChar, tokenHash)
+                .input('expiresAt', sql.DateTime2, expiresAt)
+                .query(`
+                    UPDATE Login_Challenges
+                    SET ConsumedAt = SYSUTCDATETIME()
+                    WHERE UserId = @userId AND ConsumedAt IS NULL;
+
+                    INSERT INTO Login_Challenges (UserId, TokenHash, ExpiresAt)
+                    OUTPUT INSERTED.ChallengeId, INSERTED.UserId, INSERTED.ExpiresAt, INSERTED.CreatedAt
+                    VALUES (@userId, @tokenHash, @expiresAt);
+                `);
+
+            return result.recordset[0];
+        } catch (error) {
+            throw new Error(`Database error in createChallenge: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find an open, unexpired login challenge by the hash of its token
+     * @param {string} tokenHash - SHA-256 of the challenge token
+     * @returns {Promise<Object|null>} Challenge or null
+     */
+    async findActiveChallenge(tokenHash) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('tokenHash', sql.NVarChar, tokenHash)
+                .query(`
+                    SELECT ChallengeId, UserId, Attempts, ExpiresAt, CreatedAt
+                    FROM Login_Challenges
+                    WHERE TokenHash = @tokenHash AND ConsumedAt IS NULL AND ExpiresAt > SYSUTCDATETIME()
+                `);
+
+            return result.recordset[0] || null;
+        } catch (error) {
+            throw new Error(`Database error in findActiveChallenge: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a wrong code for a challenge
+     * @param {number} challengeId - Challenge ID
+     * @returns {Promise<number>} Attempts so far
+     */
+    async incrementChallengeAttempts(challengeId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('challengeId', sql.Int, challengeId)
+                .query(`
+                    UPDATE Login_Challenges
+                    SET Attempts = Attempts + 1
+                    OUTPUT INSERTED.Attempts
+                    WHERE ChallengeId = @challengeId
+                `);
+
+            return result.recordset[0]?.Attempts ?? 0;
+        } catch (error) {
+            throw new Error(`Database error in incrementChallengeAttempts: ${error.message}`);
+        }
+    }
+
+    /**
+     * Close a challenge. Only succeeds once, so a challenge signs in only one device.
+     * @param {number} challengeId - Challenge ID
+     * @returns {Promise<boolean>} True if this call closed it
+     */
+    async consumeChallenge(challengeId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('challengeId', sql.Int, challengeId)
+                .query(`
+                    UPDATE Login_Challenges
+                    SET ConsumedAt = SYSUTCDATETIME()
+                    WHERE ChallengeId = @challengeId AND ConsumedAt IS NULL
+                `);
+
+            return result.rowsAffected[0] > 0;
+        } catch (error) {
+            throw new Error(`Database error in consumeChallenge: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new TwoFactorRepository();
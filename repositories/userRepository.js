@@ -0,0 +1,117 @@
+const { sql, getPool, withTransaction } = require('../db');
+const auditRepository = require('./auditRepository');
+
+const USER_COLUMNS = `u.UserId, u.FullName, u.phone_number, u.Email, u.Role, u.DepartmentId, u.PhoneVerifiedAt,
+                      u.DeactivatedAt, u.PasswordResetRequired, u.CreatedAt, d.DepartmentName`;
+
+/**
+ * Repository Layer - User Administration
+ * Handles admin queries and account changes; every change is audited in the same transaction
+ */
+class UserRepository {
+    /**
+     * Search users
+     * @param {Object} filters - { search?, role?, departmentId?, status?: 'active' | 'deactivated', limit, offset }
+     * @returns {Promise<Object>} { users, total }
+     */
+    async searchUsers({ search = null, role = null, departmentId = null, status = null, limit = 50, offset = 0 } = {}) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('search', sql.NVarChar, search ? `%${search}%` : null)
+                .input('role', sql.NVarChar, role)
+                .input('departmentId', sql.Int, departmentId)
+                .input('status', sql.NVarChar, status)
+                .input('limit', sql.Int, limit)
+                .input('offset', sql.Int, offset)
+                .query(`
+                    SELECT ${USER_COLUMNS}, COUNT(*) OVER() as TotalCount
+                    FROM Users u
+                    LEFT JOIN Departments d ON u.DepartmentId = d.DepartmentId
+                    WHERE (@search IS NULL OR u.FullName LIKE @search OR u.phone_number LIKE @search OR u.Email LIKE @search)
+                      AND (@role IS NULL OR u.Role = @role)
+                      AND (@departmentId IS NULL OR u.DepartmentId = @departmentId)
+                      AND (@status IS NULL
+                           OR (@status = 'active' AND u.DeactivatedAt IS NULL)
+                           OR (@status = 'deactivated' AND u.DeactivatedAt IS NOT NULL))
+                    ORDER BY u.FullName, u.UserId
+                    OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
+                `);
+
+            return {
+                users: result.recordset,
+                total: result.recordset[0]?.TotalCount || 0
+            };
+        } catch (error) {
+            throw new Error(`Database error in searchUsers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a user with department name
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} User or null
+     */
+    async getUserById(userId) {
+        try {
+            const pool = await getPool();
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .query(`
+                    SELECT ${USER_COLUMNS}
+                    FROM Users u
+                    LEFT JOIN Departments d ON u.DepartmentId = d.DepartmentId
+                    WHERE u.UserId = @userId
+                `);
+
+            return result.recordset[0] || null;
+        } catch (error) {
+            throw new Error(`Database error in getUserById: ${error.message}`);
+        }
+    }
+
+    /**
+     * Change account fields and record the audit entry atomically
+     * @param {number} userId - User ID
+     * @param {Object} changes - Any of { role, departmentId, deactivated, passwordResetRequired }
+     * @param {Object} audit - { actorId, action, details? }
+     * @returns {Promise<boolean>} True if the user exists and was updated
+     */
+    async updateAccount(userId, changes, audit) {
+        try {
+            return await withTransaction(async (transaction) => {
+                const request = new sql.Request(transaction).input('userId', sql.Int, userId);
+                const sets = [];
+
+                if ('role' in changes) {
+                    request.input('role', sql.NVarChar, changes.role);
+                    sets.push('Role = @role');
+                }
+                if ('departmentId' in changes) {
+                    request.input('departmentId', sql.Int, changes.departmentId);
+                    sets.push('DepartmentId = @departmentId');
+                }
+                if ('deactivated' in changes) {
+                    sets.push(changes.deactivated ? 'DeactivatedAt = SYSUTCDATETIME()' : 'DeactivatedAt = NULL');
+                }
+                if ('passwordResetRequired' in changes) {
+                    request.input('passwordResetRequired', sql.Bit, changes.passwordResetRequired);
+                    sets.push('PasswordResetRequired = @passwordResetRequired');
+                }
+
+                const result = await request.query(`
+                    UPDATE Users SET ${sets.join(', ')}
+                    WHERE UserId = @userId
+                `);
+                if (result.rowsAffected[0] === 0) return false;
+
+                await auditRepository.insertEntry(transaction, { ...audit, targetUserId: userId });
+                return true;
+            });
+        } catch (error) {
+            throw new Error(`Database error in updateAccount: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new UserRepository();
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, authorize, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/permissionService');
+const { rateLimit, byIp, byPhoneNumber } = require('../middleware/rateLimit');
 
 /**
  * Router Layer - Route Definitions
@@ -12,11 +14,35 @@ const { authenticateToken, authorize } = require('../middleware/auth');
 
 /**
  * @route   POST /api/auth/signup
- * @desc    Register a new user
+ * @desc    Register a new citizen and send a phone verification code by SMS
  * @access  Public
- * @body    { fullName, phoneNumber, password, email?, role, departmentId? }
+ * @body    { fullName, phoneNumber, password, email? }
  */
-router.post('/signup', authController.signup.bind(authController));
+router.post('/signup', rateLimit('SIGNUP_IP', byIp), authController.signup.bind(authController));
+
+/**
+ * @route   POST /api/auth/invitations/accept
+ * @desc    Create a STAFF or ADMIN account from an invitation code received by SMS
+ * @access  Public
+ * @body    { token, password, fullName?, email? }
+ */
+router.post('/invitations/accept', rateLimit('CODE_VERIFY_IP', byIp), authController.acceptInvitation.bind(authController));
+
+/**
+ * @route   POST /api/auth/phone/otp
+ * @desc    Send a new verification code to a registered, unverified phone number
+ * @access  Public
+ * @body    { phoneNumber }
+ */
+router.post('/phone/otp', rateLimit('OTP_IP', byIp), rateLimit('OTP_ACCOUNT', byPhoneNumber), authController.requestPhoneVerification.bind(authController));
+
+/**
+ * @route   POST /api/auth/phone/verify
+ * @desc    Verify phone number with the SMS code; activates the account
+ * @access  Public
+ * @body    { phoneNumber, code }
+ */
+router.post('/phone/verify', rateLimit('CODE_VERIFY_IP', byIp), authController.verifyPhone.bind(authController));
 
 /**
  * @route   POST /api/auth/login
@@ -24,7 +50,55 @@ router.post('/signup', authController.signup.bind(authController));
  * @access  Public
  * @body    { phoneNumber, password }
  */
-router.post('/login', authController.login.bind(authController));
+router.post('/login', rateLimit('LOGIN_IP', byIp), authController.login.bind(authController));
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Finish a login that returned twoFactorRequired, with an authenticator or recovery code
+ * @access  Public
+ * @body    { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+router.post('/login/2fa', rateLimit('CODE_VERIFY_IP', byIp), authController.completeTwoFactorLogin.bind(authController));
+
+/**
+ * @route   POST /api/auth/login/2fa/setup
+ * @desc    Set up an authenticator during login when the account's role requires two-factor
+ * @access  Public
+ * @body    { challengeToken }
+ */
+router.post('/login/2fa/setup', rateLimit('CODE_VERIFY_IP', byIp), authController.setupTwoFactorForLogin.bind(authController));
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token; the refresh token is rotated
+ * @access  Public
+ * @body    { refreshToken }
+ */
+router.post('/refresh', authController.refresh.bind(authController));
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End the session of a refresh token, or every session of its user
+ * @access  Public (the refresh token identifies the session)
+ * @body    { refreshToken, allSessions? }
+ */
+router.post('/logout', authController.logout.bind(authController));
+
+/**
+ * @route   POST /api/auth/password/forgot
+ * @desc    Send a password reset code by SMS
+ * @access  Public
+ * @body    { phoneNumber }
+ */
+router.post('/password/forgot', rateLimit('OTP_IP', byIp), rateLimit('OTP_ACCOUNT', byPhoneNumber), authController.forgotPassword.bind(authController));
+
+/**
+ * @route   POST /api/auth/password/reset
+ * @desc    Reset password with the SMS code; signs out every existing session
+ * @access  Public
+ * @body    { phoneNumber, code, newPassword }
+ */
+router.post('/password/reset', rateLimit('CODE_VERIFY_IP', byIp), authController.resetPassword.bind(authController));
 
 // ==================== PROTECTED ROUTES ====================
 
@@ -44,6 +118,143 @@ router.get('/verify', authenticateToken, authController.verifyToken.bind(authCon
  */
 router.get('/profile', authenticateToken, authController.getProfile.bind(authController));
 
+/**
+ * @route   POST /api/auth/password/change
+ * @desc    Change password; other sessions are signed out and a fresh token is returned
+ * @access  Private (requires authentication)
+ * @header  Authorization: Bearer <token>
+ * @body    { currentPassword, newPassword }
+ */
+router.post('/password/change', authenticateToken, authController.changePassword.bind(authController));
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status (enabled, required for role, recovery codes left)
+ * @access  Private (requires authentication)
+ * @header  Authorization: Bearer <token>
+ */
+router.get('/2fa', authenticateToken, authController.getTwoFactorStatus.bind(authController));
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start authenticator setup; returns the secret and an otpauth:// URI
+ * @access  Private (requires authentication)
+ * @header  Authorization: Bearer <token>
+ */
+router.post('/2fa/setup', authenticateToken, authController.setupTwoFactor.bind(authController));
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm setup with a code from the authenticator; returns recovery codes
+ * @access  Private (requires authentication)
+ * @header  Authorization: Bearer <token>
+ * @body    { code }
+ */
+router.post('/2fa/enable', authenticateToken, authController.enableTwoFactor.bind(authController));
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor off (not allowed for roles that require it)
+ * @access  Private (requires authentication)
+ * @header  Authorization: Bearer <token>
+ * @body    { password, code } or { password, recoveryCode }
+ */
+router.post('/2fa/disable', authenticateToken, authController.disableTwoFactor.bind(authController));
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes with new ones
+ * @access  Private (requires authentication)
+ * @header  Authorization: Bearer <token>
+ * @body    { code }
+ */
+router.post('/2fa/recovery-codes', authenticateToken, authController.regenerateRecoveryCodes.bind(authController));
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices the current user is signed in on
+ * @access  Private (requires authentication)
+ * @header  Authorization: Bearer <token>
+ */
+router.get('/sessions', authenticateToken, authController.getSessions.bind(authController));
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out one of the current user's sessions
+ * @access  Private (requires authentication)
+ * @header  Authorization: Bearer <token>
+ */
+router.delete('/sessions/:sessionId', authenticateToken, authController.revokeSession.bind(authController));
+
+/**
+ * @route   POST /api/auth/devices
+ * @desc    Register a push notification token for the current user
+ * @access  Private (requires authentication)
+ * @header  Authorization: Bearer <token>
+ * @body    { token, platform: 'ANDROID' | 'IOS' | 'WEB' }
+ */
+router.post('/devices', authenticateToken, authController.registerDevice.bind(authController));
+
+/**
+ * @route   DELETE /api/auth/devices
+ * @desc    Unregister a push notification token (e.g. on logout)
+ * @access  Private (requires authentication)
+ * @header  Authorization: Bearer <token>
+ * @body    { token }
+ */
+router.delete('/devices', authenticateToken, authController.unregisterDevice.bind(authController));
+
+// ==================== ADMIN ROUTES ====================
+
+/**
+ * @route   POST /api/auth/invitations
+ * @desc    Invite someone to create a STAFF or ADMIN account; the code is sent to their phone
+ * @access  Private (user.manage)
+ * @header  Authorization: Bearer <token>
+ * @body    { phoneNumber, role: 'STAFF' | 'DEPT_HEAD' | 'ADMIN', departmentId? (required for STAFF and DEPT_HEAD), fullName?, email? }
+ */
+router.post('/invitations', authenticateToken, requirePermission(PERMISSIONS.USER_MANAGE), authController.createInvitation.bind(authController));
+
+/**
+ * @route   GET /api/auth/invitations
+ * @desc    List pending invitations
+ * @access  Private (user.manage)
+ * @header  Authorization: Bearer <token>
+ */
+router.get('/invitations', authenticateToken, requirePermission(PERMISSIONS.USER_MANAGE), authController.getInvitations.bind(authController));
+
+/**
+ * @route   DELETE /api/auth/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private (user.manage)
+ * @header  Authorization: Bearer <token>
+ */
+router.delete('/invitations/:invitationId', authenticateToken, requirePermission(PERMISSIONS.USER_MANAGE), authController.revokeInvitation.bind(authController));
+
+/**
+ * @route   GET /api/auth/users/:userId/sessions
+ * @desc    List the devices a user is signed in on
+ * @access  Private (user.manage)
+ * @header  Authorization: Bearer <token>
+ */
+router.get('/users/:userId/sessions', authenticateToken, requirePermission(PERMISSIONS.USER_MANAGE), authController.getUserSessions.bind(authController));
+
+/**
+ * @route   DELETE /api/auth/users/:userId/sessions/:sessionId
+ * @desc    Sign a user out of one session
+ * @access  Private (user.manage)
+ * @header  Authorization: Bearer <token>
+ */
+router.delete('/users/:userId/sessions/:sessionId', authenticateToken, requirePermission(PERMISSIONS.USER_MANAGE), authController.revokeUserSession.bind(authController));
+
+/**
+ * @route   DELETE /api/auth/users/:userId/sessions
+ * @desc    Revoke every session of a user; their access tokens stop working immediately
+ * @access  Private (user.manage)
+ * @header  Authorization: Bearer <token>
+ */
+router.delete('/users/:userId/sessions', authenticateToken, requirePermission(PERMISSIONS.USER_MANAGE), authController.revokeUserSessions.bind(authController));
+
 // ==================== ROLE-BASED PROTECTED ROUTES EXAMPLES ====================
 // Uncomment and use these patterns for role-specific routes
 
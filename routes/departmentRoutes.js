@@ -1,9 +1,40 @@
 const express = require('express');
 const router = express.Router();
 const departmentController = require('../controllers/departmentController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, paramDepartment } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/permissionService');
 
 // GET /api/departments - list all departments
 router.get('/', authenticateToken, departmentController.getDepartments.bind(departmentController));
 
+// GET /api/departments/sla-policies - list SLA targets (dept.manage)
+router.get('/sla-policies', authenticateToken, requirePermission(PERMISSIONS.DEPT_MANAGE), departmentController.getSlaPolicies.bind(departmentController));
+
+// GET /api/departments/allocation-rules - list allocation rules, active and inactive (allocation.manage)
+router.get('/allocation-rules', authenticateToken, requirePermission(PERMISSIONS.ALLOCATION_MANAGE), departmentController.getAllocationRules.bind(departmentController));
+
+// POST /api/departments/allocation-rules/test - where would { description, issueType?, latitude?, longitude? } be routed, and why (allocation.manage)
+router.post('/allocation-rules/test', authenticateToken, requirePermission(PERMISSIONS.ALLOCATION_MANAGE), departmentController.testAllocationRules.bind(departmentController));
+
+// POST /api/departments/allocation-rules - create rule { name, departmentId, keywords, excludeWords?, isActive? } (allocation.manage)
+router.post('/allocation-rules', authenticateToken, requirePermission(PERMISSIONS.ALLOCATION_MANAGE), departmentController.createAllocationRule.bind(departmentController));
+
+// PATCH /api/departments/allocation-rules/:ruleId - change some fields of a rule (allocation.manage)
+router.patch('/allocation-rules/:ruleId', authenticateToken, requirePermission(PERMISSIONS.ALLOCATION_MANAGE), departmentController.updateAllocationRule.bind(departmentController));
+
+// DELETE /api/departments/allocation-rules/:ruleId - delete a rule; set isActive false to keep it around (allocation.manage)
+router.delete('/allocation-rules/:ruleId', authenticateToken, requirePermission(PERMISSIONS.ALLOCATION_MANAGE), departmentController.deleteAllocationRule.bind(departmentController));
+
+// PUT /api/departments/:departmentId/sla-policy - set SLA target { issueType?, acknowledgeHours, resolveHours } (dept.manage in that department)
+router.put('/:departmentId/sla-policy', authenticateToken, requirePermission(PERMISSIONS.DEPT_MANAGE, { department: paramDepartment }), departmentController.setSlaPolicy.bind(departmentController));
+
+// GET /api/departments/:departmentId/jurisdiction - jurisdiction area as GeoJSON
+router.get('/:departmentId/jurisdiction', authenticateToken, departmentController.getJurisdiction.bind(departmentController));
+
+// PUT /api/departments/:departmentId/jurisdiction - set area { name?, geometry: GeoJSON Polygon | MultiPolygon } (dept.manage in that department)
+router.put('/:departmentId/jurisdiction', authenticateToken, requirePermission(PERMISSIONS.DEPT_MANAGE, { department: paramDepartment }), departmentController.setJurisdiction.bind(departmentController));
+
+// DELETE /api/departments/:departmentId/jurisdiction - remove area; issues there fall back to the nearest office (dept.manage in that department)
+router.delete('/:departmentId/jurisdiction', authenticateToken, requirePermission(PERMISSIONS.DEPT_MANAGE, { department: paramDepartment }), departmentController.removeJurisdiction.bind(departmentController));
+
 module.exports = router;
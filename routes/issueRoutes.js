@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const issueController = require('../controllers/issueController');
-const { authenticateToken, authorize } = require('../middleware/auth');
-const { upload } = require('../middleware/fileUpload');
+const { authenticateToken, requirePermission, requireIssueParticipant, issueDepartment, paramDepartment, requireVerifiedPhone } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/permissionService');
+const { upload, handleUploadError } = require('../middleware/fileUpload');
+const { rateLimit, byIp, byUser } = require('../middleware/rateLimit');
 
 /**
  * Router Layer - Issue Routes
@@ -13,38 +15,45 @@ const { upload } = require('../middleware/fileUpload');
 
 /**
  * @route   POST /api/issues/create
- * @desc    Create a new issue (CITIZEN can report)
- * @access  Private (CITIZEN, STAFF, ADMIN)
- * @body    { description, issueType, latitude, longitude, address?, departmentId }
+ * @desc    Create a new issue (CITIZEN can report).
+ *          Returns 409 with `duplicates` when similar open issues exist nearby;
+ *          resend with duplicateOf to join one of them, or ignoreDuplicates to create anyway.
+ *          Returns 429 when the user or their IP reports too often.
+ * @access  Private (any role) with a verified phone number
+ * @body    { description, issueType, latitude, longitude, address?, departmentId, duplicateOf?, ignoreDuplicates?, anonymous? }
  */
 router.post('/create', 
     authenticateToken,
+    rateLimit('ISSUE_CREATE_USER', byUser),
+    rateLimit('ISSUE_CREATE_IP', byIp),
+    requireVerifiedPhone,
     issueController.createIssue.bind(issueController)
 );
 
 /**
  * @route   POST /api/issues/:issueId/images
- * @desc    Add image to issue
- * @access  Private (requires authentication)
+ * @desc    Add image to issue (AFTER images only by department staff and admins)
+ * @access  Private (reporter, department staff, admins)
  * @param   issueId - Issue ID
  * @body    { imageType: 'BEFORE' | 'AFTER' } with image file
  */
 router.post('/:issueId/images',
     authenticateToken,
+    requireIssueParticipant,
     upload.single('image'),
     issueController.addImage.bind(issueController)
 );
 
 /**
  * @route   POST /api/issues/:issueId/attendance
- * @desc    Record staff attendance with GPS (STAFF/ADMIN)
- * @access  Private (STAFF, ADMIN)
+ * @desc    Record staff attendance with GPS
+ * @access  Private (issue.work in the issue's department)
  * @param   issueId - Issue ID
  * @body    { latitude, longitude }
  */
 router.post('/:issueId/attendance',
     authenticateToken,
-    authorize('STAFF', 'ADMIN'),
+    requirePermission(PERMISSIONS.ISSUE_WORK, { department: issueDepartment }),
     issueController.addAttendance.bind(issueController)
 );
 
@@ -72,55 +81,60 @@ router.get('/recent',
 /**
  * @route   GET /api/issues/my-issues
  * @desc    Get issues reported by current user
- * @access  Private (CITIZEN)
+ * @access  Private (issue.report)
  */
 router.get('/my-issues',
     authenticateToken,
-    authorize('CITIZEN'),
+    requirePermission(PERMISSIONS.ISSUE_REPORT),
     issueController.getMyIssues.bind(issueController)
 );
 
 /**
  * @route   GET /api/issues/staff-tasks
  * @desc    Get tasks assigned to staff member's department
- * @access  Private (STAFF, ADMIN)
+ * @access  Private (issue.view)
  * @query   lat - Staff latitude for distance calculation (optional)
  * @query   lon - Staff longitude for distance calculation (optional)
+ * @query   mode - 'mine' to list only issues assigned to the current user (optional)
+ * @query   sort - 'upvotes' to list most supported issues first (optional)
  */
 router.get('/staff-tasks',
     authenticateToken,
-    authorize('STAFF', 'ADMIN'),
+    requirePermission(PERMISSIONS.ISSUE_VIEW),
     issueController.getStaffTasks.bind(issueController)
 );
 
 /**
  * @route   GET /api/issues/department/:departmentId
- * @desc    Get all issues for a department (STAFF/ADMIN only)
- * @access  Private (STAFF, ADMIN)
+ * @desc    Get all issues for a department
+ * @access  Private (issue.view in that department)
  * @param   departmentId - Department ID
  */
 router.get('/department/:departmentId',
     authenticateToken,
-    authorize('STAFF', 'ADMIN'),
+    requirePermission(PERMISSIONS.ISSUE_VIEW, { department: paramDepartment }),
     issueController.getDepartmentIssues.bind(issueController)
 );
 
 /**
  * @route   GET /api/issues
- * @desc    Get all issues (ADMIN/STAFF only)
- * @access  Private (STAFF, ADMIN)
+ * @desc    Get all issues (department staff only get their own department's)
+ * @access  Private (issue.view)
  * @query   limit - Results per page (default: 20)
  * @query   offset - Pagination offset (default: 0)
+ * @query   sort - 'upvotes' to list most supported issues first (optional)
  */
 router.get('/',
     authenticateToken,
-    authorize('STAFF', 'ADMIN'),
+    requirePermission(PERMISSIONS.ISSUE_VIEW),
     issueController.getAllIssues.bind(issueController)
 );
 
 /**
  * @route   GET /api/issues/:issueId
- * @desc    Get issue details with images
+ * @desc    Get issue details with images.
+ *          Other users get the public view (no reporter details, no comments);
+ *          the reporter also gets comments; department staff and admins also get internal staff notes.
  * @access  Private (requires authentication)
  * @param   issueId - Issue ID
  */
@@ -129,17 +143,133 @@ router.get('/:issueId',
     issueController.getIssueDetails.bind(issueController)
 );
 
+/**
+ * @route   GET /api/issues/:issueId/timeline
+ * @desc    Get status history of an issue (who changed what, when and why).
+ *          Other users only get the statuses and when they changed.
+ * @access  Private (requires authentication)
+ * @param   issueId - Issue ID
+ */
+router.get('/:issueId/timeline',
+    authenticateToken,
+    issueController.getIssueTimeline.bind(issueController)
+);
+
 /**
  * @route   PATCH /api/issues/:issueId/status
- * @desc    Update issue status (STAFF can mark as IN_PROGRESS, RESOLVED)
- * @access  Private (STAFF, ADMIN)
+ * @desc    Update issue status following the allowed transitions:
+ *          REPORTED -> ASSIGNED | IN_PROGRESS, ASSIGNED -> IN_PROGRESS, IN_PROGRESS -> RESOLVED.
+ *          Moving back (e.g. RESOLVED -> IN_PROGRESS) requires a note.
+ *          Resolving and reopening need issue.close (DEPT_HEAD, ADMIN).
+ * @access  Private (issue.work in the issue's department; issue.close to resolve or reopen)
  * @param   issueId - Issue ID
- * @body    { status: 'REPORTED' | 'ASSIGNED' | 'IN_PROGRESS' | 'RESOLVED' }
+ * @body    { status: 'REPORTED' | 'ASSIGNED' | 'IN_PROGRESS' | 'RESOLVED', note? }
  */
 router.patch('/:issueId/status',
     authenticateToken,
-    authorize('STAFF', 'ADMIN'),
+    requirePermission(PERMISSIONS.ISSUE_WORK, { department: issueDepartment }),
     issueController.updateIssueStatus.bind(issueController)
 );
 
+/**
+ * @route   PATCH /api/issues/:issueId/assign
+ * @desc    Assign issue to a staff member of its department (a REPORTED issue moves to ASSIGNED;
+ *          an issue already in progress keeps its status)
+ * @access  Private (issue.assign in the issue's department: DEPT_HEAD, ADMIN)
+ * @param   issueId - Issue ID
+ * @body    { staffId }
+ */
+router.patch('/:issueId/assign',
+    authenticateToken,
+    requirePermission(PERMISSIONS.ISSUE_ASSIGN, { department: issueDepartment }),
+    issueController.assignIssue.bind(issueController)
+);
+
+/**
+ * @route   POST /api/issues/:issueId/claim
+ * @desc    Claim an unassigned issue from own department (a REPORTED issue moves to ASSIGNED)
+ * @access  Private (issue.work in the issue's department)
+ * @param   issueId - Issue ID
+ */
+router.post('/:issueId/claim',
+    authenticateToken,
+    requirePermission(PERMISSIONS.ISSUE_WORK, { department: issueDepartment }),
+    issueController.claimIssue.bind(issueController)
+);
+
+/**
+ * @route   POST /api/issues/:issueId/upvote
+ * @desc    Support an existing issue ("me too"); supporter also follows its updates
+ * @access  Private (issue.report)
+ * @param   issueId - Issue ID
+ */
+router.post('/:issueId/upvote',
+    authenticateToken,
+    requirePermission(PERMISSIONS.ISSUE_REPORT),
+    issueController.upvoteIssue.bind(issueController)
+);
+
+/**
+ * @route   DELETE /api/issues/:issueId/upvote
+ * @desc    Withdraw support for an issue
+ * @access  Private (issue.report)
+ * @param   issueId - Issue ID
+ */
+router.delete('/:issueId/upvote',
+    authenticateToken,
+    requirePermission(PERMISSIONS.ISSUE_REPORT),
+    issueController.removeUpvote.bind(issueController)
+);
+
+/**
+ * @route   GET /api/issues/:issueId/comments
+ * @desc    Get comment thread of an issue, oldest first
+ * @access  Private (reporter, department staff, admins)
+ * @param   issueId - Issue ID
+ */
+router.get('/:issueId/comments',
+    authenticateToken,
+    issueController.getComments.bind(issueController)
+);
+
+/**
+ * @route   POST /api/issues/:issueId/comments
+ * @desc    Post a comment
+ * @access  Private (reporter, department staff, admins)
+ * @param   issueId - Issue ID
+ * @body    { body? } with optional image file (field: image)
+ */
+router.post('/:issueId/comments',
+    authenticateToken,
+    requireIssueParticipant,
+    upload.single('image'),
+    handleUploadError,
+    issueController.addComment.bind(issueController)
+);
+
+/**
+ * @route   GET /api/issues/:issueId/notes
+ * @desc    Get internal staff notes of an issue (never shown to citizens)
+ * @access  Private (issue.note in the issue's department)
+ * @param   issueId - Issue ID
+ */
+router.get('/:issueId/notes',
+    authenticateToken,
+    requirePermission(PERMISSIONS.ISSUE_NOTE, { department: issueDepartment }),
+    issueController.getStaffNotes.bind(issueController)
+);
+
+/**
+ * @route   POST /api/issues/:issueId/notes
+ * @desc    Add an internal staff note
+ * @access  Private (issue.note in the issue's department)
+ * @param   issueId - Issue ID
+ * @body    { body }
+ */
+router.post('/:issueId/notes',
+    authenticateToken,
+    requirePermission(PERMISSIONS.ISSUE_NOTE, { department: issueDepartment }),
+    issueController.addStaffNote.bind(issueController)
+);
+
 module.exports = router;
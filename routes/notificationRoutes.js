@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * Router Layer - Notification Routes
+ * In-app notification inbox of the current user
+ */
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get current user's notifications (newest first) with unread count
+ * @access  Private (requires authentication)
+ * @query   unread - 'true' to list only unread notifications (optional)
+ * @query   limit - Results per page (default: 20, max: 100)
+ * @query   offset - Pagination offset (default: 0)
+ */
+router.get('/',
+    authenticateToken,
+    notificationController.getNotifications.bind(notificationController)
+);
+
+/**
+ * @route   PATCH /api/notifications/read-all
+ * @desc    Mark all of the current user's notifications as read
+ * @access  Private (requires authentication)
+ */
+router.patch('/read-all',
+    authenticateToken,
+    notificationController.markAllAsRead.bind(notificationController)
+);
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private (owner only)
+ * @param   id - Notification ID
+ */
+router.patch('/:id/read',
+    authenticateToken,
+    notificationController.markAsRead.bind(notificationController)
+);
+
+module.exports = router;
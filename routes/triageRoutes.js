@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const triageController = require('../controllers/triageController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/permissionService');
+
+/**
+ * Router Layer - Triage Routes
+ * Issues that automatic allocation was unsure about, waiting to be routed by hand
+ */
+
+/**
+ * @route   GET /api/triage
+ * @desc    Get the triage queue (waiting issues oldest first) with the number still waiting
+ * @access  Private (issue.triage)
+ * @query   status - PENDING (default) or ROUTED for recent decisions
+ * @query   limit - Results per page (default: 20, max: 100)
+ * @query   offset - Pagination offset (default: 0)
+ */
+router.get('/',
+    authenticateToken,
+    requirePermission(PERMISSIONS.ISSUE_TRIAGE),
+    triageController.getQueue.bind(triageController)
+);
+
+/**
+ * @route   GET /api/triage/examples
+ * @desc    Get labelled examples recorded from manual routing, newest first
+ * @access  Private (issue.triage)
+ * @query   departmentId - Only examples labelled with this department (optional)
+ * @query   limit - Results per page (default: 20, max: 100)
+ * @query   offset - Pagination offset (default: 0)
+ */
+router.get('/examples',
+    authenticateToken,
+    requirePermission(PERMISSIONS.ISSUE_TRIAGE),
+    triageController.getExamples.bind(triageController)
+);
+
+/**
+ * @route   POST /api/triage/:issueId/route
+ * @desc    Route a waiting issue to an office { departmentId } and record it as a labelled example
+ * @access  Private (issue.triage)
+ * @param   issueId - Issue ID
+ */
+router.post('/:issueId/route',
+    authenticateToken,
+    requirePermission(PERMISSIONS.ISSUE_TRIAGE),
+    triageController.routeIssue.bind(triageController)
+);
+
+module.exports = router;
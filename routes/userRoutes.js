@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/permissionService');
+
+/**
+ * Router Layer - User Administration Routes
+ * Admin-only account management; every change is recorded in the audit log
+ */
+
+/**
+ * @route   GET /api/users
+ * @desc    List and search users
+ * @access  Private (user.manage)
+ * @query   search - Matches name, phone number or email (optional)
+ * @query   role - CITIZEN | STAFF | ADMIN (optional)
+ * @query   departmentId - Department filter (optional)
+ * @query   status - active | deactivated (optional)
+ * @query   limit - Results per page (default: 50, max: 200)
+ * @query   offset - Pagination offset (default: 0)
+ */
+router.get('/',
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.listUsers.bind(userController)
+);
+
+/**
+ * @route   GET /api/users/audit-log
+ * @desc    Admin actions, newest first
+ * @access  Private (user.manage)
+ * @query   actorId, targetUserId, action - Filters (optional)
+ * @query   limit - Results per page (default: 50, max: 200)
+ * @query   offset - Pagination offset (default: 0)
+ */
+router.get('/audit-log',
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.getAuditLog.bind(userController)
+);
+
+/**
+ * @route   GET /api/users/contact-reveals
+ * @desc    Times a reporter's phone number was shown unmasked, newest first
+ * @access  Private (user.manage)
+ * @query   viewerId, citizenId, issueId - Filters (optional)
+ * @query   limit - Results per page (default: 50, max: 200)
+ * @query   offset - Pagination offset (default: 0)
+ */
+router.get('/contact-reveals',
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.getContactReveals.bind(userController)
+);
+
+/**
+ * @route   GET /api/users/:userId
+ * @desc    Get a user
+ * @access  Private (user.manage)
+ */
+router.get('/:userId',
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.getUser.bind(userController)
+);
+
+/**
+ * @route   PATCH /api/users/:userId/role
+ * @desc    Change a user's role; their sessions are signed out
+ * @access  Private (user.manage)
+ * @body    { role: 'CITIZEN' | 'STAFF' | 'DEPT_HEAD' | 'ADMIN', departmentId? (required when becoming STAFF or DEPT_HEAD without one) }
+ */
+router.patch('/:userId/role',
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.changeRole.bind(userController)
+);
+
+/**
+ * @route   PATCH /api/users/:userId/department
+ * @desc    Assign, move or remove (null) a user's department
+ * @access  Private (user.manage)
+ * @body    { departmentId }
+ */
+router.patch('/:userId/department',
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.changeDepartment.bind(userController)
+);
+
+/**
+ * @route   POST /api/users/:userId/deactivate
+ * @desc    Deactivate an account; login is refused and sessions are signed out
+ * @access  Private (user.manage)
+ * @body    { reason? }
+ */
+router.post('/:userId/deactivate',
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.deactivateUser.bind(userController)
+);
+
+/**
+ * @route   POST /api/users/:userId/reactivate
+ * @desc    Reactivate a deactivated account
+ * @access  Private (user.manage)
+ */
+router.post('/:userId/reactivate',
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.reactivateUser.bind(userController)
+);
+
+/**
+ * @route   POST /api/users/:userId/force-password-reset
+ * @desc    Sign the user out everywhere and require a new password before the next login
+ * @access  Private (user.manage)
+ */
+router.post('/:userId/force-password-reset',
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.forcePasswordReset.bind(userController)
+);
+
+/**
+ * @route   POST /api/users/:userId/reset-2fa
+ * @desc    Remove two-factor from an account that lost its authenticator and sign it out everywhere
+ * @access  Private (user.manage)
+ */
+router.post('/:userId/reset-2fa',
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_MANAGE),
+    userController.resetTwoFactor.bind(userController)
+);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+/**
+ * Admin command - train the allocation classifier
+ * Reads past issues whose department a person chose (an admin through triage, or the
+ * reporter), measures a model on a held-out part of them, then trains on all of them and
+ * writes the model file. Departments picked automatically are never used as labels.
+ *
+ *   node scripts/trainClassifier.js [--test-ratio=0.2] [--min-examples=5] [--alpha=1] [--dry-run]
+ *
+ * --dry-run only prints the evaluation. A running server picks up a new model file by itself.
+ */
+const { sql } = require('../db');
+const classifierService = require('../services/classifierService');
+
+const parseArgs = (argv) => {
+    const options = {};
+    for (const arg of argv) {
+        const [name, value] = arg.replace(/^--/, '').split('=');
+        if (name === 'test-ratio') options.testRatio = parseFloat(value);
+        else if (name === 'min-examples') options.minExamples = parseInt(value);
+        else if (name === 'alpha') options.alpha = parseFloat(value);
+        else if (name === 'dry-run') options.dryRun = true;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    return options;
+};
+
+const format = (value) => (value === null ? '-' : value.toFixed(3));
+
+const printEvaluation = (evaluation) => {
+    if (!evaluation) {
+        console.log('No held-out issues (test ratio 0): nothing was measured.');
+        return;
+    }
+
+    const { documents, accuracy, confident, labels } = evaluation;
+    console.log(`Trained on ${documents.train} issues, tested on ${documents.test}. Accuracy ${format(accuracy)}`);
+    console.log(`At probability >= ${confident.minProbability}: ${format(confident.coverage)} of issues, accuracy ${format(confident.accuracy)}\n`);
+
+    const width = Math.max(10, ...Object.keys(labels).map((label) => label.length));
+    console.log(`${'Department'.padEnd(width)}  Precision  Recall     F1   Support`);
+    for (const [label, stats] of Object.entries(labels).sort(([a], [b]) => a.localeCompare(b))) {
+        console.log(`${label.padEnd(width)}  ${format(stats.precision).padStart(9)}  ${format(stats.recall).padStart(6)}  ${format(stats.f1).padStart(5)}  ${String(stats.support).padStart(8)}`);
+    }
+    console.log('');
+};
+
+const main = async () => {
+    const { dryRun, ...options } = parseArgs(process.argv.slice(2));
+
+    const { model, evaluation, skipped, sources } = await classifierService.train(options);
+    console.log(`Labels: ${sources.TRIAGE} routed through triage, ${sources.REPORTER} chosen by the reporter\n`);
+    printEvaluation(evaluation);
+
+    for (const [label, count] of Object.entries(skipped)) {
+        console.log(`Skipped ${label}: only ${count} issue(s)`);
+    }
+    console.log(`Model: ${model.documents} issues, ${Object.keys(model.classes).length} departments, ${model.vocabularySize} tokens`);
+
+    if (dryRun) {
+        console.log('Dry run: model not saved');
+    } else {
+        console.log(`Saved to ${classifierService.saveModel(model, evaluation)}`);
+    }
+};
+
+main()
+    .then(() => sql.close())
+    .catch(async (error) => {
+        console.error('[Classifier] Training failed:', error.message);
+        await sql.close();
+        process.exitCode = 1;
+    });
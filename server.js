@@ -6,10 +6,28 @@ require('dotenv').config();
 const authRoutes = require('./routes/authRoutes');
 const issueRoutes = require('./routes/issueRoutes');
 const departmentRoutes = require('./routes/departmentRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const userRoutes = require('./routes/userRoutes');
+const triageRoutes = require('./routes/triageRoutes');
+const slaChecker = require('./jobs/slaChecker');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, trust it so req.ip is the client address recorded with sessions
+// and used for rate limits. TRUST_PROXY is true/false, a number of proxy hops, or
+// comma-separated addresses/subnets (e.g. loopback, 10.0.0.0/8).
+const parseTrustProxy = (value) => {
+    const setting = value.trim();
+    if (/^(true|false)$/i.test(setting)) return setting.toLowerCase() === 'true';
+    if (/^\d+$/.test(setting)) return parseInt(setting, 10);
+    return setting;
+};
+
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -38,6 +56,9 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/issues', issueRoutes);
 app.use('/api/departments', departmentRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/triage', triageRoutes);
 
 // 404 Handler
 app.use((req, res) => {
@@ -60,6 +81,13 @@ app.listen(PORT, () => {
     console.log(`   POST /api/auth/login`);
     console.log(`   GET  /api/auth/verify`);
     console.log(`   GET  /api/auth/profile`);
+
+    // SLA escalation checker (set SLA_CHECK_INTERVAL_MINUTES=0 to disable)
+    const slaInterval = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES ?? '15');
+    if (slaInterval > 0) {
+        slaChecker.start(slaInterval);
+        console.log(`⏱️  SLA checker running every ${slaInterval} min`);
+    }
 });
 
 module.exports = app;
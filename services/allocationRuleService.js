@@ -0,0 +1,255 @@
+const allocationRuleRepository = require('../repositories/allocationRuleRepository');
+const departmentRepository = require('../repositories/departmentRepository');
+const textService = require('./textService');
+
+const MAX_KEYWORDS = 200;
+const MAX_TERM_LENGTH = 100;
+const MAX_WEIGHT = 100;
+
+// Map DB row to API shape
+const toRule = (row) => ({
+    ruleId: row.RuleId,
+    name: row.Name,
+    departmentId: row.DepartmentId,
+    departmentName: row.DepartmentName,
+    keywords: JSON.parse(row.Keywords),
+    excludeWords: JSON.parse(row.ExcludeWords),
+    isActive: !!row.IsActive,
+    createdBy: row.CreatedBy,
+    updatedBy: row.UpdatedBy,
+    createdAt: row.CreatedAt,
+    updatedAt: row.UpdatedAt,
+});
+
+// Active rules, loaded once and kept until a rule changes or the cache expires
+let cache = null;
+
+/**
+ * Confidence in the winning rule, 0-1: grows with its score (1 point 0.5, 2 points 0.75,
+ * 3 points 0.875, ...) and shrinks as the runner-up gets closer. A tie or no match is 0.
+ */
+const getConfidence = (ranked) => {
+    const [winner, runnerUp] = ranked;
+    if (!winner || winner.score <= 0) return 0;
+
+    const strength = 1 - Math.pow(0.5, winner.score);
+    const margin = (winner.score - Math.max(runnerUp?.score || 0, 0)) / winner.score;
+    return Math.round(strength * margin * 1000) / 1000;
+};
+
+/**
+ * Service Layer - Department Allocation Rules
+ * Admin-managed keyword rules that pick the department for a new issue.
+ * A rule scores the sum of the weights of its keywords found in the report's
+ * issue type and description; a report containing one of its exclusion words
+ * never matches it. The highest score wins, ties go to the older rule.
+ */
+class AllocationRuleService {
+    getSettings() {
+        const cacheSeconds = parseInt(process.env.ALLOCATION_RULES_CACHE_SECONDS);
+        return {
+            // Other instances pick up changes after this long
+            cacheSeconds: Number.isInteger(cacheSeconds) && cacheSeconds >= 0 ? cacheSeconds : 300,
+        };
+    }
+
+    invalidateCache() {
+        cache = null;
+    }
+
+    parseRuleId(value) {
+        const ruleId = parseInt(value);
+        if (!Number.isInteger(ruleId) || ruleId <= 0) throw new Error('Rule not found');
+        return ruleId;
+    }
+
+    /**
+     * Validate keywords. A plain string gets the default weight: its number of words.
+     * @param {Array} keywords - Strings or { term, weight }
+     * @returns {Array} [{ term, weight }] with normalised terms
+     */
+    normalizeKeywords(keywords) {
+        if (!Array.isArray(keywords) || !keywords.length) throw new Error('Keywords are required');
+        if (keywords.length > MAX_KEYWORDS) throw new Error(`Invalid keywords: at most ${MAX_KEYWORDS}`);
+
+        const byTerm = new Map();
+        for (const keyword of keywords) {
+            const raw = typeof keyword === 'string' ? keyword : keyword?.term;
+            const term = typeof raw === 'string' ? textService.normalize(raw) : '';
+            if (!term || raw.length > MAX_TERM_LENGTH) {
+                throw new Error(`Invalid keyword: ${JSON.stringify(keyword)}`);
+            }
+
+            const weight = typeof keyword === 'string' || keyword.weight === undefined
+                ? term.split(' ').length
+                : Number(keyword.weight);
+            if (!Number.isFinite(weight) || weight <= 0 || weight > MAX_WEIGHT) {
+                throw new Error(`Invalid weight for keyword "${term}": must be above 0 and at most ${MAX_WEIGHT}`);
+            }
+
+            byTerm.set(term, { term, weight });
+        }
+        return [...byTerm.values()];
+    }
+
+    normalizeExcludeWords(excludeWords) {
+        if (excludeWords === undefined || excludeWords === null) return [];
+        if (!Array.isArray(excludeWords) || excludeWords.length > MAX_KEYWORDS) {
+            throw new Error(`Invalid excludeWords: must be a list of at most ${MAX_KEYWORDS} words`);
+        }
+
+        const words = excludeWords.map((word) => (typeof word === 'string' ? textService.normalize(word) : ''));
+        if (words.some((word) => !word)) throw new Error('Invalid excludeWords: every entry must be a word or phrase');
+        return [...new Set(words)];
+    }
+
+    async validateDepartment(departmentId) {
+        const id = parseInt(departmentId);
+        const department = Number.isInteger(id) && id > 0 ? await departmentRepository.getById(id) : null;
+        if (!department) throw new Error('Invalid departmentId: department not found');
+        return id;
+    }
+
+    validateName(name) {
+        if (typeof name !== 'string' || !name.trim()) throw new Error('Rule name is required');
+        if (name.trim().length > 100) throw new Error('Invalid name: max 100 characters');
+        return name.trim();
+    }
+
+    // --- Admin management ---
+
+    async listRules({ includeInactive = true } = {}) {
+        const rows = await allocationRuleRepository.getAll({ includeInactive });
+        return rows.map(toRule);
+    }
+
+    async getRule(ruleId) {
+        const row = await allocationRuleRepository.getById(this.parseRuleId(ruleId));
+        if (!row) throw new Error('Rule not found');
+        return toRule(row);
+    }
+
+    /**
+     * Create a rule
+     * @param {number} actorId - Admin creating it
+     * @param {Object} data - { name, departmentId, keywords, excludeWords?, isActive? }
+     * @returns {Promise<Object>} Created rule
+     */
+    async createRule(actorId, { name, departmentId, keywords, excludeWords, isActive = true }) {
+        const ruleId = await allocationRuleRepository.create({
+            name: this.validateName(name),
+            departmentId: await this.validateDepartment(departmentId),
+            keywords: JSON.stringify(this.normalizeKeywords(keywords)),
+            excludeWords: JSON.stringify(this.normalizeExcludeWords(excludeWords)),
+            isActive: isActive !== false,
+            createdBy: actorId,
+        });
+
+        this.invalidateCache();
+        return this.getRule(ruleId);
+    }
+
+    /**
+     * Change some fields of a rule
+     * @param {number} actorId - Admin changing it
+     * @param {number} ruleId - Rule ID
+     * @param {Object} changes - { name?, departmentId?, keywords?, excludeWords?, isActive? }
+     * @returns {Promise<Object>} Updated rule
+     */
+    async updateRule(actorId, ruleId, { name, departmentId, keywords, excludeWords, isActive }) {
+        ruleId = this.parseRuleId(ruleId);
+
+        const changes = { updatedBy: actorId };
+        if (name !== undefined) changes.name = this.validateName(name);
+        if (departmentId !== undefined) changes.departmentId = await this.validateDepartment(departmentId);
+        if (keywords !== undefined) changes.keywords = JSON.stringify(this.normalizeKeywords(keywords));
+        if (excludeWords !== undefined) changes.excludeWords = JSON.stringify(this.normalizeExcludeWords(excludeWords));
+        if (isActive !== undefined) {
+            if (typeof isActive !== 'boolean') throw new Error('Invalid isActive: must be true or false');
+            changes.isActive = isActive;
+        }
+
+        const updated = await allocationRuleRepository.update(ruleId, changes);
+        if (!updated) throw new Error('Rule not found');
+
+        this.invalidateCache();
+        return this.getRule(ruleId);
+    }
+
+    async deleteRule(ruleId) {
+        const deleted = await allocationRuleRepository.delete(this.parseRuleId(ruleId));
+        if (!deleted) throw new Error('Rule not found');
+
+        this.invalidateCache();
+    }
+
+    // --- Matching ---
+
+    /**
+     * Get the active rules, from the cache when it is fresh. If they cannot be
+     * loaded, the last known rules are used (none on a cold start) so reporting keeps working.
+     * @returns {Promise<Array>} Rules in API shape
+     */
+    async getActiveRules() {
+        const { cacheSeconds } = this.getSettings();
+        if (cache && Date.now() - cache.loadedAt < cacheSeconds * 1000) return cache.rules;
+
+        try {
+            const rows = await allocationRuleRepository.getAll({ includeInactive: false });
+            cache = { rules: rows.map(toRule), loadedAt: Date.now() };
+        } catch (error) {
+            console.error('[Allocation Rules] Failed to load rules:', error.message);
+            return cache ? cache.rules : [];
+        }
+        return cache.rules;
+    }
+
+    /**
+     * Score every rule against a report and explain the outcome. Report and keywords are
+     * compared by match key (see textService), so a rule matches the same words written in
+     * Devanagari or romanised, and English keywords also match their dictionary translations.
+     * @param {string} description - Issue description
+     * @param {string} [issueType] - Issue type
+     * @param {Array} [rules] - Rules to use (default the active rules)
+     * @returns {Promise<Object>} { text, translations, match, confidence, rules: [{ ruleId, name, departmentId, departmentName, score, matchedKeywords, excludedBy }] }
+     */
+    async explain(description, issueType, rules) {
+        rules = rules || await this.getActiveRules();
+        const { key: text, translations } = textService.toExpandedMatchKey(`${issueType || ''} ${description || ''}`);
+        const contains = (phrase) => !!text && textService.containsPhrase(text, textService.toMatchKey(phrase));
+
+        const results = rules.map((rule) => {
+            const matchedKeywords = rule.keywords.filter((keyword) => contains(keyword.term));
+            const excludedBy = rule.excludeWords.filter(contains);
+
+            return {
+                ruleId: rule.ruleId,
+                name: rule.name,
+                departmentId: rule.departmentId,
+                departmentName: rule.departmentName,
+                score: excludedBy.length ? 0 : matchedKeywords.reduce((sum, keyword) => sum + keyword.weight, 0),
+                matchedKeywords,
+                excludedBy,
+            };
+        });
+
+        // Highest score first; the older rule wins a tie
+        const ranked = results
+            .filter((result) => result.matchedKeywords.length || result.excludedBy.length)
+            .sort((a, b) => b.score - a.score || a.ruleId - b.ruleId);
+
+        const match = ranked.length && ranked[0].score > 0 ? ranked[0] : null;
+        return { text, translations, match, confidence: getConfidence(ranked), rules: ranked };
+    }
+
+    /**
+     * Find the rule a report matches best
+     * @returns {Promise<Object>} { match: winning rule result (see explain) or null, confidence }
+     */
+    async match(description, issueType) {
+        const { match, confidence } = await this.explain(description, issueType);
+        return { match, confidence };
+    }
+}
+
+module.exports = new AllocationRuleService();
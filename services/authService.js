@@ -1,6 +1,37 @@
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const authRepository = require('../repositories/authRepository');
+const refreshTokenRepository = require('../repositories/refreshTokenRepository');
+const sessionRepository = require('../repositories/sessionRepository');
+const otpService = require('./otpService');
+const permissionService = require('./permissionService');
+const twoFactorService = require('./twoFactorService');
+const rateLimitService = require('./rateLimitService');
+const { OTP_PURPOSES } = otpService;
+
+// Why a refresh token stopped being usable
+const REVOKE_REASONS = {
+    ROTATED: 'ROTATED',
+    LOGOUT: 'LOGOUT',
+    REUSE_DETECTED: 'REUSE_DETECTED',
+    PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+    ADMIN_REVOKED: 'ADMIN_REVOKED',
+    ROLE_CHANGED: 'ROLE_CHANGED',
+    DEACTIVATED: 'DEACTIVATED',
+    PASSWORD_RESET: 'PASSWORD_RESET',
+    TWO_FACTOR_RESET: 'TWO_FACTOR_RESET',
+};
+
+// Map DB row to API shape
+const toSession = (row, currentSessionId = null) => ({
+    sessionId: row.SessionId,
+    ipAddress: row.IpAddress || null,
+    userAgent: row.UserAgent || null,
+    createdAt: row.CreatedAt,
+    lastSeenAt: row.LastSeenAt,
+    current: row.SessionId === currentSessionId,
+});
 
 /**
  * Service Layer - Business Logic
@@ -23,8 +54,16 @@ class AuthService {
      * @returns {boolean} True if valid
      */
     validateRole(role) {
-        const validRoles = ['CITIZEN', 'STAFF', 'ADMIN'];
-        return validRoles.includes(role.toUpperCase());
+        return permissionService.isValidRole(role);
+    }
+
+    /**
+     * Validate password strength
+     * @param {string} password - Password to validate
+     * @returns {boolean} True if valid
+     */
+    validatePassword(password) {
+        return typeof password === 'string' && password.length >= 6;
     }
 
     /**
@@ -48,24 +87,203 @@ class AuthService {
     }
 
     /**
-     * Generate JWT token
+     * Generate JWT access token
      * @param {Object} user - User object
+     * @param {string} [sessionId] - Session the token belongs to
      * @returns {string} JWT token
      */
-    generateToken(user) {
+    generateToken(user, sessionId = null) {
         const payload = {
             userId: user.UserId,
             phoneNumber: user.phone_number,
-            role: user.Role
+            role: user.Role,
+            tokenVersion: user.TokenVersion || 0,
+            sessionId
         };
 
         return jwt.sign(
             payload,
             process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+            { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
         );
     }
 
+    /**
+     * Hash a refresh token for storage and lookup
+     * @param {string} refreshToken - Refresh token
+     * @returns {string} SHA-256 hex digest
+     */
+    hashRefreshToken(refreshToken) {
+        return crypto.createHash('sha256').update(refreshToken).digest('hex');
+    }
+
+    /**
+     * Generate a refresh token with its storage hash and expiry
+     * @returns {Object} { refreshToken, tokenHash, expiresAt }
+     */
+    generateRefreshToken() {
+        const ttlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+        return {
+            refreshToken,
+            tokenHash: this.hashRefreshToken(refreshToken),
+            expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+        };
+    }
+
+    /**
+     * Start a new session: a short-lived access token plus a refresh token
+     * @param {Object} user - User object
+     * @param {Object} client - { ipAddress, userAgent } of the device signing in
+     * @returns {Promise<Object>} { token, refreshToken }
+     */
+    async createSession(user, client = {}) {
+        const sessionId = crypto.randomUUID();
+        const { refreshToken, tokenHash, expiresAt } = this.generateRefreshToken();
+
+        await sessionRepository.createSession({
+            sessionId,
+            userId: user.UserId,
+            ipAddress: client.ipAddress,
+            userAgent: client.userAgent,
+            tokenHash,
+            expiresAt
+        });
+
+        return {
+            token: this.generateToken(user, sessionId),
+            refreshToken
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new access token and a new refresh token.
+     * Presenting a token that was already rotated means it leaked: the whole
+     * session is revoked.
+     * @param {string} refreshToken - Refresh token
+     * @param {Object} client - { ipAddress } of the device refreshing
+     * @returns {Promise<Object>} { token, refreshToken, user }
+     * @throws {Error} If the refresh token is invalid, expired or reused
+     */
+    async refreshSession(refreshToken, client = {}) {
+        if (!refreshToken) {
+            throw new Error('Refresh token is required');
+        }
+
+        const record = await refreshTokenRepository.findByHash(this.hashRefreshToken(refreshToken));
+        if (!record) {
+            throw new Error('Invalid or expired refresh token');
+        }
+
+        if (record.RevokedReason === REVOKE_REASONS.ROTATED) {
+            await this.handleRefreshTokenReuse(record);
+        }
+
+        if (record.RevokedAt || new Date(record.ExpiresAt) <= new Date()) {
+            throw new Error('Invalid or expired refresh token');
+        }
+
+        const user = await authRepository.findUserById(record.UserId);
+        if (!user || user.DeactivatedAt) {
+            throw new Error('Invalid or expired refresh token');
+        }
+
+        const next = this.generateRefreshToken();
+        const rotated = await refreshTokenRepository.rotateToken(record.TokenId, next);
+        if (!rotated) {
+            // Rotated by a concurrent request with the same token
+            await this.handleRefreshTokenReuse(record);
+        }
+
+        await sessionRepository.touchSession(record.SessionId, { ipAddress: client.ipAddress });
+
+        return {
+            token: this.generateToken(user, record.SessionId),
+            refreshToken: next.refreshToken,
+            user: this.formatUserResponse(user)
+        };
+    }
+
+    /**
+     * Revoke the session of a reused refresh token
+     * @param {Object} record - Refresh token record
+     * @throws {Error} Always
+     */
+    async handleRefreshTokenReuse(record) {
+        await sessionRepository.revokeSession(record.SessionId, REVOKE_REASONS.REUSE_DETECTED);
+        console.warn(`[Auth] Refresh token reuse detected for user ${record.UserId}; session ${record.SessionId} revoked`);
+        throw new Error('Invalid refresh token: reuse detected, please log in again');
+    }
+
+    /**
+     * Log out the session a refresh token belongs to, or every session of its user
+     * @param {string} refreshToken - Refresh token
+     * @param {Object} options - { allSessions }
+     * @returns {Promise<void>}
+     */
+    async logout(refreshToken, { allSessions = false } = {}) {
+        if (!refreshToken) {
+            throw new Error('Refresh token is required');
+        }
+
+        const record = await refreshTokenRepository.findByHash(this.hashRefreshToken(refreshToken));
+        if (!record) {
+            return;
+        }
+
+        if (allSessions && !record.RevokedAt) {
+            await this.revokeAllSessions(record.UserId, REVOKE_REASONS.LOGOUT);
+            return;
+        }
+
+        await sessionRepository.revokeSession(record.SessionId, REVOKE_REASONS.LOGOUT);
+    }
+
+    /**
+     * Revoke every session of a user: refresh tokens stop working and all
+     * access tokens issued so far are rejected
+     * @param {number} userId - User ID
+     * @param {string} [reason] - Revocation reason
+     * @returns {Promise<Object>} { revokedSessions }
+     * @throws {Error} If user not found
+     */
+    async revokeAllSessions(userId, reason = REVOKE_REASONS.ADMIN_REVOKED) {
+        const tokenVersion = await authRepository.incrementTokenVersion(userId);
+        if (tokenVersion === null) {
+            throw new Error('User not found');
+        }
+
+        const revokedSessions = await sessionRepository.revokeUserSessions(userId, reason);
+        return { revokedSessions };
+    }
+
+    /**
+     * List the devices a user is signed in on
+     * @param {number} userId - User ID
+     * @param {string|null} currentSessionId - Session of the caller, flagged as current
+     * @returns {Promise<Array>} Array of sessions
+     */
+    async getSessions(userId, currentSessionId = null) {
+        const rows = await sessionRepository.getUserSessions(userId);
+        return rows.map((row) => toSession(row, currentSessionId));
+    }
+
+    /**
+     * Sign a user out of one session; its access and refresh tokens stop working
+     * @param {number} userId - Owner of the session
+     * @param {string} sessionId - Session ID
+     * @param {string} [reason] - Revocation reason
+     * @returns {Promise<void>}
+     * @throws {Error} If the session does not exist or is already ended
+     */
+    async revokeSession(userId, sessionId, reason = REVOKE_REASONS.LOGOUT) {
+        const revoked = await sessionRepository.revokeSession(sessionId, reason, userId);
+        if (!revoked) {
+            throw new Error('Session not found');
+        }
+    }
+
     /**
      * Verify JWT token
      * @param {string} token - JWT token
@@ -80,6 +298,33 @@ class AuthService {
         }
     }
 
+    /**
+     * Verify a JWT and check it has not been revoked, either by a password reset,
+     * a revoke-all, deactivation or by logging out of its session. Marks the session as used.
+     * Role and department come from the database, so department moves apply immediately.
+     * @param {string} token - JWT token
+     * @param {Object} client - { ipAddress } of the caller
+     * @returns {Promise<Object>} Decoded token payload with current role and departmentId
+     * @throws {Error} If token is invalid, expired or revoked
+     */
+    async authenticate(token, client = {}) {
+        const decoded = this.verifyToken(token);
+
+        const state = await authRepository.getAuthState(decoded.userId, decoded.sessionId);
+        if (!state || state.DeactivatedAt || (state.TokenVersion || 0) !== (decoded.tokenVersion || 0) || !state.SessionActive) {
+            throw new Error('Invalid or expired token');
+        }
+
+        // Last-seen tracking is best effort and must not hold up the request
+        if (decoded.sessionId) {
+            sessionRepository.touchSession(decoded.sessionId, { ipAddress: client.ipAddress }).catch((error) => {
+                console.error('[Auth] Failed to update session last-seen:', error.message);
+            });
+        }
+
+        return { ...decoded, role: state.Role, departmentId: state.DepartmentId };
+    }
+
     /**
      * Format user response (remove sensitive data)
      * @param {Object} user - User object from database
@@ -93,6 +338,7 @@ class AuthService {
             email: user.Email,
             role: user.Role,
             departmentId: user.DepartmentId,
+            phoneVerified: !!user.PhoneVerifiedAt,
             departmentName: user.DepartmentName || null,
             departmentLocation: user.Latitude && user.Longitude ? {
                 latitude: user.Latitude,
@@ -103,29 +349,30 @@ class AuthService {
     }
 
     /**
-     * Register new user
+     * Register new citizen. All other roles are created by invitation only.
      * @param {Object} userData - User registration data
-     * @returns {Promise<Object>} Token and user data
+     * @param {Object} client - { ipAddress, userAgent } of the signing-up device
+     * @returns {Promise<Object>} Result of signIn (session, or a two-factor challenge) plus verification
      * @throws {Error} If validation fails or user exists
      */
-    async register(userData) {
-        const { fullName, phoneNumber, password, email, role, departmentId } = userData;
+    async register(userData, client = {}) {
+        const { fullName, phoneNumber, password, email, role } = userData;
 
         // Validation
-        if (!fullName || !phoneNumber || !password || !role) {
-            throw new Error('Full name, phone number, password, and role are required');
+        if (!fullName || !phoneNumber || !password) {
+            throw new Error('Full name, phone number, and password are required');
         }
 
         if (!this.validatePhoneNumber(phoneNumber)) {
             throw new Error('Invalid phone number format. Use 10-15 digits without spaces or special characters');
         }
 
-        if (!this.validateRole(role)) {
-            throw new Error('Invalid role. Must be CITIZEN, STAFF, or ADMIN');
+        if (role && String(role).toUpperCase() !== 'CITIZEN') {
+            throw new Error('Only citizen accounts can sign up. Staff and admin accounts are created by invitation');
         }
 
         // Validate password strength
-        if (password.length < 6) {
+        if (!this.validatePassword(password)) {
             throw new Error('Password must be at least 6 characters long');
         }
 
@@ -144,53 +391,271 @@ class AuthService {
             phoneNumber,
             passwordHash,
             email,
-            role,
-            departmentId
+            role: 'CITIZEN',
+            departmentId: null
         });
 
-        // Generate token
-        const token = this.generateToken(newUser);
+        // Send verification code; the account stays unverified until it is confirmed
+        let otp = null;
+        try {
+            otp = await otpService.issueOtp(phoneNumber, OTP_PURPOSES.SIGNUP);
+        } catch (error) {
+            console.error('Signup OTP error:', error.message);
+        }
 
+        // Signed in like any other login, so a role that requires two-factor enrols first
         return {
-            token,
-            user: this.formatUserResponse(newUser)
+            ...(await this.signIn(newUser, client)),
+            verification: {
+                required: true,
+                codeSent: !!otp,
+                expiresAt: otp?.expiresAt || null
+            }
         };
     }
 
     /**
-     * Login user
+     * Send a new signup verification code to a registered, unverified number
+     * @param {string} phoneNumber - Registered phone number
+     * @returns {Promise<Object>} { expiresAt, resendAfterSeconds }
+     * @throws {Error} If the number is unknown or already verified
+     */
+    async requestPhoneVerification(phoneNumber) {
+        if (!phoneNumber) {
+            throw new Error('Phone number is required');
+        }
+
+        const user = await authRepository.findUserByPhoneNumber(phoneNumber);
+        if (!user) {
+            throw new Error('User not found');
+        }
+        if (user.PhoneVerifiedAt) {
+            throw new Error('Phone number is already verified');
+        }
+
+        return otpService.issueOtp(phoneNumber, OTP_PURPOSES.SIGNUP);
+    }
+
+    /**
+     * Verify a phone number with the code sent by SMS and activate the account
+     * @param {string} phoneNumber - Registered phone number
+     * @param {string} code - Code from the SMS
+     * @param {Object} client - { ipAddress, userAgent } of the device
+     * @returns {Promise<Object>} Fresh token and user data
+     * @throws {Error} If the code is invalid
+     */
+    async verifyPhone(phoneNumber, code, client = {}) {
+        if (!phoneNumber || !code) {
+            throw new Error('Phone number and verification code are required');
+        }
+
+        const user = await authRepository.findUserByPhoneNumber(phoneNumber);
+        if (!user) {
+            throw new Error('Invalid or expired verification code');
+        }
+
+        if (user.PhoneVerifiedAt) {
+            throw new Error('Phone number is already verified');
+        }
+
+        await otpService.verifyOtp(phoneNumber, OTP_PURPOSES.SIGNUP, code);
+        const verifiedUser = await authRepository.markPhoneVerified(user.UserId);
+
+        return this.signIn(verifiedUser, client);
+    }
+
+    /**
+     * Check whether a user's phone number is verified
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} True if verified
+     */
+    async isPhoneVerified(userId) {
+        const user = await authRepository.findUserById(userId);
+        return !!user?.PhoneVerifiedAt;
+    }
+
+    /**
+     * Login user. Repeated failures lock the phone number and the client IP out for a while.
      * @param {string} phoneNumber - User's phone number
      * @param {string} password - User's password
+     * @param {Object} client - { ipAddress, userAgent } of the device signing in
      * @returns {Promise<Object>} Token and user data
-     * @throws {Error} If credentials are invalid
+     * @throws {Error} If credentials are invalid or the login is locked out (with retryAfterSeconds)
      */
-    async login(phoneNumber, password) {
+    async login(phoneNumber, password, client = {}) {
         // Validation
         if (!phoneNumber || !password) {
             throw new Error('Phone number and password are required');
         }
 
+        await rateLimitService.assertLoginAllowed(phoneNumber, client.ipAddress);
+
         // Find user
         const user = await authRepository.findUserByPhoneNumber(phoneNumber);
         if (!user) {
+            await rateLimitService.recordLoginFailure(phoneNumber, client.ipAddress);
             throw new Error('Invalid phone number or password');
         }
 
         // Verify password
         const isPasswordValid = await this.comparePassword(password, user.PasswordHash);
         if (!isPasswordValid) {
+            await rateLimitService.recordLoginFailure(phoneNumber, client.ipAddress);
             throw new Error('Invalid phone number or password');
         }
 
-        // Generate token
-        const token = this.generateToken(user);
+        await rateLimitService.clearLoginFailures(phoneNumber);
+
+        if (user.DeactivatedAt) {
+            throw new Error('Account is deactivated. Contact an administrator');
+        }
+
+        if (user.PasswordResetRequired) {
+            throw new Error('Password reset required. Use forgot password to set a new password');
+        }
+
+        return this.signIn(user, client);
+    }
+
+    /**
+     * Finish a sign-in whose first factor was checked. Users with two-factor, or whose
+     * role requires it, get a login challenge instead of a session.
+     * @param {Object} user - User row
+     * @param {Object} client - { ipAddress, userAgent } of the device signing in
+     * @returns {Promise<Object>} { token, refreshToken, user } or { twoFactor: { challengeToken, expiresAt, enrollmentRequired } }
+     */
+    async signIn(user, client = {}) {
+        if (twoFactorService.isChallengeRequired(user)) {
+            return { twoFactor: await twoFactorService.createChallenge(user) };
+        }
 
         return {
-            token,
+            ...(await this.createSession(user, client)),
             user: this.formatUserResponse(user)
         };
     }
 
+    /**
+     * Answer the login challenge with a TOTP or recovery code and start the session.
+     * Users enrolling because their role requires it get their recovery codes here.
+     * @param {Object} data - { challengeToken, code?, recoveryCode? }
+     * @param {Object} client - { ipAddress, userAgent } of the device signing in
+     * @returns {Promise<Object>} Token, refresh token, user data and, after enrolment, recoveryCodes
+     * @throws {Error} If the challenge or code is invalid
+     */
+    async completeTwoFactorLogin({ challengeToken, code, recoveryCode }, client = {}) {
+        const { userId, recoveryCodes } = await twoFactorService.completeChallenge(challengeToken, { code, recoveryCode });
+
+        const user = await authRepository.findUserById(userId);
+        if (!user) {
+            throw new Error('Invalid or expired login challenge');
+        }
+
+        if (user.DeactivatedAt) {
+            throw new Error('Account is deactivated. Contact an administrator');
+        }
+
+        return {
+            ...(await this.createSession(user, client)),
+            user: this.formatUserResponse(user),
+            ...(recoveryCodes ? { recoveryCodes } : {})
+        };
+    }
+
+    /**
+     * Send a password reset code to a registered phone number.
+     * Unknown numbers get the same response so accounts cannot be discovered this way.
+     * @param {string} phoneNumber - Registered phone number
+     * @returns {Promise<void>}
+     * @throws {Error} If codes are requested too often
+     */
+    async requestPasswordReset(phoneNumber) {
+        if (!phoneNumber) {
+            throw new Error('Phone number is required');
+        }
+
+        const user = await authRepository.findUserByPhoneNumber(phoneNumber);
+        if (!user || user.DeactivatedAt) {
+            return;
+        }
+
+        await otpService.issueOtp(phoneNumber, OTP_PURPOSES.PASSWORD_RESET);
+    }
+
+    /**
+     * Reset a forgotten password with the code sent by SMS.
+     * All tokens issued before the reset stop working.
+     * @param {Object} resetData - { phoneNumber, code, newPassword }
+     * @param {Object} client - { ipAddress, userAgent } of the device
+     * @returns {Promise<Object>} Fresh token and user data, or a login challenge (see signIn)
+     * @throws {Error} If the code is invalid or the password is too weak
+     */
+    async resetPassword({ phoneNumber, code, newPassword }, client = {}) {
+        if (!phoneNumber || !code || !newPassword) {
+            throw new Error('Phone number, verification code, and new password are required');
+        }
+
+        if (!this.validatePassword(newPassword)) {
+            throw new Error('Password must be at least 6 characters long');
+        }
+
+        const user = await authRepository.findUserByPhoneNumber(phoneNumber);
+        if (!user || user.DeactivatedAt) {
+            throw new Error('Invalid or expired verification code');
+        }
+
+        await otpService.verifyOtp(phoneNumber, OTP_PURPOSES.PASSWORD_RESET, code);
+
+        const passwordHash = await this.hashPassword(newPassword);
+        const updatedUser = await authRepository.updatePassword(user.UserId, passwordHash);
+        await sessionRepository.revokeUserSessions(user.UserId, REVOKE_REASONS.PASSWORD_RESET);
+
+        // An SMS code replaces the password, not the second factor
+        return this.signIn(updatedUser, client);
+    }
+
+    /**
+     * Change password of a signed-in user.
+     * Tokens issued before the change stop working; the caller gets a fresh one.
+     * @param {number} userId - User ID
+     * @param {string} currentPassword - Current password
+     * @param {string} newPassword - New password
+     * @param {Object} client - { ipAddress, userAgent } of the device
+     * @returns {Promise<Object>} Fresh token and user data
+     * @throws {Error} If the current password is wrong or the new one is too weak
+     */
+    async changePassword(userId, currentPassword, newPassword, client = {}) {
+        if (!currentPassword || !newPassword) {
+            throw new Error('Current password and new password are required');
+        }
+
+        if (!this.validatePassword(newPassword)) {
+            throw new Error('Password must be at least 6 characters long');
+        }
+
+        if (currentPassword === newPassword) {
+            throw new Error('New password must be different from the current password');
+        }
+
+        const passwordHash = await authRepository.getPasswordHash(userId);
+        if (!passwordHash) {
+            throw new Error('User not found');
+        }
+
+        const isPasswordValid = await this.comparePassword(currentPassword, passwordHash);
+        if (!isPasswordValid) {
+            throw new Error('Invalid current password');
+        }
+
+        const updatedUser = await authRepository.updatePassword(userId, await this.hashPassword(newPassword));
+        await sessionRepository.revokeUserSessions(userId, REVOKE_REASONS.PASSWORD_CHANGED);
+
+        return {
+            ...(await this.createSession(updatedUser, client)),
+            user: this.formatUserResponse(updatedUser)
+        };
+    }
+
     /**
      * Verify user token and get user data
      * @param {number} userId - User ID from token
@@ -223,3 +688,4 @@ class AuthService {
 }
 
 module.exports = new AuthService();
+module.exports.REVOKE_REASONS = REVOKE_REASONS;
@@ -0,0 +1,145 @@
+/**
+ * Multinomial naive Bayes text classifier
+ * Pure JavaScript, no dependencies. Documents are lists of tokens with a label; the
+ * model is plain JSON (token counts per label) so it can be written to and read from a file.
+ */
+
+const MODEL_TYPE = 'multinomial-naive-bayes';
+
+/**
+ * Train a model
+ * @param {Array} documents - [{ label, tokens }]
+ * @param {Object} [options] - { alpha: Laplace smoothing (default 1) }
+ * @returns {Object} Model
+ */
+const train = (documents, { alpha = 1 } = {}) => {
+    const classes = {};
+    const vocabulary = new Set();
+
+    for (const { label, tokens } of documents) {
+        const stats = classes[label] || (classes[label] = { documents: 0, tokens: 0, counts: {} });
+        stats.documents++;
+        for (const token of tokens) {
+            stats.counts[token] = (stats.counts[token] || 0) + 1;
+            stats.tokens++;
+            vocabulary.add(token);
+        }
+    }
+
+    return {
+        type: MODEL_TYPE,
+        alpha,
+        documents: documents.length,
+        vocabularySize: vocabulary.size,
+        classes,
+    };
+};
+
+/**
+ * Whether an object is a usable model
+ * @param {Object} model
+ * @returns {boolean}
+ */
+const isModel = (model) => model?.type === MODEL_TYPE
+    && model.documents > 0
+    && model.vocabularySize > 0
+    && !!model.classes && Object.keys(model.classes).length > 0;
+
+/**
+ * Rank the labels for a document
+ * @param {Object} model - Trained model
+ * @param {Array} tokens - Document tokens
+ * @returns {Array|null} [{ label, probability }] best first, or null when no token is known to the model
+ */
+const predict = (model, tokens) => {
+    const labels = Object.keys(model.classes);
+    const known = tokens.filter((token) => labels.some((label) => model.classes[label].counts[token]));
+    if (!known.length) return null;
+
+    const logScores = labels.map((label) => {
+        const stats = model.classes[label];
+        const denominator = stats.tokens + model.alpha * model.vocabularySize;
+        let score = Math.log(stats.documents / model.documents);
+        for (const token of known) {
+            score += Math.log(((stats.counts[token] || 0) + model.alpha) / denominator);
+        }
+        return score;
+    });
+
+    // Softmax, shifted by the best score to stay in floating point range
+    const best = Math.max(...logScores);
+    const weights = logScores.map((score) => Math.exp(score - best));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return labels
+        .map((label, i) => ({ label, probability: weights[i] / total }))
+        .sort((a, b) => b.probability - a.probability);
+};
+
+const ratio = (a, b) => (b ? Math.round((a / b) * 1000) / 1000 : null);
+
+/**
+ * Train on one set and measure on another
+ * @param {Array} trainDocuments - [{ label, tokens }]
+ * @param {Array} testDocuments - [{ label, tokens }]
+ * @param {Object} [options] - { alpha, minProbability: also report accuracy of predictions at least this sure }
+ * @returns {Object} { documents, accuracy, confident: { minProbability, coverage, accuracy }, labels: { [label]: { precision, recall, f1, support } } }
+ */
+const evaluate = (trainDocuments, testDocuments, { alpha = 1, minProbability = 0 } = {}) => {
+    const model = train(trainDocuments, { alpha });
+    const stats = {};
+    const statsFor = (label) => stats[label] || (stats[label] = { truePositives: 0, falsePositives: 0, falseNegatives: 0, support: 0 });
+
+    let correct = 0;
+    let confident = 0;
+    let confidentCorrect = 0;
+
+    for (const { label, tokens } of testDocuments) {
+        const ranking = predict(model, tokens);
+        const predicted = ranking ? ranking[0].label : null;
+        statsFor(label).support++;
+
+        if (predicted === label) {
+            correct++;
+            statsFor(label).truePositives++;
+        } else {
+            statsFor(label).falseNegatives++;
+            if (predicted) statsFor(predicted).falsePositives++;
+        }
+
+        if (ranking && ranking[0].probability >= minProbability) {
+            confident++;
+            if (predicted === label) confidentCorrect++;
+        }
+    }
+
+    const labels = {};
+    for (const [label, { truePositives, falsePositives, falseNegatives, support }] of Object.entries(stats)) {
+        const precision = ratio(truePositives, truePositives + falsePositives);
+        const recall = ratio(truePositives, truePositives + falseNegatives);
+        labels[label] = {
+            precision,
+            recall,
+            f1: precision && recall ? ratio(2 * precision * recall, precision + recall) : null,
+            support,
+        };
+    }
+
+    return {
+        documents: { train: trainDocuments.length, test: testDocuments.length },
+        accuracy: ratio(correct, testDocuments.length),
+        confident: {
+            minProbability,
+            coverage: ratio(confident, testDocuments.length),
+            accuracy: ratio(confidentCorrect, confident),
+        },
+        labels,
+    };
+};
+
+module.exports = {
+    train,
+    predict,
+    evaluate,
+    isModel
+};
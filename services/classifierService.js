@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const issueRepository = require('../repositories/issueRepository');
+const textService = require('./textService');
+const naiveBayes = require('./classifier/naiveBayes');
+
+const MODES = ['off', 'shadow', 'assist'];
+
+const DEFAULT_MODEL_PATH = path.join(__dirname, '..', 'models', 'department-classifier.json');
+
+const MODEL_VERSION = 1;
+
+// Words that say nothing about the department, in match-key form like the tokens
+const STOPWORDS = new Set(textService.toMatchKey(`
+    the an and or is are was were be been it its this that there here of in on at to for from with by
+    near my our we you they please not very since has have had can will
+    hai hain ka ki ke ko me mein se par pe aur ye yeh vo voh bhi
+`).split(' '));
+
+// Loaded model, reloaded when the file changes
+let loaded = null;
+let missingLogged = false;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Service Layer - Allocation Classifier
+ * A naive Bayes text classifier trained offline (scripts/trainClassifier.js) on the
+ * departments people chose for past issues: through triage, or when reporting. It predicts the department by name, like the
+ * allocation rules, and runs next to them during allocation depending on CLASSIFIER_MODE:
+ * - off: not used
+ * - shadow (default): the prediction is reported with the allocation, routing is unchanged
+ * - assist: a prediction at least CLASSIFIER_MIN_PROBABILITY sure is used when it is
+ *   more confident than the rule match
+ */
+class ClassifierService {
+    getSettings() {
+        const mode = (process.env.CLASSIFIER_MODE || 'shadow').toLowerCase();
+        const minProbability = parseFloat(process.env.CLASSIFIER_MIN_PROBABILITY);
+        return {
+            mode: MODES.includes(mode) ? mode : 'shadow',
+            modelPath: process.env.CLASSIFIER_MODEL_PATH || DEFAULT_MODEL_PATH,
+            minProbability: Number.isFinite(minProbability) && minProbability > 0 && minProbability <= 1 ? minProbability : 0.8,
+        };
+    }
+
+    /**
+     * Tokens of a report: match-key words (so scripts and spellings agree), word pairs,
+     * and the English terms of dictionary words it contains
+     * @param {string} description - Issue description
+     * @param {string} [issueType] - Issue type
+     * @returns {Array} Tokens
+     */
+    tokenize(description, issueType) {
+        const text = `${issueType || ''} ${description || ''}`;
+        const words = textService.toMatchKey(text).split(' ').filter((word) => word.length > 1 && !STOPWORDS.has(word));
+        const pairs = words.slice(1).map((word, i) => `${words[i]}_${word}`);
+        const terms = textService.toExpandedMatchKey(text).translations
+            .map((translation) => textService.toMatchKey(translation.term).replace(/ /g, '_'));
+        return [...words, ...pairs, ...terms];
+    }
+
+    /**
+     * Get the trained model, reading the file again when it has changed
+     * @returns {Object|null} Model, or null if there is none (or it is unreadable)
+     */
+    getModel() {
+        const { modelPath } = this.getSettings();
+
+        let stat;
+        try {
+            stat = fs.statSync(modelPath);
+        } catch (error) {
+            if (!missingLogged) {
+                console.log(`[Classifier] No model at ${modelPath}; run scripts/trainClassifier.js to create one`);
+                missingLogged = true;
+            }
+            return null;
+        }
+
+        if (loaded && loaded.path === modelPath && loaded.mtimeMs === stat.mtimeMs) return loaded.model;
+
+        let model = null;
+        try {
+            const file = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+            if (file.version !== MODEL_VERSION || !naiveBayes.isModel(file.model)) throw new Error('not a usable model');
+            model = file.model;
+            console.log(`[Classifier] Loaded model trained ${file.trainedAt} on ${model.documents} issues`);
+        } catch (error) {
+            console.error(`[Classifier] Ignoring model ${modelPath}:`, error.message);
+        }
+
+        loaded = { path: modelPath, mtimeMs: stat.mtimeMs, model };
+        missingLogged = false;
+        return model;
+    }
+
+    /**
+     * Predict the department of a report
+     * @param {string} description - Issue description
+     * @param {string} [issueType] - Issue type
+     * @returns {Object|null} { departmentName, probability, ranking: [{ departmentName, probability }] }
+     *   or null when the classifier is off, has no model or knows none of the words
+     */
+    predict(description, issueType) {
+        if (this.getSettings().mode === 'off') return null;
+
+        const model = this.getModel();
+        const ranking = model && naiveBayes.predict(model, this.tokenize(description, issueType));
+        if (!ranking) return null;
+
+        return {
+            departmentName: ranking[0].label,
+            probability: round(ranking[0].probability),
+            ranking: ranking.slice(0, 3).map(({ label, probability }) => ({ departmentName: label, probability: round(probability) })),
+        };
+    }
+
+    /**
+     * Decide between the rule match and the prediction
+     * @param {Object} rules - { departmentName (null without a match), confidence }
+     * @param {Object|null} prediction - From predict()
+     * @returns {Object} { departmentName, confidence, classifierUsed }
+     */
+    combine(rules, prediction) {
+        const { mode, minProbability } = this.getSettings();
+        const decision = { departmentName: rules.departmentName, confidence: rules.confidence, classifierUsed: false };
+        if (mode !== 'assist' || !prediction || prediction.probability < minProbability) return decision;
+
+        const agrees = !!rules.departmentName
+            && textService.normalize(rules.departmentName) === textService.normalize(prediction.departmentName);
+        if (agrees) return { ...decision, confidence: Math.max(rules.confidence, prediction.probability), classifierUsed: true };
+
+        if (prediction.probability > rules.confidence) {
+            return { departmentName: prediction.departmentName, confidence: prediction.probability, classifierUsed: true };
+        }
+        return decision;
+    }
+
+    // Deterministic split by issue, so repeated runs test on the same issues
+    isTestIssue(issueId, testRatio) {
+        const hash = crypto.createHash('sha1').update(String(issueId).toLowerCase()).digest();
+        return hash.readUInt32BE(0) / 0x100000000 < testRatio;
+    }
+
+    /**
+     * Train a model from issues with a department chosen by a person (see
+     * issueRepository.getTrainingIssues) and measure it on held-out issues
+     * @param {Object} options - { testRatio (0-0.5, default 0.2), minExamples per department (default 5), alpha (default 1) }
+     * @returns {Promise<Object>} { model (trained on all issues), evaluation, skipped: { [departmentName]: count },
+     *   sources: { TRIAGE, REPORTER } issues used per kind of label }
+     */
+    async train({ testRatio = 0.2, minExamples = 5, alpha = 1 } = {}) {
+        if (!(testRatio >= 0 && testRatio <= 0.5)) throw new Error('Invalid testRatio: must be between 0 and 0.5');
+        if (!(Number.isInteger(minExamples) && minExamples >= 1)) throw new Error('Invalid minExamples: must be a positive whole number');
+        if (!(alpha > 0)) throw new Error('Invalid alpha: must be above 0');
+
+        const rows = await issueRepository.getTrainingIssues();
+        const documents = rows
+            .map((row) => ({
+                issueId: row.IssueId,
+                label: row.DepartmentName.trim(),
+                source: row.LabelSource,
+                tokens: this.tokenize(row.Description, row.IssueType),
+            }))
+            .filter((document) => document.tokens.length);
+
+        // Departments with too few issues cannot be learned; leave them to the rules
+        const counts = {};
+        for (const { label } of documents) counts[label] = (counts[label] || 0) + 1;
+        const skipped = Object.fromEntries(Object.entries(counts).filter(([, count]) => count < minExamples));
+        const usable = documents.filter(({ label }) => !skipped[label]);
+        if (Object.keys(counts).length - Object.keys(skipped).length < 2) {
+            throw new Error(`Not enough training data: need at least 2 departments with ${minExamples} or more issues`);
+        }
+
+        const { minProbability } = this.getSettings();
+        const testDocuments = usable.filter(({ issueId }) => this.isTestIssue(issueId, testRatio));
+        const trainDocuments = usable.filter(({ issueId }) => !this.isTestIssue(issueId, testRatio));
+        const evaluation = testDocuments.length
+            ? naiveBayes.evaluate(trainDocuments, testDocuments, { alpha, minProbability })
+            : null;
+
+        const sources = { TRIAGE: 0, REPORTER: 0 };
+        for (const { source } of usable) sources[source]++;
+
+        return { model: naiveBayes.train(usable, { alpha }), evaluation, skipped, sources };
+    }
+
+    /**
+     * Write a model file (to a temporary file first, so a running server never reads half of it)
+     * @param {Object} model - Trained model
+     * @param {Object} evaluation - Evaluation stored with it
+     * @returns {string} Path written
+     */
+    saveModel(model, evaluation) {
+        const { modelPath } = this.getSettings();
+        fs.mkdirSync(path.dirname(modelPath), { recursive: true });
+
+        const file = { version: MODEL_VERSION, trainedAt: new Date().toISOString(), evaluation, model };
+        const temporaryPath = `${modelPath}.tmp`;
+        fs.writeFileSync(temporaryPath, JSON.stringify(file));
+        fs.renameSync(temporaryPath, modelPath);
+        return modelPath;
+    }
+}
+
+module.exports = new ClassifierService();
@@ -8,6 +8,8 @@ class DepartmentService {
             departmentName: row.DepartmentName,
             latitude: row.Latitude,
             longitude: row.Longitude,
+            jurisdictionName: row.JurisdictionName || null,
+            hasJurisdiction: !!row.JurisdictionGeoJson,
         }));
     }
 }
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const invitationRepository = require('../repositories/invitationRepository');
+const departmentRepository = require('../repositories/departmentRepository');
+const authRepository = require('../repositories/authRepository');
+const authService = require('./authService');
+const permissionService = require('./permissionService');
+const userService = require('./userService');
+const { AUDIT_ACTIONS } = userService;
+const { getSmsProvider } = require('./sms');
+
+// Roles that can only be obtained by invitation
+const INVITABLE_ROLES = ['STAFF', 'DEPT_HEAD', 'ADMIN'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Map DB row to API shape
+const toInvitation = (row) => ({
+    invitationId: row.InvitationId,
+    phoneNumber: row.PhoneNumber,
+    fullName: row.FullName || null,
+    email: row.Email || null,
+    role: row.Role,
+    departmentId: row.DepartmentId || null,
+    departmentName: row.DepartmentName || null,
+    invitedBy: row.InvitedBy,
+    invitedByName: row.InvitedByName || null,
+    expiresAt: row.ExpiresAt,
+    createdAt: row.CreatedAt,
+});
+
+/**
+ * Service Layer - Invitations
+ * STAFF, DEPT_HEAD and ADMIN accounts are created from single-use, expiring invitations
+ * that an admin issues for a phone number, role and department.
+ */
+class InvitationService {
+    getTtlHours() {
+        return parseInt(process.env.INVITATION_TTL_HOURS) || 72;
+    }
+
+    /**
+     * Invite someone to create a STAFF, DEPT_HEAD or ADMIN account. The token is sent to
+     * their phone by SMS and is never returned to the admin.
+     * @param {number} invitedBy - Admin user ID
+     * @param {Object} data - { phoneNumber, role, departmentId?, fullName?, email? }
+     * @returns {Promise<Object>} Invitation plus whether the SMS was handed to the gateway
+     * @throws {Error} If validation fails or the phone number already has an account
+     */
+    async createInvitation(invitedBy, { phoneNumber, role, departmentId, fullName, email }) {
+        if (!phoneNumber || !role) {
+            throw new Error('Phone number and role are required');
+        }
+
+        if (!authService.validatePhoneNumber(phoneNumber)) {
+            throw new Error('Invalid phone number format. Use 10-15 digits without spaces or special characters');
+        }
+
+        const normalizedRole = String(role).toUpperCase();
+        if (!INVITABLE_ROLES.includes(normalizedRole)) {
+            throw new Error('Invalid role. Invitations are for STAFF, DEPT_HEAD or ADMIN accounts');
+        }
+
+        if (permissionService.isDepartmentRole(normalizedRole) && !departmentId) {
+            throw new Error(`Department is required for ${normalizedRole} invitations`);
+        }
+
+        if (departmentId) {
+            const department = await departmentRepository.getById(parseInt(departmentId));
+            if (!department) {
+                throw new Error('Invalid department');
+            }
+        }
+
+        if (await authRepository.phoneNumberExists(phoneNumber)) {
+            throw new Error('Phone number already registered');
+        }
+
+        const ttlHours = this.getTtlHours();
+        const token = crypto.randomBytes(24).toString('base64url');
+
+        const row = await invitationRepository.createInvitation({
+            tokenHash: hashToken(token),
+            phoneNumber,
+            fullName,
+            email,
+            role: normalizedRole,
+            departmentId: departmentId ? parseInt(departmentId) : null,
+            invitedBy,
+            expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+        });
+
+        await userService.recordAction(invitedBy, AUDIT_ACTIONS.INVITATION_CREATED, null, {
+            invitationId: row.InvitationId,
+            phoneNumber,
+            role: normalizedRole,
+            departmentId: row.DepartmentId || null
+        });
+
+        // The invitation stays valid if the SMS fails; the admin can invite again to resend
+        let delivered = true;
+        try {
+            await getSmsProvider().send(
+                phoneNumber,
+                `You have been invited to NigraniX as ${normalizedRole}. Use invitation code ${token} to set your password. It expires in ${ttlHours} hours.`
+            );
+        } catch (error) {
+            delivered = false;
+            console.error('Invitation SMS error:', error.message);
+        }
+
+        return { ...toInvitation(row), delivered };
+    }
+
+    async listInvitations() {
+        const rows = await invitationRepository.getPendingInvitations();
+        return rows.map(toInvitation);
+    }
+
+    async revokeInvitation(actorId, invitationId) {
+        if (!Number.isInteger(invitationId)) throw new Error('Invalid invitation id');
+
+        const revoked = await invitationRepository.revokeInvitation(invitationId);
+        if (!revoked) throw new Error('Invitation not found');
+
+        await userService.recordAction(actorId, AUDIT_ACTIONS.INVITATION_REVOKED, null, { invitationId });
+    }
+
+    /**
+     * Redeem an invitation: create the account with the invited role and
+     * department and sign the new user in
+     * @param {Object} data - { token, password, fullName?, email? }
+     * @param {Object} client - { ipAddress, userAgent } of the device
+     * @returns {Promise<Object>} Token, refresh token and user data
+     * @throws {Error} If the invitation is invalid, used or expired
+     */
+    async acceptInvitation({ token, password, fullName, email }, client = {}) {
+        if (!token || !password) {
+            throw new Error('Invitation code and password are required');
+        }
+
+        if (!authService.validatePassword(password)) {
+            throw new Error('Password must be at least 6 characters long');
+        }
+
+        const invitation = await invitationRepository.findPendingByTokenHash(hashToken(String(token).trim()));
+        if (!invitation) {
+            throw new Error('Invalid or expired invitation');
+        }
+
+        if (!fullName && !invitation.FullName) {
+            throw new Error('Full name is required');
+        }
+
+        const user = await invitationRepository.acceptInvitation({
+            invitationId: invitation.InvitationId,
+            fullName,
+            email,
+            passwordHash: await authService.hashPassword(password),
+        });
+        if (!user) {
+            throw new Error('Invalid or expired invitation');
+        }
+
+        // Roles that require two-factor enrol before the first session
+        return authService.signIn(user, client);
+    }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,86 @@
+const permissionService = require('./permissionService');
+const { PERMISSIONS } = permissionService;
+
+// Issue IDs are GUIDs; anything else cannot exist
+const ISSUE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// How much of an issue a user may see and do
+const ACCESS_LEVELS = {
+    PUBLIC: 'public',                  // any signed-in user: public view, no reporter details or comments
+    REPORTER: 'reporter',              // the citizen who reported it: full view, comments, photos
+    DEPARTMENT: 'department',          // staff of the issue's department and admins: everything
+};
+
+/**
+ * Service Layer - Issue Access Policy
+ * Decides what a user may do with a single issue, based on ownership and department scope.
+ * Works with req.user ({ userId, role, departmentId }) and user rows ({ UserId, Role, DepartmentId }).
+ */
+class IssueAccessService {
+    /**
+     * Get a user's access level for an issue
+     * @param {Object} user - Requesting user
+     * @param {Object} issue - Issue row (needs CitizenId and DepartmentId)
+     * @returns {string} One of ACCESS_LEVELS
+     */
+    getAccessLevel(user, issue) {
+        if (!user) return ACCESS_LEVELS.PUBLIC;
+        if (permissionService.can(user, PERMISSIONS.ISSUE_VIEW, issue.DepartmentId)) return ACCESS_LEVELS.DEPARTMENT;
+
+        const userId = user.userId !== undefined ? user.userId : user.UserId;
+        if (issue.CitizenId && issue.CitizenId === userId) return ACCESS_LEVELS.REPORTER;
+
+        return ACCESS_LEVELS.PUBLIC;
+    }
+
+    isDepartment(user, issue) {
+        return this.getAccessLevel(user, issue) === ACCESS_LEVELS.DEPARTMENT;
+    }
+
+    isParticipant(user, issue) {
+        return this.getAccessLevel(user, issue) !== ACCESS_LEVELS.PUBLIC;
+    }
+
+    /**
+     * Get the department a user's issue lists are limited to
+     * @param {Object} user - Requesting user
+     * @returns {number|null|undefined} The department for department roles (null if they have none),
+     *          undefined when the user's lists are not limited
+     */
+    getListDepartment(user) {
+        if (!user || !permissionService.isDepartmentRole(user.role || user.Role)) return undefined;
+
+        const departmentId = user.departmentId !== undefined ? user.departmentId : user.DepartmentId;
+        return departmentId || null;
+    }
+
+    /**
+     * Require the reporter, staff of the issue's department, or an admin
+     * @param {Object} user - Requesting user
+     * @param {Object} issue - Issue row
+     * @param {string} action - What is being done, for the error message
+     * @throws {Error} 'Only the reporter, ...' when the user may not
+     */
+    assertParticipant(user, issue, action) {
+        if (!this.isParticipant(user, issue)) {
+            throw new Error(`Only the reporter, department staff and admins can ${action}`);
+        }
+    }
+
+    /**
+     * Require staff of the issue's department or an admin
+     * @param {Object} user - Requesting user
+     * @param {Object} issue - Issue row
+     * @param {string} action - What is being done, for the error message
+     * @throws {Error} 'Only staff of this department ...' when the user may not
+     */
+    assertDepartment(user, issue, action) {
+        if (!this.isDepartment(user, issue)) {
+            throw new Error(`Only staff of this department and admins can ${action}`);
+        }
+    }
+}
+
+module.exports = new IssueAccessService();
+module.exports.ACCESS_LEVELS = ACCESS_LEVELS;
+module.exports.ISSUE_ID_PATTERN = ISSUE_ID_PATTERN;
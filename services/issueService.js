@@ -1,13 +1,37 @@
 const issueRepository = require('../repositories/issueRepository');
 const departmentRepository = require('../repositories/departmentRepository');
+const authRepository = require('../repositories/authRepository');
+const slaService = require('./slaService');
+const notificationService = require('./notificationService');
+const permissionService = require('./permissionService');
+const issueAccessService = require('./issueAccessService');
+const privacyService = require('./privacyService');
+const jurisdictionService = require('./jurisdictionService');
+const allocationRuleService = require('./allocationRuleService');
+const triageService = require('./triageService');
+const classifierService = require('./classifierService');
+const textService = require('./textService');
+const { NOTIFICATION_TYPES } = notificationService;
+const { PERMISSIONS } = permissionService;
+const { ACCESS_LEVELS, ISSUE_ID_PATTERN } = issueAccessService;
+const { REVEAL_CONTEXTS } = privacyService;
 const path = require('path');
 
+const IMAGE_TYPES = ['BEFORE', 'AFTER'];
+
+// Who chose the department of a new issue; only REPORTER choices train the classifier
+const ALLOCATION_SOURCES = {
+    REPORTER: 'REPORTER',
+    AUTOMATIC: 'AUTOMATIC',            // rules, classifier or nearest office
+};
+
 // Map DB row to API shape
 const toIssue = (row) => ({
     issueId: row.IssueId,
     citizenId: row.CitizenId,
     citizenName: row.CitizenName,
     citizenPhone: row.CitizenPhone,
+    anonymous: !!row.IsAnonymous,
     departmentId: row.DepartmentId,
     departmentName: row.DepartmentName,
     issueType: row.IssueType,
@@ -16,91 +40,113 @@ const toIssue = (row) => ({
     longitude: row.Longitude,
     address: row.Address,
     status: row.Status,
+    assignedTo: row.AssignedTo || null,
+    assigneeName: row.AssigneeName || null,
+    assignedAt: row.AssignedAt || null,
+    reporterCount: row.ReporterCount || 1,
+    upvoteCount: row.UpvoteCount || 0,
+    priority: row.Priority || 'NORMAL',
+    ...slaService.getDeadlines(row),
     createdAt: row.CreatedAt,
+    updatedAt: row.UpdatedAt || row.CreatedAt,
 });
 
-class IssueService {
-    // --- Keyword-based department allocation helpers ---
-  normalizeText(text) {
-    return (text || '')
-        .toLowerCase()
-        .replace(/[^a-z0-9\s]/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-}
-
-// Department keywords (DB DepartmentName must match)
-getDepartmentKeywords() {
-    return [
-        { deptName: 'Sanitation', keywords: ['garbage','trash','waste','dustbin','litter','cleaning','sweep','dump','overflow','sewage','drain','drainage'] },
-        { deptName: 'Water', keywords: ['water','leak','pipeline','tap','no water','low pressure','sewer'] },
-        { deptName: 'Electricity', keywords: ['electric','streetlight','street light','light','power','outage','transformer','wire','pole'] },
-        { deptName: 'PWD', keywords: ['road','pothole','street','footpath','sidewalk','zebra','speed breaker','traffic','signage','pavement','asphalt','highway'] },
-    ];
-}
-
-async mapKeywordsToDepartmentId(description, issueType) {
-    const text = this.normalizeText(`${issueType || ''} ${description || ''}`);
-    console.log('[Keyword Match] Input text:', text);
-
-    if (!text) return null;
+// Public view of an issue: nothing that identifies the reporter
+const toPublicIssue = (row) => {
+    const { citizenId, citizenName, citizenPhone, ...issue } = toIssue(row);
+    return issue;
+};
 
-    const keywordGroups = this.getDepartmentKeywords();
-    let bestDept = null;
-    let bestScore = 0;
-
-    /* ---------- STEP 1: KEYWORD SCORING ---------- */
-    for (const group of keywordGroups) {
-        let score = 0;
+// Public view of a status change: what happened and when, not who or why
+const toPublicTimelineEntry = (row) => ({
+    historyId: row.HistoryId,
+    fromStatus: row.FromStatus,
+    toStatus: row.ToStatus,
+    changedAt: row.ChangedAt,
+});
 
-        for (const rawWord of group.keywords) {
-            const word = this.normalizeText(rawWord);
+// Map status history row to API shape
+const toTimelineEntry = (row) => ({
+    historyId: row.HistoryId,
+    fromStatus: row.FromStatus,
+    toStatus: row.ToStatus,
+    note: row.Note,
+    changedBy: row.ChangedBy ? {
+        userId: row.ChangedBy,
+        fullName: row.ChangedByName,
+        role: row.ChangedByRole,
+    } : null,
+    changedAt: row.ChangedAt,
+});
 
-            // 🔥 IMPORTANT FIX:
-            // Match whole words, not partial fragile includes
-            const regex = new RegExp(`\\b${word.replace(/\s+/g, '\\s+')}\\b`, 'i');
+// Allowed forward status transitions
+const STATUS_TRANSITIONS = {
+    REPORTED: ['ASSIGNED', 'IN_PROGRESS'],
+    ASSIGNED: ['IN_PROGRESS'],
+    IN_PROGRESS: ['RESOLVED'],
+    RESOLVED: [],
+};
 
-            if (regex.test(text)) {
-                score += word.split(' ').length; // multi-word keywords get higher weight
-                console.log(`[Keyword Match] "${rawWord}" matched → ${group.deptName}`);
-            }
-        }
+// Backward transitions are allowed only when a reason (note) is given
+const STATUS_REVERSALS = {
+    REPORTED: [],
+    ASSIGNED: ['REPORTED'],
+    IN_PROGRESS: ['ASSIGNED'],
+    RESOLVED: ['IN_PROGRESS'],
+};
 
-        if (score > bestScore) {
-            bestScore = score;
-            bestDept = group.deptName;
-        }
-    }
+// Map comment row to API shape
+const toComment = (row) => ({
+    commentId: row.CommentId,
+    issueId: row.IssueId,
+    author: {
+        userId: row.AuthorId,
+        fullName: row.AuthorName,
+        role: row.AuthorRole,
+    },
+    body: row.Body,
+    imageUrl: row.ImageUrl,
+    createdAt: row.CreatedAt,
+});
 
-    if (!bestDept) {
-        console.log('[Keyword Match] No keyword matched');
-        return null;
-    }
+// Map staff note row to API shape
+const toStaffNote = (row) => ({
+    noteId: row.NoteId,
+    issueId: row.IssueId,
+    author: {
+        userId: row.AuthorId,
+        fullName: row.AuthorName,
+        role: row.AuthorRole,
+    },
+    body: row.Body,
+    createdAt: row.CreatedAt,
+});
 
-    console.log(`[Keyword Match] Selected DepartmentName = ${bestDept}`);
+// Human-readable status names for notifications
+const STATUS_LABELS = {
+    REPORTED: 'Reported',
+    ASSIGNED: 'Assigned',
+    IN_PROGRESS: 'In progress',
+    RESOLVED: 'Resolved',
+};
 
-    /* ---------- STEP 2: GET ALL MATCHING DEPARTMENTS ---------- */
-    const departments = await departmentRepository.getAll();
+// Map assignment update row to API shape
+const toAssignment = (row, assignee) => ({
+    issueId: row.IssueId,
+    departmentId: row.DepartmentId,
+    status: row.Status,
+    assignedTo: row.AssignedTo,
+    assigneeName: assignee.FullName,
+    assignedAt: row.AssignedAt,
+});
 
-    const matchedDepartments = departments.filter(
-        d => this.normalizeText(d.DepartmentName) === this.normalizeText(bestDept)
-    );
+class IssueService {
+    // --- Department allocation helpers ---
 
-    if (!matchedDepartments.length) {
-        console.log(`[Keyword Match] No DB department found for ${bestDept}`);
-        return null;
+    normalizeText(text) {
+        return textService.normalize(text);
     }
 
-    /* ---------- STEP 3: RETURN FIRST (location logic elsewhere) ---------- */
-    // Location-based nearest selection should happen OUTSIDE this function
-    console.log(
-        '[Keyword Match] Matched DepartmentIds:',
-        matchedDepartments.map(d => d.DepartmentId)
-    );
-
-    return matchedDepartments[0].DepartmentId;
-}
-
     /**
      * Calculate distance between two coordinates using Haversine formula
      * Returns distance in kilometers
@@ -120,9 +166,10 @@ async mapKeywordsToDepartmentId(description, issueType) {
     /**
      * Find the nearest department based on issue location
      * Uses Haversine formula to calculate distance
+     * @param {Array} [departments] - Offices to choose from (default all)
      */
-    async findNearestDepartment(issueLatitude, issueLongitude) {
-        const departments = await departmentRepository.getAll();
+    async findNearestDepartment(issueLatitude, issueLongitude, departments) {
+        departments = departments || await departmentRepository.getAll();
         
         if (!departments || departments.length === 0) {
             throw new Error('No departments available');
@@ -144,6 +191,207 @@ async mapKeywordsToDepartmentId(description, issueType) {
         return departmentsWithDistance[0]; // Return nearest department
     }
 
+    /**
+     * Choose the office for a new issue:
+     * 1) allocation rules decide which department handles it, if one matches;
+     *    offices with the same name as the rule's department count as that department
+     * 2) among those offices (or all, without a rule match), the one whose
+     *    jurisdiction contains the location; the nearest of them if several do
+     * 3) the nearest office, only when no jurisdiction contains the location
+     * The classifier runs alongside the rules and, in assist mode, can override step 1.
+     * allocationStrategy.confidence says how sure the department choice is (0 without one).
+     * @param {Object} report - { description, issueType, latitude, longitude }
+     * @returns {Promise<Object>} { department, nearestDepartment, allocationStrategy }
+     */
+    async allocateDepartment({ description, issueType, latitude, longitude }) {
+        const departments = await departmentRepository.getAll();
+        if (!departments.length) throw new Error('No departments available');
+
+        const { match, confidence } = await allocationRuleService.match(description, issueType);
+        const target = match && departments.find((d) => d.DepartmentId === match.departmentId);
+        const matchedName = target ? target.DepartmentName : null;
+
+        // The classifier runs next to the rules; in assist mode it may pick the department
+        const prediction = classifierService.predict(description, issueType);
+        let decision = classifierService.combine({ departmentName: matchedName, confidence: target ? confidence : 0 }, prediction);
+        let candidates = decision.departmentName
+            ? departments.filter((d) => this.normalizeText(d.DepartmentName) === this.normalizeText(decision.departmentName))
+            : [];
+        if (!candidates.length) {
+            // No department picked, or the model knows a department that no longer exists
+            decision = { departmentName: null, confidence: 0, classifierUsed: false };
+            candidates = departments;
+        }
+
+        const strategy = {
+            keywordMatch: matchedName,
+            rule: target ? {
+                ruleId: match.ruleId,
+                name: match.name,
+                score: match.score,
+                matchedKeywords: match.matchedKeywords.map((keyword) => keyword.term),
+            } : null,
+            classifier: prediction ? {
+                departmentName: prediction.departmentName,
+                probability: prediction.probability,
+                used: decision.classifierUsed,
+            } : null,
+            confidence: decision.confidence,
+        };
+
+        const containing = jurisdictionService.findContaining(candidates, latitude, longitude);
+        if (containing.length) {
+            const department = await this.findNearestDepartment(latitude, longitude, containing);
+            return {
+                department,
+                nearestDepartment: null,
+                allocationStrategy: {
+                    method: 'jurisdiction',
+                    ...strategy,
+                    jurisdiction: jurisdictionService.toJurisdiction(department),
+                },
+            };
+        }
+
+        const nearest = await this.findNearestDepartment(latitude, longitude, candidates);
+        return {
+            department: nearest,
+            nearestDepartment: nearest,
+            allocationStrategy: { method: 'nearest', ...strategy, jurisdiction: null },
+        };
+    }
+
+    /**
+     * Explain where a sample report would be routed, for testing allocation rules.
+     * Without a location only the rule scoring is shown.
+     * @param {Object} report - { description, issueType?, latitude?, longitude? }
+     * @returns {Promise<Object>} { text, translations, match, confidence, classifier, needsTriage, rules, allocation }
+     */
+    async explainAllocation({ description, issueType, latitude, longitude }) {
+        if (!description?.trim() && !issueType?.trim()) throw new Error('Description or issue type is required');
+
+        const explanation = await allocationRuleService.explain(description, issueType);
+        explanation.classifier = classifierService.predict(description, issueType);
+        const decision = classifierService.combine(
+            { departmentName: explanation.match?.departmentName || null, confidence: explanation.confidence },
+            explanation.classifier
+        );
+        explanation.needsTriage = !!triageService.assess({
+            rule: explanation.match,
+            classifier: { used: decision.classifierUsed },
+            confidence: decision.confidence,
+        });
+
+        const hasLocation = Number.isFinite(latitude) && Number.isFinite(longitude);
+        if (!hasLocation) return { ...explanation, allocation: null };
+
+        const allocation = await this.allocateDepartment({ description, issueType, latitude, longitude });
+        return {
+            ...explanation,
+            allocation: {
+                departmentId: allocation.department.DepartmentId,
+                departmentName: allocation.department.DepartmentName,
+                allocationStrategy: allocation.allocationStrategy,
+            },
+        };
+    }
+
+    /**
+     * Similarity of two texts as the overlap of their words (Jaccard index), compared by
+     * match key so the same report in Devanagari and romanised Hindi counts as similar.
+     * Words shorter than 3 characters are ignored.
+     * @returns {number} 0 (nothing in common) to 1 (same words)
+     */
+    textSimilarity(a, b) {
+        const words = (text) => new Set(textService.toMatchKey(text).split(' ').filter((w) => w.length > 2));
+        const setA = words(a);
+        const setB = words(b);
+        if (!setA.size || !setB.size) return 0;
+
+        let shared = 0;
+        for (const word of setA) {
+            if (setB.has(word)) shared++;
+        }
+        return shared / (setA.size + setB.size - shared);
+    }
+
+    /**
+     * Find open issues that look like the same problem as a new report:
+     * same department, close by, recent, and same issue type or similar description.
+     * @param {Object} report - { departmentId, issueType, description, latitude, longitude }
+     * @returns {Promise<Array>} Candidates, closest first
+     */
+    async findDuplicateCandidates(report) {
+        const radiusKm = (parseFloat(process.env.DUPLICATE_RADIUS_METERS) || 50) / 1000;
+        const windowHours = parseFloat(process.env.DUPLICATE_WINDOW_HOURS) || 24;
+        const minSimilarity = parseFloat(process.env.DUPLICATE_TEXT_SIMILARITY) || 0.3;
+
+        // Bounding box around the report; exact distance is checked below
+        const latDelta = radiusKm / 111.32;
+        const lonDelta = radiusKm / (111.32 * Math.max(Math.cos(report.latitude * Math.PI / 180), 0.01));
+
+        const rows = await issueRepository.findOpenIssuesInArea({
+            departmentId: report.departmentId,
+            minLat: report.latitude - latDelta,
+            maxLat: report.latitude + latDelta,
+            minLon: report.longitude - lonDelta,
+            maxLon: report.longitude + lonDelta,
+            since: new Date(Date.now() - windowHours * 60 * 60 * 1000),
+        });
+
+        const reportType = this.normalizeText(report.issueType);
+
+        return rows
+            .map((row) => ({
+                row,
+                distanceKm: this.calculateDistance(report.latitude, report.longitude, row.Latitude, row.Longitude),
+                similarity: this.textSimilarity(report.description, row.Description),
+                sameType: !!reportType && reportType === this.normalizeText(row.IssueType),
+            }))
+            .filter((c) => c.distanceKm <= radiusKm && (c.sameType || c.similarity >= minSimilarity))
+            .sort((a, b) => a.distanceKm - b.distanceKm)
+            .map(({ row, distanceKm, similarity }) => ({
+                issueId: row.IssueId,
+                issueType: row.IssueType,
+                description: row.Description,
+                address: row.Address,
+                status: row.Status,
+                departmentName: row.DepartmentName,
+                reporterCount: row.ReporterCount || 1,
+                distanceMeters: Math.round(distanceKm * 1000),
+                similarity: Number(similarity.toFixed(2)),
+                createdAt: row.CreatedAt,
+            }));
+    }
+
+    /**
+     * Link a citizen's report to an existing open issue instead of creating a new one
+     * @param {string} parentIssueId - Existing issue ID
+     * @param {number} citizenId - Reporting citizen
+     * @param {string} description - Description given with the report
+     * @returns {Promise<Object>} The existing issue
+     */
+    async linkDuplicateReport(parentIssueId, citizenId, description) {
+        const parent = await issueRepository.getIssueById(parentIssueId);
+        if (!parent) throw new Error('Invalid duplicateOf: issue not found');
+        if (parent.Status === 'RESOLVED') throw new Error('Invalid duplicateOf: issue is already resolved');
+
+        if (parent.CitizenId !== citizenId) {
+            await issueRepository.addFollower({
+                issueId: parentIssueId,
+                userId: citizenId,
+                source: 'REPORT',
+                note: description,
+            });
+        }
+
+        const row = await issueRepository.getIssueById(parentIssueId);
+        return {
+            ...toIssue(row),
+            linkedToExisting: true,
+        };
+    }
+
     validate(issue) {
         if (!issue.description?.trim()) throw new Error('Description is required');
         if (issue.description.length > 500) throw new Error('Description max 500 chars');
@@ -152,25 +400,44 @@ async mapKeywordsToDepartmentId(description, issueType) {
         // Note: departmentId is now optional - will be auto-assigned based on location
     }
 
+    /**
+     * Create an issue. Before inserting, open issues nearby that look like the
+     * same problem are looked up:
+     * - data.duplicateOf links the report to that issue instead of creating one
+     * - data.ignoreDuplicates creates the issue even if candidates exist
+     * - otherwise an error carrying the candidates (error.duplicates) is thrown
+     */
     async createIssue(data) {
         this.validate(data);
 
-        // If departmentId is provided, use it; otherwise try keyword mapping, then nearest
+        if (data.duplicateOf) {
+            return this.linkDuplicateReport(data.duplicateOf, data.citizenId, data.description);
+        }
+
+        // If departmentId is provided, use it; otherwise route by keywords and jurisdiction.
+        // An uncertain allocation is kept, but the issue also goes to the triage queue.
         let departmentId = data.departmentId;
         let nearestDept = null;
         let allocationStrategy = null;
+        let triage = null;
+        let allocationSource = ALLOCATION_SOURCES.REPORTER;
 
         if (!departmentId) {
-            // 1) Try keyword-based allocation using description + issueType
-            departmentId = await this.mapKeywordsToDepartmentId(data.description, data.issueType);
-            allocationStrategy = departmentId ? 'keywords' : null;
+            allocationSource = ALLOCATION_SOURCES.AUTOMATIC;
+            const allocation = await this.allocateDepartment(data);
+            departmentId = allocation.department.DepartmentId;
+            nearestDept = allocation.nearestDepartment;
+            allocationStrategy = allocation.allocationStrategy;
+            triage = triageService.assess(allocationStrategy);
         }
 
-        if (!departmentId) {
-            // 2) Fallback: auto-assign nearest department by location
-            nearestDept = await this.findNearestDepartment(data.latitude, data.longitude);
-            departmentId = nearestDept.DepartmentId;
-            allocationStrategy = allocationStrategy || 'nearest';
+        if (!data.ignoreDuplicates) {
+            const duplicates = await this.findDuplicateCandidates({ ...data, departmentId });
+            if (duplicates.length) {
+                const error = new Error('Possible duplicate issues found nearby');
+                error.duplicates = duplicates;
+                throw error;
+            }
         }
 
         const row = await issueRepository.createIssue({
@@ -181,6 +448,10 @@ async mapKeywordsToDepartmentId(description, issueType) {
             latitude: data.latitude,
             longitude: data.longitude,
             address: data.address || null,
+            isAnonymous: !!data.anonymous,
+            allocationConfidence: allocationStrategy ? allocationStrategy.confidence : null,
+            allocationSource,
+            triage,
         });
 
         return { 
@@ -191,11 +462,28 @@ async mapKeywordsToDepartmentId(description, issueType) {
                 departmentName: nearestDept.DepartmentName,
                 distance: nearestDept.distance?.toFixed(2) + ' km'
             } : null,
-            allocationStrategy
+            allocationStrategy,
+            triage: triage ? { reason: triage.reason, confidence: triage.confidence } : null
         };
     }
 
-    async addImageToIssue(issueId, imagePath, imageType = 'BEFORE') {
+    /**
+     * Attach a photo to an issue. The reporter and department staff can add BEFORE
+     * photos; AFTER photos (proof of the fix) only department staff.
+     * @param {string} issueId - Issue ID (GUID)
+     * @param {number} userId - Uploader
+     * @param {string} imagePath - Stored file path
+     * @param {string} imageType - 'BEFORE' | 'AFTER'
+     * @returns {Promise<Object>} Created image
+     */
+    async addImageToIssue(issueId, userId, imagePath, imageType = 'BEFORE') {
+        if (!IMAGE_TYPES.includes(imageType)) throw new Error('Invalid image type. Must be BEFORE or AFTER');
+
+        const issue = await this.getExistingIssue(issueId);
+        const user = await authRepository.findUserById(userId);
+        issueAccessService.assertParticipant(user, issue, 'add photos to this issue');
+        if (imageType === 'AFTER') issueAccessService.assertDepartment(user, issue, 'add AFTER photos');
+
         const imageUrl = `/uploads/issues/${issueId}/${path.basename(imagePath)}`;
         const row = await issueRepository.addIssueImage(issueId, imageUrl, imageType);
         return {
@@ -221,8 +509,9 @@ async mapKeywordsToDepartmentId(description, issueType) {
         }
 
         // Fetch issue to compute distance
-        const issue = await issueRepository.getIssueById(issueId);
-        if (!issue) throw new Error('Issue not found');
+        const issue = await this.getExistingIssue(issueId);
+        const staff = await authRepository.findUserById(staffId);
+        issueAccessService.assertDepartment(staff, issue, 'record attendance on this issue');
 
         const distanceKm = this.calculateDistance(staffLat, staffLon, issue.Latitude, issue.Longitude);
         const attendance = await issueRepository.addIssueAttendance({
@@ -244,19 +533,180 @@ async mapKeywordsToDepartmentId(description, issueType) {
         };
     }
 
-    async getIssueDetails(issueId) {
-        const row = await issueRepository.getIssueById(issueId);
-        if (!row) throw new Error('Issue not found');
+    /**
+     * Get issue details with images.
+     * What is returned depends on the viewer's access (see issueAccessService):
+     * - public: the issue without reporter details or comments
+     * - reporter: adds reporter details and comments
+     * - department (staff of the issue's department, admins): adds internal staff notes;
+     *   reporter details are protected by privacyService (masked phone, anonymous reports)
+     * @param {string} issueId - Issue ID (GUID)
+     * @param {number} viewerId - Requesting user (optional)
+     * @returns {Promise<Object>} Issue details
+     */
+    async getIssueDetails(issueId, viewerId = null) {
+        const { issue: issueRow, viewer, access } = await this.getIssueForViewer(issueId, viewerId);
+        const [row] = access === ACCESS_LEVELS.PUBLIC
+            ? [issueRow]
+            : await privacyService.protectReporters([issueRow], viewer, REVEAL_CONTEXTS.ISSUE_DETAILS);
 
-        return {
-            ...toIssue(row),
+        const issue = {
+            ...(access === ACCESS_LEVELS.PUBLIC ? toPublicIssue(row) : toIssue(row)),
             images: (row.images || []).map((img) => ({
                 imageId: img.ImageId,
                 imageUrl: img.ImageUrl,
                 imageType: img.ImageType,
                 uploadedAt: img.UploadedAt,
             })),
+            access,
         };
+
+        if (access !== ACCESS_LEVELS.PUBLIC) {
+            const comments = await issueRepository.getComments(issueId);
+            issue.comments = privacyService.protectCommentAuthors(comments, issueRow, viewer).map(toComment);
+        }
+
+        if (access === ACCESS_LEVELS.DEPARTMENT) {
+            const notes = await issueRepository.getStaffNotes(issueId);
+            issue.staffNotes = notes.map(toStaffNote);
+        }
+
+        return issue;
+    }
+
+    /**
+     * Load an issue, treating malformed IDs as missing
+     * @param {string} issueId - Issue ID (GUID)
+     * @returns {Promise<Object>} Issue row
+     * @throws {Error} 'Issue not found'
+     */
+    async getExistingIssue(issueId) {
+        const issue = ISSUE_ID_PATTERN.test(issueId || '') ? await issueRepository.getIssueById(issueId) : null;
+        if (!issue) throw new Error('Issue not found');
+        return issue;
+    }
+
+    /**
+     * Load an issue with the viewer's access level to it
+     * @param {string} issueId - Issue ID (GUID)
+     * @param {number} viewerId - Requesting user (optional)
+     * @returns {Promise<Object>} { issue: issue row, viewer: user row or null, access: one of ACCESS_LEVELS }
+     * @throws {Error} 'Issue not found'
+     */
+    async getIssueForViewer(issueId, viewerId = null) {
+        const issue = await this.getExistingIssue(issueId);
+
+        const viewer = viewerId ? await authRepository.findUserById(viewerId) : null;
+        return { issue, viewer, access: issueAccessService.getAccessLevel(viewer, issue) };
+    }
+
+    /**
+     * Get the department of an issue, for permission checks
+     * @param {string} issueId - Issue ID (GUID)
+     * @returns {Promise<number|null|undefined>} Department ID, or undefined if there is no such issue
+     */
+    async getIssueDepartmentId(issueId) {
+        if (!ISSUE_ID_PATTERN.test(issueId || '')) return undefined;
+        return issueRepository.getIssueDepartmentId(issueId);
+    }
+
+    /**
+     * Get a user's access level for an issue, for route guards
+     * @param {string} issueId - Issue ID (GUID)
+     * @param {Object} user - req.user
+     * @returns {Promise<string|null>} One of ACCESS_LEVELS, or null if there is no such issue
+     */
+    async getAccessLevel(issueId, user) {
+        if (!ISSUE_ID_PATTERN.test(issueId || '')) return null;
+
+        const issue = await issueRepository.getIssueOwnership(issueId);
+        return issue ? issueAccessService.getAccessLevel(user, issue) : null;
+    }
+
+    /**
+     * Load an issue and check the user works on it (admin or department staff)
+     * @returns {Promise<Object>} Issue row
+     */
+    async getIssueForStaff(issueId, userId) {
+        const issue = await this.getExistingIssue(issueId);
+
+        const user = await authRepository.findUserById(userId);
+        issueAccessService.assertDepartment(user, issue, 'access staff notes');
+        return issue;
+    }
+
+    /**
+     * Add an internal note visible only to department staff and admins
+     * @param {string} issueId - Issue ID (GUID)
+     * @param {number} userId - Author
+     * @param {string} body - Note text
+     * @returns {Promise<Object>} Created note
+     */
+    async addStaffNote(issueId, userId, body) {
+        const text = body?.trim();
+        if (!text) throw new Error('Note text is required');
+        if (text.length > 1000) throw new Error('Invalid note: max 1000 chars');
+
+        await this.getIssueForStaff(issueId, userId);
+
+        const row = await issueRepository.addStaffNote({ issueId, authorId: userId, body: text });
+        return toStaffNote(row);
+    }
+
+    async getStaffNotes(issueId, userId) {
+        await this.getIssueForStaff(issueId, userId);
+
+        const rows = await issueRepository.getStaffNotes(issueId);
+        return rows.map(toStaffNote);
+    }
+
+    /**
+     * Post a comment on an issue
+     * @param {string} issueId - Issue ID (GUID)
+     * @param {number} userId - Author
+     * @param {Object} comment - { body, imagePath }
+     * @returns {Promise<Object>} Created comment
+     */
+    async addComment(issueId, userId, { body, imagePath = null }) {
+        const text = body?.trim() || null;
+        if (!text && !imagePath) throw new Error('Comment text or image is required');
+        if (text && text.length > 1000) throw new Error('Invalid comment: max 1000 chars');
+
+        const issue = await this.getExistingIssue(issueId);
+
+        const user = await authRepository.findUserById(userId);
+        if (!user) throw new Error('User not found');
+        issueAccessService.assertParticipant(user, issue, 'comment on this issue');
+
+        const row = await issueRepository.addComment({
+            issueId,
+            authorId: userId,
+            authorRole: user.Role,
+            body: text,
+            imageUrl: imagePath ? `/uploads/issues/${issueId}/${path.basename(imagePath)}` : null,
+        });
+
+        const authorName = issue.IsAnonymous && userId === issue.CitizenId ? 'the reporter' : row.AuthorName;
+        await notificationService.safeNotifyIssueEvent(issueId, {
+            type: NOTIFICATION_TYPES.NEW_COMMENT,
+            title: `New comment from ${authorName || 'a user'}`,
+            body: text || 'Sent an image',
+            public: { title: 'New comment on an issue you follow' },
+            actorId: userId,
+            includeAssignee: true,
+        });
+
+        return toComment(row);
+    }
+
+    async getComments(issueId, userId) {
+        const issue = await this.getExistingIssue(issueId);
+
+        const user = await authRepository.findUserById(userId);
+        issueAccessService.assertParticipant(user, issue, 'view comments on this issue');
+
+        const rows = await issueRepository.getComments(issueId);
+        return privacyService.protectCommentAuthors(rows, issue, user).map(toComment);
     }
 
     async getCitizenIssues(citizenId) {
@@ -273,24 +723,41 @@ async mapKeywordsToDepartmentId(description, issueType) {
         }));
     }
 
-    async getAllIssues(limit = 20, offset = 0) {
-        const rows = await issueRepository.getAllIssues(limit, offset);
+    /**
+     * List issues. Department staff only see their own department's issues.
+     * @param {number} limit - Results per page
+     * @param {number} offset - Pagination offset
+     * @param {string} sort - 'upvotes' for most supported first
+     * @param {Object} viewer - req.user
+     * @returns {Promise<Array>} Issues
+     */
+    async getAllIssues(limit = 20, offset = 0, sort = null, viewer = null) {
+        const departmentId = issueAccessService.getListDepartment(viewer);
+        if (departmentId === null) throw new Error('Invalid account: staff member must be assigned to a department');
+
+        const rows = await privacyService.protectReporters(
+            await issueRepository.getAllIssues(limit, offset, sort, departmentId), viewer
+        );
         return rows.map((row) => ({
             issueId: row.IssueId,
             citizenName: row.CitizenName,
             issueType: row.IssueType,
             description: row.Description,
             status: row.Status,
+            priority: row.Priority || 'NORMAL',
             departmentName: row.DepartmentName,
             imageCount: row.ImageCount,
+            reporterCount: row.ReporterCount || 1,
+            upvoteCount: row.UpvoteCount || 0,
             latitude: row.Latitude,
             longitude: row.Longitude,
+            ...slaService.getDeadlines(row),
             createdAt: row.CreatedAt,
         }));
     }
 
-    async getDepartmentIssues(departmentId) {
-        const rows = await issueRepository.getIssuesByDepartment(departmentId);
+    async getDepartmentIssues(departmentId, viewer = null) {
+        const rows = await privacyService.protectReporters(await issueRepository.getIssuesByDepartment(departmentId), viewer);
         return rows.map((row) => ({
             issueId: row.IssueId,
             citizenName: row.CitizenName,
@@ -305,15 +772,214 @@ async mapKeywordsToDepartmentId(description, issueType) {
         }));
     }
 
-    async updateIssueStatus(issueId, status) {
-        const allowed = ['REPORTED', 'ASSIGNED', 'IN_PROGRESS', 'RESOLVED'];
-        if (!allowed.includes(status)) throw new Error('Invalid status');
+    /**
+     * Check a status change against the transition graph
+     * @param {string} fromStatus - Current status
+     * @param {string} toStatus - Requested status
+     * @param {string} note - Reason given for the change (optional)
+     * @throws {Error} If the transition is not allowed
+     */
+    validateStatusTransition(fromStatus, toStatus, note) {
+        if (!STATUS_TRANSITIONS[toStatus]) throw new Error('Invalid status');
+        if (fromStatus === toStatus) throw new Error(`Invalid status transition: issue is already ${toStatus}`);
+
+        if ((STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus)) return;
+
+        if ((STATUS_REVERSALS[fromStatus] || []).includes(toStatus)) {
+            if (!note?.trim()) {
+                throw new Error(`A reason is required to move an issue back from ${fromStatus} to ${toStatus}`);
+            }
+            return;
+        }
+
+        throw new Error(`Invalid status transition from ${fromStatus} to ${toStatus}`);
+    }
+
+    /**
+     * Move an issue to a new status and record it in the status history
+     * @param {string} issueId - Issue ID (GUID)
+     * @param {string} status - Requested status
+     * @param {Object} options - { actorId, note }
+     * @returns {Promise<Object>} Updated status details
+     */
+    async updateIssueStatus(issueId, status, { actorId = null, note = null } = {}) {
+        if (note && note.length > 500) throw new Error('Invalid note: max 500 chars');
+
+        const issue = await this.getExistingIssue(issueId);
+
+        const actor = actorId ? await authRepository.findUserById(actorId) : null;
+        if (actorId) issueAccessService.assertDepartment(actor, issue, 'change the status of this issue');
+
+        this.validateStatusTransition(issue.Status, status, note);
+
+        // Resolving, and reopening a resolved issue, needs closing rights for the department
+        if (actor && (status === 'RESOLVED' || issue.Status === 'RESOLVED')) {
+            if (!permissionService.can(actor, PERMISSIONS.ISSUE_CLOSE, issue.DepartmentId)) {
+                throw new Error('Only department heads and admins can close or reopen issues');
+            }
+        }
+
+        if (status === 'ASSIGNED' && !issue.AssignedTo) {
+            throw new Error('Invalid status transition: assign the issue to a staff member instead');
+        }
+
+        const row = await issueRepository.updateIssueStatus({
+            issueId,
+            fromStatus: issue.Status,
+            toStatus: status,
+            changedBy: actorId,
+            note: note?.trim() || null
+        });
+        if (!row) throw new Error('Issue status was changed by someone else, please retry');
+
+        await notificationService.safeNotifyIssueEvent(issueId, {
+            type: NOTIFICATION_TYPES.STATUS_CHANGED,
+            title: `Issue status changed to ${STATUS_LABELS[status]}`,
+            body: row.history.Note || issue.Description,
+            public: { title: `Issue status changed to ${STATUS_LABELS[status]}` },
+            actorId,
+            includeAssignee: true,
+        });
 
-        const row = await issueRepository.updateIssueStatus(issueId, status);
         return {
             issueId: row.IssueId,
+            previousStatus: issue.Status,
             status: row.Status,
-            updatedAt: row.CreatedAt,
+            note: row.history.Note,
+            updatedAt: row.UpdatedAt,
+        };
+    }
+
+    /**
+     * Get the status history of an issue, oldest first.
+     * Other users only see the statuses and when they changed; the reporter, department
+     * staff and admins also see the notes and who made each change, except an anonymous reporter.
+     * @param {string} issueId - Issue ID (GUID)
+     * @param {number} viewerId - Requesting user (optional)
+     * @returns {Promise<Array>} Timeline entries
+     */
+    async getIssueTimeline(issueId, viewerId = null) {
+        const { issue, viewer, access } = await this.getIssueForViewer(issueId, viewerId);
+
+        const rows = await issueRepository.getStatusHistory(issueId);
+        if (access === ACCESS_LEVELS.PUBLIC) return rows.map(toPublicTimelineEntry);
+        return privacyService.protectTimeline(rows, issue, viewer).map(toTimelineEntry);
+    }
+
+    /**
+     * Assign an issue to a staff member of the issue's department
+     * @param {string} issueId - Issue ID (GUID)
+     * @param {number} staffId - User ID of the staff member to assign
+     * @param {number} actorId - User ID of who made the assignment
+     * @returns {Promise<Object>} Assignment details
+     */
+    async assignIssue(issueId, staffId, actorId = null) {
+        if (!issueId || !Number.isInteger(staffId)) {
+            throw new Error('Issue ID and staffId are required');
+        }
+
+        const issue = await this.getExistingIssue(issueId);
+        if (issue.Status === 'RESOLVED') throw new Error('Invalid assignment: issue is already resolved');
+        if (issue.TriageStatus === 'PENDING') throw new Error('Invalid assignment: issue is waiting for triage');
+
+        const staff = await authRepository.findUserById(staffId);
+        if (!staff) throw new Error('Staff member not found');
+        if (!permissionService.isDepartmentRole(staff.Role)) throw new Error('Invalid assignee: user is not a staff member');
+        if (staff.DepartmentId !== issue.DepartmentId) {
+            throw new Error('Invalid assignee: staff member belongs to a different department');
+        }
+
+        const row = await issueRepository.assignIssue({
+            issueId,
+            staffId,
+            changedBy: actorId,
+            note: `Assigned to ${staff.FullName}`
+        });
+        await notificationService.safeNotifyIssueEvent(issueId, {
+            type: NOTIFICATION_TYPES.ISSUE_ASSIGNED,
+            title: `Issue assigned to ${staff.FullName}`,
+            body: issue.Description,
+            actorId: actorId,
+            includeAssignee: true,
+        });
+
+        return toAssignment(row, staff);
+    }
+
+    /**
+     * Let a staff member take an unassigned issue from their department
+     * @param {string} issueId - Issue ID (GUID)
+     * @param {number} staffId - User ID of the claiming staff member
+     * @returns {Promise<Object>} Assignment details
+     */
+    async claimIssue(issueId, staffId) {
+        const issue = await this.getExistingIssue(issueId);
+        if (issue.Status === 'RESOLVED') throw new Error('Invalid claim: issue is already resolved');
+        if (issue.TriageStatus === 'PENDING') throw new Error('Invalid claim: issue is waiting for triage');
+
+        const staff = await authRepository.findUserById(staffId);
+        if (!staff) throw new Error('Staff member not found');
+        if (!permissionService.isDepartmentRole(staff.Role)) {
+            throw new Error('Only department staff can claim issues');
+        }
+        if (staff.DepartmentId !== issue.DepartmentId) {
+            throw new Error('Cannot claim an issue from a different department');
+        }
+
+        if (issue.AssignedTo) throw new Error('Issue is already assigned');
+
+        const row = await issueRepository.claimIssue({
+            issueId,
+            staffId,
+            note: `Claimed by ${staff.FullName}`
+        });
+        if (!row) throw new Error('Issue is already assigned');
+
+        await notificationService.safeNotifyIssueEvent(issueId, {
+            type: NOTIFICATION_TYPES.ISSUE_ASSIGNED,
+            title: `Issue assigned to ${staff.FullName}`,
+            body: issue.Description,
+            actorId: staffId,
+            includeAssignee: true,
+        });
+
+        return toAssignment(row, staff);
+    }
+
+    /**
+     * Support an existing issue ("me too"); the supporter also follows it
+     * @param {string} issueId - Issue ID (GUID)
+     * @param {number} userId - Supporting citizen
+     * @returns {Promise<Object>} { issueId, upvoted, upvoteCount }
+     */
+    async upvoteIssue(issueId, userId) {
+        const issue = await this.getExistingIssue(issueId);
+        if (issue.CitizenId === userId) throw new Error('Invalid upvote: you reported this issue');
+        if (issue.Status === 'RESOLVED') throw new Error('Invalid upvote: issue is already resolved');
+
+        const result = await issueRepository.addUpvote(issueId, userId);
+        return {
+            issueId,
+            upvoted: true,
+            alreadyUpvoted: !result.created,
+            upvoteCount: result.upvoteCount ?? issue.UpvoteCount,
+        };
+    }
+
+    /**
+     * Withdraw support for an issue
+     * @param {string} issueId - Issue ID (GUID)
+     * @param {number} userId - Citizen withdrawing support
+     * @returns {Promise<Object>} { issueId, upvoted, upvoteCount }
+     */
+    async removeUpvote(issueId, userId) {
+        await this.getExistingIssue(issueId);
+
+        const result = await issueRepository.removeUpvote(issueId, userId);
+        return {
+            issueId,
+            upvoted: false,
+            upvoteCount: result.upvoteCount,
         };
     }
 
@@ -338,8 +1004,21 @@ async mapKeywordsToDepartmentId(description, issueType) {
         }));
     }
 
-    async getStaffTasks(staffDepartmentId, staffLat = null, staffLon = null) {
-        const rows = await issueRepository.getStaffTasks(staffDepartmentId, staffLat, staffLon);
+    /**
+     * Get the task list of a department. Reporter phone numbers are masked
+     * unless privacyService lets the viewer see them.
+     * @param {number} staffDepartmentId - Department ID
+     * @param {number} staffLat - Staff latitude for distance (optional)
+     * @param {number} staffLon - Staff longitude for distance (optional)
+     * @param {Object} options - { assignedTo, sort, viewer }
+     * @returns {Promise<Array>} Tasks
+     */
+    async getStaffTasks(staffDepartmentId, staffLat = null, staffLon = null, options = {}) {
+        const rows = await privacyService.protectReporters(
+            await issueRepository.getStaffTasks(staffDepartmentId, staffLat, staffLon, options),
+            options.viewer,
+            REVEAL_CONTEXTS.STAFF_TASKS
+        );
         return rows.map((row) => ({
             id: row.IssueId,
             title: row.IssueType || 'Issue',
@@ -354,10 +1033,17 @@ async mapKeywordsToDepartmentId(description, issueType) {
             departmentName: row.DepartmentName,
             citizenName: row.CitizenName,
             citizenPhone: row.CitizenPhone,
+            anonymous: !!row.IsAnonymous,
+            assignedTo: row.AssignedTo || null,
+            assigneeName: row.AssigneeName || null,
             latitude: row.Latitude,
             longitude: row.Longitude,
             distance: row.Distance ? `${row.Distance.toFixed(1)} km` : 'N/A',
             imageCount: row.ImageCount || 0,
+            reporterCount: row.ReporterCount || 1,
+            upvoteCount: row.UpvoteCount || 0,
+            priority: row.Priority || 'NORMAL',
+            ...slaService.getDeadlines(row),
             createdAt: row.CreatedAt,
         }));
     }
@@ -0,0 +1,228 @@
+const departmentRepository = require('../repositories/departmentRepository');
+
+const GEOMETRY_TYPES = ['Polygon', 'MultiPolygon'];
+
+// Largest jurisdiction accepted, in vertices over all rings (requests are capped at 100kb anyway)
+const MAX_VERTICES = 5000;
+
+// Parsed geometries by department, reused while the stored GeoJSON is unchanged
+const geometryCache = new Map();
+
+const isPosition = (position) => Array.isArray(position)
+    && position.length >= 2
+    && Number.isFinite(position[0]) && Math.abs(position[0]) <= 180
+    && Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+/**
+ * Ray casting: whether the point lies inside a closed ring of [lon, lat] positions
+ */
+const ringContains = (ring, lon, lat) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+// Inside the outer ring and not in any hole
+const polygonContains = (rings, lon, lat) => ringContains(rings[0], lon, lat)
+    && !rings.slice(1).some((hole) => ringContains(hole, lon, lat));
+
+/**
+ * Service Layer - Department Jurisdictions
+ * Each department office can have a jurisdiction area, stored as a GeoJSON Polygon or
+ * MultiPolygon in WGS84 ([longitude, latitude]). Issues are routed to the office whose
+ * area contains the reported location.
+ */
+class JurisdictionService {
+    /**
+     * Validate GeoJSON and reduce it to a bare Polygon or MultiPolygon geometry.
+     * A Feature or a FeatureCollection with a single feature is unwrapped.
+     * @param {Object|string} geoJson - GeoJSON object or text
+     * @returns {Object} { type, coordinates }
+     * @throws {Error} 'Invalid jurisdiction: ...' when it is not a usable area
+     */
+    parseGeometry(geoJson) {
+        let geometry = geoJson;
+        if (typeof geometry === 'string') {
+            try {
+                geometry = JSON.parse(geometry);
+            } catch (error) {
+                throw new Error('Invalid jurisdiction: not valid JSON');
+            }
+        }
+
+        if (geometry?.type === 'FeatureCollection') {
+            if (geometry.features?.length !== 1) throw new Error('Invalid jurisdiction: a FeatureCollection must hold exactly one feature');
+            geometry = geometry.features[0];
+        }
+        if (geometry?.type === 'Feature') geometry = geometry.geometry;
+
+        if (!geometry || !GEOMETRY_TYPES.includes(geometry.type)) {
+            throw new Error('Invalid jurisdiction: geometry must be a GeoJSON Polygon or MultiPolygon');
+        }
+
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        if (!Array.isArray(polygons) || !polygons.length) throw new Error('Invalid jurisdiction: no coordinates');
+
+        let vertices = 0;
+        for (const rings of polygons) {
+            if (!Array.isArray(rings) || !rings.length) throw new Error('Invalid jurisdiction: polygon without rings');
+
+            for (const ring of rings) {
+                if (!Array.isArray(ring) || ring.length < 4) {
+                    throw new Error('Invalid jurisdiction: each ring needs at least 4 positions');
+                }
+                if (!ring.every(isPosition)) {
+                    throw new Error('Invalid jurisdiction: positions must be [longitude, latitude] in degrees');
+                }
+                if (!samePosition(ring[0], ring[ring.length - 1])) {
+                    throw new Error('Invalid jurisdiction: rings must be closed (first and last position equal)');
+                }
+                vertices += ring.length;
+            }
+        }
+        if (vertices > MAX_VERTICES) throw new Error(`Invalid jurisdiction: more than ${MAX_VERTICES} vertices`);
+
+        // Keep only [lon, lat]; altitudes and foreign members are dropped
+        const coordinates = polygons.map((rings) => rings.map((ring) => ring.map(([lon, lat]) => [lon, lat])));
+        return {
+            type: geometry.type,
+            coordinates: geometry.type === 'Polygon' ? coordinates[0] : coordinates,
+        };
+    }
+
+    /**
+     * Prepare a geometry for point lookups (list of polygons plus a bounding box)
+     * @param {Object} geometry - Parsed Polygon or MultiPolygon
+     * @returns {Object} { polygons, bbox: [minLon, minLat, maxLon, maxLat] }
+     */
+    prepare(geometry) {
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        for (const rings of polygons) {
+            for (const [lon, lat] of rings[0]) {
+                bbox[0] = Math.min(bbox[0], lon);
+                bbox[1] = Math.min(bbox[1], lat);
+                bbox[2] = Math.max(bbox[2], lon);
+                bbox[3] = Math.max(bbox[3], lat);
+            }
+        }
+        return { polygons, bbox };
+    }
+
+    /**
+     * Get a department's prepared jurisdiction, or null if it has none or it is unreadable
+     * @param {Object} department - Department row (DepartmentId, JurisdictionGeoJson)
+     * @returns {Object|null}
+     */
+    getArea(department) {
+        if (!department.JurisdictionGeoJson) return null;
+
+        const cached = geometryCache.get(department.DepartmentId);
+        if (cached && cached.source === department.JurisdictionGeoJson) return cached.area;
+
+        let area = null;
+        try {
+            area = this.prepare(this.parseGeometry(department.JurisdictionGeoJson));
+        } catch (error) {
+            console.error(`[Jurisdiction] Ignoring jurisdiction of department ${department.DepartmentId}:`, error.message);
+        }
+
+        geometryCache.set(department.DepartmentId, { source: department.JurisdictionGeoJson, area });
+        return area;
+    }
+
+    /**
+     * Whether a point lies inside a department's jurisdiction
+     * @param {Object} department - Department row
+     * @param {number} latitude - Point latitude
+     * @param {number} longitude - Point longitude
+     * @returns {boolean}
+     */
+    contains(department, latitude, longitude) {
+        const area = this.getArea(department);
+        if (!area) return false;
+
+        const [minLon, minLat, maxLon, maxLat] = area.bbox;
+        if (longitude < minLon || longitude > maxLon || latitude < minLat || latitude > maxLat) return false;
+
+        return area.polygons.some((rings) => polygonContains(rings, longitude, latitude));
+    }
+
+    /**
+     * Departments whose jurisdiction contains a point
+     * @param {Array} departments - Department rows
+     * @param {number} latitude - Point latitude
+     * @param {number} longitude - Point longitude
+     * @returns {Array} Matching department rows
+     */
+    findContaining(departments, latitude, longitude) {
+        return departments.filter((department) => this.contains(department, latitude, longitude));
+    }
+
+    toJurisdiction(department) {
+        return {
+            departmentId: department.DepartmentId,
+            departmentName: department.DepartmentName,
+            name: department.JurisdictionName || null,
+        };
+    }
+
+    async getExistingDepartment(departmentId) {
+        const department = Number.isInteger(departmentId) && departmentId > 0
+            ? await departmentRepository.getById(departmentId)
+            : null;
+        if (!department) throw new Error('Department not found');
+        return department;
+    }
+
+    /**
+     * Get a department's jurisdiction
+     * @param {number} departmentId - Department ID
+     * @returns {Promise<Object>} { departmentId, departmentName, name, geometry, updatedAt }
+     */
+    async getJurisdiction(departmentId) {
+        const department = await this.getExistingDepartment(departmentId);
+        return {
+            ...this.toJurisdiction(department),
+            geometry: department.JurisdictionGeoJson ? JSON.parse(department.JurisdictionGeoJson) : null,
+            updatedAt: department.JurisdictionUpdatedAt || null,
+        };
+    }
+
+    /**
+     * Set or replace a department's jurisdiction
+     * @param {number} departmentId - Department ID
+     * @param {Object} data - { name?, geometry } with GeoJSON geometry
+     * @returns {Promise<Object>} Saved jurisdiction
+     */
+    async setJurisdiction(departmentId, { name, geometry }) {
+        await this.getExistingDepartment(departmentId);
+
+        if (geometry === undefined || geometry === null) throw new Error('Jurisdiction geometry is required');
+        if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > 100)) {
+            throw new Error('Invalid jurisdiction name (max 100 characters)');
+        }
+
+        await departmentRepository.setJurisdiction(departmentId, {
+            name: name?.trim() || null,
+            geoJson: JSON.stringify(this.parseGeometry(geometry)),
+        });
+        return this.getJurisdiction(departmentId);
+    }
+
+    async removeJurisdiction(departmentId) {
+        await this.getExistingDepartment(departmentId);
+        await departmentRepository.setJurisdiction(departmentId, { name: null, geoJson: null });
+        geometryCache.delete(departmentId);
+    }
+}
+
+module.exports = new JurisdictionService();
@@ -0,0 +1,20 @@
+/**
+ * Bengali keyword dictionary
+ * Common words for civic problems, in Bengali script and romanised, with the English
+ * allocation rule term each one stands for.
+ */
+module.exports = {
+    code: 'bn',
+    name: 'Bengali',
+    terms: {
+        'রাস্তা': 'road', 'rasta': 'road',
+        'গর্ত': 'pothole', 'gorto': 'pothole',
+        'আবর্জনা': 'garbage', 'aborjona': 'garbage', 'ময়লা': 'garbage', 'moyla': 'garbage',
+        'নর্দমা': 'drain', 'nordoma': 'drain',
+        'জল': 'water', 'jol': 'water', 'পানি': 'water',
+        'কল': 'tap', 'kol': 'tap',
+        'বিদ্যুৎ': 'electric', 'biddut': 'electric', 'বিদ্যুৎ নেই': 'outage',
+        'আলো': 'light', 'alo': 'light',
+        'খুঁটি': 'pole', 'khuti': 'pole',
+    },
+};
@@ -0,0 +1,48 @@
+/**
+ * Hindi keyword dictionary
+ * Common words for civic problems, in Devanagari and in the usual romanised spellings,
+ * with the English allocation rule term each one stands for.
+ */
+module.exports = {
+    code: 'hi',
+    name: 'Hindi',
+    terms: {
+        // Roads
+        'सड़क': 'road', 'sadak': 'road', 'sarak': 'road',
+        'रास्ता': 'road', 'rasta': 'road',
+        'गली': 'street', 'gali': 'street',
+        'गड्ढा': 'pothole', 'गड्ढे': 'pothole', 'gaddha': 'pothole', 'gadda': 'pothole', 'gadde': 'pothole',
+        'खड्डा': 'pothole', 'khadda': 'pothole',
+        'फुटपाथ': 'footpath',
+        'ब्रेकर': 'speed breaker',
+
+        // Sanitation
+        'कचरा': 'garbage', 'kachra': 'garbage', 'kachara': 'garbage',
+        'कूड़ा': 'garbage', 'kooda': 'garbage', 'kuda': 'garbage', 'kuda karkat': 'garbage',
+        'गंदगी': 'garbage', 'gandagi': 'garbage', 'gandgi': 'garbage',
+        'कूड़ेदान': 'dustbin', 'kudedan': 'dustbin',
+        'सफ़ाई': 'cleaning', 'safai': 'cleaning', 'saphai': 'cleaning',
+        'नाली': 'drain', 'nali': 'drain', 'naali': 'drain',
+        'नाला': 'drain', 'nala': 'drain', 'naala': 'drain',
+        'गटर': 'sewage', 'gutter': 'sewage',
+
+        // Water
+        'पानी': 'water', 'pani': 'water', 'paani': 'water',
+        'जल': 'water', 'jal': 'water',
+        'पानी नहीं': 'no water', 'pani nahi': 'no water', 'paani nahi': 'no water', 'pani nahin': 'no water', 'paani nahin': 'no water',
+        'नल': 'tap', 'nal': 'tap',
+        'पाइप': 'pipeline', 'पाइपलाइन': 'pipeline',
+        'रिसाव': 'leak', 'risav': 'leak', 'risaav': 'leak', 'लीक': 'leak',
+        'सीवर': 'sewer',
+
+        // Electricity
+        'बिजली': 'electric', 'bijli': 'electric', 'bijlee': 'electric',
+        'बिजली नहीं': 'outage', 'bijli nahi': 'outage', 'bijli nahin': 'outage',
+        'बत्ती': 'light', 'batti': 'light', 'बत्ती गुल': 'outage', 'batti gul': 'outage',
+        'रोशनी': 'light', 'roshni': 'light', 'लाइट': 'light',
+        'स्ट्रीट लाइट': 'street light',
+        'खंभा': 'pole', 'khamba': 'pole', 'khambha': 'pole',
+        'तार': 'wire', 'taar': 'wire',
+        'ट्रांसफार्मर': 'transformer', 'ट्रांसफॉर्मर': 'transformer',
+    },
+};
@@ -0,0 +1,42 @@
+const hi = require('./hi');
+const mr = require('./mr');
+const bn = require('./bn');
+
+/**
+ * Keyword dictionary registry
+ * Every dictionary maps words and phrases of one language, in its own script or
+ * romanised, to the English terms used by the allocation rules:
+ *   { code: string, name: string, terms: { [phrase]: englishTerm } }
+ * The dictionaries in use are chosen with KEYWORD_LANGUAGES (comma-separated codes),
+ * default all of them. To add a language, create its module and register it below.
+ */
+const dictionaries = {
+    hi,
+    mr,
+    bn,
+};
+
+// Unknown codes already warned about, so a typo is reported once and not on every report
+const warnedCodes = new Set();
+
+/**
+ * Get the dictionaries in use. Unknown codes in KEYWORD_LANGUAGES are skipped with a warning.
+ * @returns {Array} Dictionaries, in the order of the setting
+ */
+const getDictionaries = () => {
+    const setting = (process.env.KEYWORD_LANGUAGES || '').trim().toLowerCase();
+    if (!setting) return Object.values(dictionaries);
+
+    const codes = setting.split(',').map((code) => code.trim()).filter(Boolean);
+    for (const code of codes) {
+        if (!dictionaries[code] && !warnedCodes.has(code)) {
+            console.warn(`[Languages] Ignoring unknown KEYWORD_LANGUAGES code "${code}"; known: ${Object.keys(dictionaries).join(', ')}`);
+            warnedCodes.add(code);
+        }
+    }
+    return codes.filter((code) => dictionaries[code]).map((code) => dictionaries[code]);
+};
+
+module.exports = {
+    getDictionaries
+};
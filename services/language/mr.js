@@ -0,0 +1,19 @@
+/**
+ * Marathi keyword dictionary
+ * Common words for civic problems, in Devanagari and romanised, with the English
+ * allocation rule term each one stands for. Words shared with Hindi are in hi.js.
+ */
+module.exports = {
+    code: 'mr',
+    name: 'Marathi',
+    terms: {
+        'रस्ता': 'road', 'रस्त्यावर': 'road', 'rastyavar': 'road',
+        'खड्डा': 'pothole', 'खड्डे': 'pothole', 'khadde': 'pothole',
+        'कचऱ्याचा': 'garbage',
+        'गटार': 'drain', 'gatar': 'drain',
+        'पाणी': 'water', 'पाणी नाही': 'no water',
+        'नळ': 'tap',
+        'वीज': 'electric', 'vij': 'electric', 'veej': 'electric',
+        'दिवा': 'light', 'दिवे': 'light', 'diva': 'light',
+    },
+};
@@ -0,0 +1,148 @@
+/**
+ * Basic Indic to Latin transliteration
+ * Devanagari is romanised the way people type Hindi in Latin script ("सड़क" -> "sadak",
+ * "बिजली" -> "bijlii"), including the usual dropping of the inherent 'a' at the end of
+ * words and between syllables. The other major Indic scripts share Devanagari's layout
+ * in Unicode, so they are shifted onto it first. This is for matching, not display.
+ */
+
+const DEVANAGARI_START = 0x0900;
+
+// Script blocks laid out like Devanagari (start of each 128-character block)
+const INDIC_BLOCKS = [
+    0x0980, // Bengali, Assamese
+    0x0A00, // Gurmukhi
+    0x0A80, // Gujarati
+    0x0B00, // Oriya
+    0x0B80, // Tamil
+    0x0C00, // Telugu
+    0x0C80, // Kannada
+    0x0D00, // Malayalam
+];
+
+const CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n', 'ऩ': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ऱ': 'r', 'ल': 'l', 'ळ': 'l', 'ऴ': 'l', 'व': 'v',
+    'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+};
+
+const VOWELS = {
+    'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ii', 'उ': 'u', 'ऊ': 'uu', 'ऋ': 'ri', 'ॠ': 'rii', 'ऌ': 'li',
+    'ऍ': 'e', 'ऎ': 'e', 'ए': 'e', 'ऐ': 'ai', 'ऑ': 'o', 'ऒ': 'o', 'ओ': 'o', 'औ': 'au',
+};
+
+const MATRAS = {
+    'ा': 'aa', 'ि': 'i', 'ी': 'ii', 'ु': 'u', 'ू': 'uu', 'ृ': 'ri', 'ॄ': 'rii',
+    'ॅ': 'e', 'ॆ': 'e', 'े': 'e', 'ै': 'ai', 'ॉ': 'o', 'ॊ': 'o', 'ो': 'o', 'ौ': 'au',
+};
+
+const VIRAMA = '्';
+const NUKTA = '़';
+const NASALS = ['ं', 'ँ'];
+const VISARGA = 'ः';
+const LABIALS = ['p', 'b', 'm'];
+
+/**
+ * Map a character of another Indic script to its Devanagari counterpart
+ */
+const toDevanagari = (char) => {
+    const code = char.codePointAt(0);
+    if (code === 0x0A70) return 'ं';   // Gurmukhi tippi
+    if (code === 0x0A71) return '';    // Gurmukhi addak (doubles the next consonant)
+    if (code === 0x09CE) return 'त्';  // Bengali khanda ta
+
+    for (const start of INDIC_BLOCKS) {
+        if (code >= start && code < start + 0x80) {
+            return String.fromCodePoint(code - start + DEVANAGARI_START);
+        }
+    }
+    return char;
+};
+
+/**
+ * Split a Devanagari word into syllables: { consonant, vowel, inherent, nasal, visarga }
+ */
+const toSyllables = (word) => {
+    const syllables = [];
+    const last = () => syllables[syllables.length - 1];
+
+    for (const char of word) {
+        if (char === NUKTA) continue;
+
+        if (CONSONANTS[char]) {
+            syllables.push({ consonant: CONSONANTS[char], vowel: 'a', inherent: true });
+        } else if (VOWELS[char]) {
+            syllables.push({ consonant: '', vowel: VOWELS[char], inherent: false });
+        } else if (MATRAS[char] && last()) {
+            Object.assign(last(), { vowel: MATRAS[char], inherent: false });
+        } else if (char === VIRAMA && last()) {
+            Object.assign(last(), { vowel: '', inherent: false });
+        } else if (NASALS.includes(char) && last()) {
+            last().nasal = true;
+        } else if (char === VISARGA && last()) {
+            last().visarga = true;
+        } else if (/[०-९]/.test(char)) {
+            syllables.push({ consonant: String(char.codePointAt(0) - 0x0966), vowel: '', inherent: false });
+        }
+    }
+    return syllables;
+};
+
+/**
+ * Drop the inherent 'a' where Hindi does not pronounce it: at the end of a word, and in
+ * a consonant between two vowels (V C a C V), unless that would make a three-consonant cluster
+ */
+const deleteSchwas = (syllables) => {
+    const n = syllables.length;
+    if (n > 1 && syllables[n - 1].inherent && !syllables[n - 1].nasal) {
+        syllables[n - 1].vowel = '';
+    }
+
+    for (let i = n - 2; i >= 1; i--) {
+        const previous = syllables[i - 1];
+        const current = syllables[i];
+        const next = syllables[i + 1];
+
+        // Only between two vowels: a half letter on either side, or an 'a' already dropped
+        // on the right, would leave three consonants together
+        const vowelBefore = !!previous.vowel && !previous.nasal;
+        const vowelAfter = !!next.consonant && !!next.vowel;
+
+        if (current.inherent && !current.nasal && current.consonant && vowelBefore && vowelAfter) {
+            current.vowel = '';
+        }
+    }
+    return syllables;
+};
+
+const renderSyllables = (syllables) => syllables.map((syllable, i) => {
+    let text = syllable.consonant + syllable.vowel;
+    if (syllable.nasal) {
+        const next = syllables[i + 1];
+        // A nasal at the end of a word only colours the vowel
+        if (next) text += LABIALS.includes(next.consonant[0]) ? 'm' : 'n';
+    }
+    if (syllable.visarga) text += 'h';
+    return text;
+}).join('');
+
+const DEVANAGARI_WORD = /[ऀ-ॿ]+/g;
+
+/**
+ * Romanise the Indic script in a text; everything else is left as it is
+ * @param {string} text - Any text
+ * @returns {string}
+ */
+const transliterate = (text) => {
+    // NFC splits letters with nukta (ड़, ज़) into letter + nukta; the nukta is then ignored
+    const devanagari = Array.from(text || '', toDevanagari).join('').normalize('NFC');
+    return devanagari.replace(DEVANAGARI_WORD, (word) => renderSyllables(deleteSchwas(toSyllables(word))));
+};
+
+module.exports = {
+    transliterate
+};
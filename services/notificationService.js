@@ -0,0 +1,133 @@
+const notificationRepository = require('../repositories/notificationRepository');
+const pushService = require('./pushService');
+const issueAccessService = require('./issueAccessService');
+
+// Notification types
+const NOTIFICATION_TYPES = {
+    STATUS_CHANGED: 'STATUS_CHANGED',
+    ISSUE_ASSIGNED: 'ISSUE_ASSIGNED',
+    NEW_COMMENT: 'NEW_COMMENT',
+    SLA_ESCALATION: 'SLA_ESCALATION',
+};
+
+// Map DB row to API shape
+const toNotification = (row) => ({
+    notificationId: row.NotificationId,
+    type: row.Type,
+    title: row.Title,
+    body: row.Body,
+    issueId: row.IssueId,
+    isRead: !!row.IsRead,
+    createdAt: row.CreatedAt,
+    readAt: row.ReadAt || null,
+});
+
+/**
+ * Service Layer - Notification Business Logic
+ * Creates per-user notifications for issue events and serves the inbox
+ */
+class NotificationService {
+    /**
+     * Create a notification for each user (duplicates and empty ids are dropped)
+     * and push it to their registered devices in the background.
+     * @param {Array<number>} userIds - Recipients
+     * @param {Object} notification - { type, title, body?, issueId? }
+     * @returns {Promise<Array>} Created notifications
+     */
+    async notifyUsers(userIds, notification) {
+        const recipients = [...new Set(userIds.filter(Boolean))];
+        if (!recipients.length) return [];
+
+        const created = await notificationRepository.createNotifications(recipients, notification);
+
+        // Push delivery is best effort and must not hold up the request
+        pushService.dispatch(recipients, notification).catch((error) => {
+            console.error(`[Push] Failed to dispatch ${notification.type}:`, error.message);
+        });
+
+        return created;
+    }
+
+    /**
+     * Fan out an issue event to the reporter and followers (and the assignee if asked).
+     * The user who caused the event is not notified about it.
+     * Events carrying what only participants may see (comments, status notes) pass a
+     * `public` version; followers with just the public view of the issue (upvoters,
+     * duplicate reporters) get that one instead.
+     * @param {string} issueId - Issue ID
+     * @param {Object} event - { type, title, body?, public?: { title, body? }, actorId?, includeAssignee? }
+     * @returns {Promise<Array>} Created notifications
+     */
+    async notifyIssueEvent(issueId, { type, title, body, public: publicVersion = null, actorId = null, includeAssignee = false }) {
+        const audience = await notificationRepository.getIssueAudience(issueId);
+        if (!audience) return [];
+
+        const issue = { CitizenId: audience.citizenId, DepartmentId: audience.departmentId };
+        const participants = [audience.citizenId];
+        const others = [];
+        for (const follower of audience.followers) {
+            if (!publicVersion || issueAccessService.isParticipant(follower, issue)) participants.push(follower.UserId);
+            else others.push(follower.UserId);
+        }
+        if (includeAssignee) participants.push(audience.assignedTo);
+
+        const notActor = (userId) => userId !== actorId;
+        const created = await this.notifyUsers(participants.filter(notActor), { type, title, body, issueId });
+        if (!publicVersion) return created;
+
+        // Someone both in the participants and the followers already has the full version
+        const publicRecipients = others.filter((userId) => notActor(userId) && !participants.includes(userId));
+        return [
+            ...created,
+            ...(await this.notifyUsers(publicRecipients, { type, title: publicVersion.title, body: publicVersion.body || null, issueId })),
+        ];
+    }
+
+    /**
+     * Same as notifyIssueEvent, but never throws: a failed notification must not
+     * fail the action that triggered it.
+     */
+    async safeNotifyIssueEvent(issueId, event) {
+        try {
+            return await this.notifyIssueEvent(issueId, event);
+        } catch (error) {
+            console.error(`[Notifications] Failed to notify ${event.type} for issue ${issueId}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Get a user's notifications with unread count
+     * @param {number} userId - User ID
+     * @param {Object} options - { unreadOnly, limit, offset }
+     * @returns {Promise<Object>} { notifications, unreadCount }
+     */
+    async getNotifications(userId, options = {}) {
+        const [rows, unreadCount] = await Promise.all([
+            notificationRepository.getUserNotifications(userId, options),
+            notificationRepository.getUnreadCount(userId),
+        ]);
+
+        return {
+            notifications: rows.map(toNotification),
+            unreadCount,
+        };
+    }
+
+    async markAsRead(notificationId, userId) {
+        if (!Number.isInteger(notificationId)) throw new Error('Invalid notification id');
+
+        const row = await notificationRepository.markAsRead(notificationId, userId);
+        if (!row) throw new Error('Notification not found');
+
+        return toNotification(row);
+    }
+
+    async markAllAsRead(userId) {
+        const updated = await notificationRepository.markAllAsRead(userId);
+        return { updated };
+    }
+}
+
+module.exports = new NotificationService();
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const otpRepository = require('../repositories/otpRepository');
+const { getSmsProvider } = require('./sms');
+
+// What an OTP can be used for; a code issued for one purpose never verifies another
+const OTP_PURPOSES = {
+    SIGNUP: 'SIGNUP',
+    PASSWORD_RESET: 'PASSWORD_RESET',
+};
+
+const OTP_LENGTH = 6;
+
+/**
+ * Service Layer - One-Time Passwords
+ * Issues hashed, expiring SMS codes and verifies them with an attempt limit
+ */
+class OtpService {
+    getSettings() {
+        return {
+            ttlMinutes: parseInt(process.env.OTP_TTL_MINUTES) || 5,
+            maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+            resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+            maxPerHour: parseInt(process.env.OTP_MAX_PER_HOUR) || 5,
+        };
+    }
+
+    generateCode() {
+        return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+    }
+
+    /**
+     * Generate a code, store its hash and send it by SMS
+     * @param {string} phoneNumber - Recipient
+     * @param {string} purpose - One of OTP_PURPOSES
+     * @returns {Promise<Object>} { expiresAt, resendAfterSeconds }
+     * @throws {Error} If codes are requested too often (with retryAfterSeconds)
+     */
+    async issueOtp(phoneNumber, purpose) {
+        const settings = this.getSettings();
+
+        const stats = await otpRepository.getSendStats(phoneNumber, new Date(Date.now() - 60 * 60 * 1000));
+        if (stats.SentCount >= settings.maxPerHour) {
+            // The hourly count drops once the oldest code in the window is an hour old
+            const retryAfterSeconds = Math.max(Math.ceil((new Date(stats.FirstSentAt).getTime() + 60 * 60 * 1000 - Date.now()) / 1000), 1);
+            throw Object.assign(new Error('Too many verification codes requested. Please try again later'), { retryAfterSeconds });
+        }
+        if (stats.LastSentAt) {
+            const waitSeconds = Math.ceil(settings.resendCooldownSeconds - (Date.now() - new Date(stats.LastSentAt).getTime()) / 1000);
+            if (waitSeconds > 0) {
+                throw Object.assign(new Error(`Please wait ${waitSeconds} seconds before requesting a new code`), { retryAfterSeconds: waitSeconds });
+            }
+        }
+
+        const code = this.generateCode();
+        const otp = await otpRepository.createOtp({
+            phoneNumber,
+            purpose,
+            codeHash: await bcrypt.hash(code, 10),
+            expiresAt: new Date(Date.now() + settings.ttlMinutes * 60 * 1000),
+        });
+
+        await getSmsProvider().send(
+            phoneNumber,
+            `Your NigraniX verification code is ${code}. It expires in ${settings.ttlMinutes} minutes.`
+        );
+
+        return {
+            expiresAt: otp.ExpiresAt,
+            resendAfterSeconds: settings.resendCooldownSeconds,
+        };
+    }
+
+    /**
+     * Check a code. A correct code is consumed; a wrong one counts as an attempt.
+     * @param {string} phoneNumber - Phone the code was sent to
+     * @param {string} purpose - One of OTP_PURPOSES
+     * @param {string} code - Code entered by the user
+     * @returns {Promise<boolean>} True when verified
+     * @throws {Error} If the code is wrong, expired or out of attempts
+     */
+    async verifyOtp(phoneNumber, purpose, code) {
+        if (!code) throw new Error('Verification code is required');
+
+        const otp = await otpRepository.findActiveOtp(phoneNumber, purpose);
+        if (!otp) throw new Error('Invalid or expired verification code');
+
+        const { maxAttempts } = this.getSettings();
+        if (otp.Attempts >= maxAttempts) {
+            throw new Error('Too many failed attempts. Please request a new code');
+        }
+
+        const matches = await bcrypt.compare(String(code), otp.CodeHash);
+        if (!matches) {
+            const attempts = await otpRepository.incrementAttempts(otp.OtpId);
+            const remaining = Math.max(maxAttempts - attempts, 0);
+            throw new Error(`Invalid or expired verification code (${remaining} attempts left)`);
+        }
+
+        // Lost a race with a concurrent verification of the same code
+        const consumed = await otpRepository.consumeOtp(otp.OtpId);
+        if (!consumed) throw new Error('Invalid or expired verification code');
+
+        return true;
+    }
+}
+
+module.exports = new OtpService();
+module.exports.OTP_PURPOSES = OTP_PURPOSES;
@@ -0,0 +1,93 @@
+// Permissions checked by routes and services
+const PERMISSIONS = {
+    ISSUE_REPORT: 'issue.report',      // report, follow and upvote issues
+    ISSUE_VIEW: 'issue.view',          // list department issues and staff tasks
+    ISSUE_WORK: 'issue.work',          // claim, attend and progress issues
+    ISSUE_NOTE: 'issue.note',          // read and write internal staff notes
+    ISSUE_ASSIGN: 'issue.assign',      // assign or reassign issues to staff
+    ISSUE_CLOSE: 'issue.close',        // resolve issues and reopen resolved ones
+    USER_MANAGE: 'user.manage',        // accounts, invitations, sessions of others
+    DEPT_MANAGE: 'dept.manage',        // department settings such as SLA targets
+    ALLOCATION_MANAGE: 'allocation.manage', // rules that route new issues to departments
+    ISSUE_TRIAGE: 'issue.triage',      // route issues that automatic allocation was unsure about
+};
+
+// How far a role's permissions reach
+const SCOPES = {
+    OWN: 'own',                        // only the user's own resources
+    DEPARTMENT: 'department',          // resources of the user's department
+    GLOBAL: 'global',                  // everything
+};
+
+// Role -> permissions. A department-scoped role only holds its permissions
+// for resources of the department the user belongs to.
+const ROLE_DEFINITIONS = {
+    CITIZEN: {
+        scope: SCOPES.OWN,
+        permissions: [PERMISSIONS.ISSUE_REPORT],
+    },
+    STAFF: {
+        scope: SCOPES.DEPARTMENT,
+        permissions: [PERMISSIONS.ISSUE_VIEW, PERMISSIONS.ISSUE_WORK, PERMISSIONS.ISSUE_NOTE],
+    },
+    DEPT_HEAD: {
+        scope: SCOPES.DEPARTMENT,
+        permissions: [
+            PERMISSIONS.ISSUE_VIEW, PERMISSIONS.ISSUE_WORK, PERMISSIONS.ISSUE_NOTE,
+            PERMISSIONS.ISSUE_ASSIGN, PERMISSIONS.ISSUE_CLOSE, PERMISSIONS.DEPT_MANAGE,
+        ],
+    },
+    ADMIN: {
+        scope: SCOPES.GLOBAL,
+        permissions: Object.values(PERMISSIONS),
+    },
+};
+
+/**
+ * Service Layer - Permissions
+ * Role based access control: roles map to permissions, optionally scoped to a department
+ */
+class PermissionService {
+    get roles() {
+        return Object.keys(ROLE_DEFINITIONS);
+    }
+
+    isValidRole(role) {
+        return !!ROLE_DEFINITIONS[String(role).toUpperCase()];
+    }
+
+    /**
+     * Whether the role is bound to a department (its users need a DepartmentId)
+     * @param {string} role - Role name
+     * @returns {boolean}
+     */
+    isDepartmentRole(role) {
+        return ROLE_DEFINITIONS[role]?.scope === SCOPES.DEPARTMENT;
+    }
+
+    getPermissions(role) {
+        return ROLE_DEFINITIONS[role]?.permissions || [];
+    }
+
+    /**
+     * Check a permission
+     * @param {Object} user - { role, departmentId } (DB rows are accepted too)
+     * @param {string} permission - One of PERMISSIONS
+     * @param {number} [departmentId] - Department of the resource; omit for a role-level check
+     * @returns {boolean}
+     */
+    can(user, permission, departmentId) {
+        const role = user?.role || user?.Role;
+        const definition = ROLE_DEFINITIONS[role];
+        if (!definition || !definition.permissions.includes(permission)) return false;
+
+        if (definition.scope !== SCOPES.DEPARTMENT || departmentId === undefined) return true;
+
+        const userDepartmentId = user.departmentId !== undefined ? user.departmentId : user.DepartmentId;
+        return !!userDepartmentId && userDepartmentId === departmentId;
+    }
+}
+
+module.exports = new PermissionService();
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,194 @@
+const contactRevealRepository = require('../repositories/contactRevealRepository');
+const issueAccessService = require('./issueAccessService');
+const { ISSUE_ID_PATTERN } = issueAccessService;
+
+// Who gets to see a reporter's phone number unmasked (CONTACT_REVEAL_POLICY)
+const CONTACT_REVEAL_POLICIES = {
+    ASSIGNEE: 'assignee',              // only the staff member assigned to the issue, while it is open
+    DEPARTMENT: 'department',          // any staff of the issue's department, and admins
+    NEVER: 'never',
+};
+
+// Where a phone number was revealed, for the reveal log
+const REVEAL_CONTEXTS = {
+    ISSUE_DETAILS: 'ISSUE_DETAILS',
+    STAFF_TASKS: 'STAFF_TASKS',
+};
+
+const ANONYMOUS_NAME = 'Anonymous reporter';
+
+// Map reveal log row to API shape
+const toReveal = (row) => ({
+    revealId: row.RevealId,
+    issueId: row.IssueId,
+    context: row.Context,
+    viewer: { userId: row.ViewerId, fullName: row.ViewerName, role: row.ViewerRole },
+    citizen: { userId: row.CitizenId, fullName: row.CitizenName },
+    revealedAt: row.RevealedAt,
+});
+
+// Viewers come as req.user ({ userId }) or user rows ({ UserId })
+const userIdOf = (user) => (user ? (user.userId !== undefined ? user.userId : user.UserId) : null);
+
+const parseUserId = (value, label) => {
+    const id = parseInt(value);
+    if (!Number.isInteger(id) || id <= 0) throw new Error(`Invalid ${label}`);
+    return id;
+};
+
+/**
+ * Service Layer - Reporter Privacy
+ * Masks citizen contact details on issues shown to staff, hides anonymous reporters,
+ * and logs every time a phone number is shown unmasked
+ */
+class PrivacyService {
+    getSettings() {
+        const policy = (process.env.CONTACT_REVEAL_POLICY || CONTACT_REVEAL_POLICIES.ASSIGNEE).toLowerCase();
+        const visibleDigits = parseInt(process.env.PHONE_MASK_VISIBLE_DIGITS);
+
+        return {
+            revealPolicy: Object.values(CONTACT_REVEAL_POLICIES).includes(policy) ? policy : CONTACT_REVEAL_POLICIES.ASSIGNEE,
+            visibleDigits: Number.isInteger(visibleDigits) && visibleDigits >= 0 ? visibleDigits : 2,
+        };
+    }
+
+    /**
+     * Mask a phone number, keeping only its last digits
+     * @param {string} phoneNumber - Phone number
+     * @param {number} visibleDigits - How many trailing digits stay visible
+     * @returns {string|null} e.g. '********90'
+     */
+    maskPhone(phoneNumber, visibleDigits = this.getSettings().visibleDigits) {
+        if (!phoneNumber) return null;
+
+        const visible = visibleDigits > 0 ? phoneNumber.slice(-visibleDigits) : '';
+        return '*'.repeat(phoneNumber.length - visible.length) + visible;
+    }
+
+    /**
+     * Whether a viewer may see the reporter's phone number of an issue unmasked
+     * @param {Object} viewer - req.user or user row
+     * @param {Object} row - Issue row (CitizenId, DepartmentId, AssignedTo, Status, IsAnonymous)
+     * @param {string} policy - One of CONTACT_REVEAL_POLICIES
+     * @returns {boolean}
+     */
+    canRevealPhone(viewer, row, policy) {
+        if (!viewer || row.IsAnonymous) return false;
+
+        switch (policy) {
+            case CONTACT_REVEAL_POLICIES.DEPARTMENT:
+                return issueAccessService.isDepartment(viewer, row);
+            case CONTACT_REVEAL_POLICIES.ASSIGNEE:
+                return !!row.AssignedTo && row.AssignedTo === userIdOf(viewer) && row.Status !== 'RESOLVED';
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Apply reporter privacy to issue rows before they are mapped for a viewer.
+     * Reporters always see their own details. Anonymous reporters are hidden; other
+     * phone numbers are masked unless the reveal policy allows them, and every
+     * unmasked number is logged. If the log cannot be written the numbers stay masked.
+     * @param {Array} rows - Issue rows (CitizenId, CitizenName, CitizenPhone?, ...)
+     * @param {Object} viewer - req.user or user row
+     * @param {string} [context] - One of REVEAL_CONTEXTS; needed when the rows include phone numbers
+     * @returns {Promise<Array>} Rows safe to show to the viewer
+     */
+    async protectReporters(rows, viewer, context) {
+        const settings = this.getSettings();
+        const viewerId = userIdOf(viewer);
+        const reveals = [];
+
+        const protectedRows = rows.map((row) => {
+            if (viewerId && row.CitizenId === viewerId) return row;
+
+            if (row.IsAnonymous) {
+                return { ...row, CitizenId: null, CitizenName: ANONYMOUS_NAME, CitizenPhone: null };
+            }
+
+            if (!row.CitizenPhone) return row;
+
+            if (this.canRevealPhone(viewer, row, settings.revealPolicy)) {
+                reveals.push({ issueId: row.IssueId, citizenId: row.CitizenId });
+                return row;
+            }
+
+            return { ...row, CitizenPhone: this.maskPhone(row.CitizenPhone, settings.visibleDigits) };
+        });
+
+        if (!reveals.length) return protectedRows;
+
+        try {
+            await contactRevealRepository.logReveals(viewerId, reveals, context);
+            return protectedRows;
+        } catch (error) {
+            console.error('Failed to log contact reveal, masking instead:', error.message);
+            return protectedRows.map((row) => (
+                reveals.some((reveal) => reveal.issueId === row.IssueId)
+                    ? { ...row, CitizenPhone: this.maskPhone(row.CitizenPhone, settings.visibleDigits) }
+                    : row
+            ));
+        }
+    }
+
+    /**
+     * Hide an anonymous reporter's name on the comments of their issue
+     * @param {Array} comments - Comment rows
+     * @param {Object} issue - Issue row (CitizenId, IsAnonymous)
+     * @param {Object} viewer - req.user or user row
+     * @returns {Array} Comment rows safe to show to the viewer
+     */
+    protectCommentAuthors(comments, issue, viewer) {
+        const viewerId = userIdOf(viewer);
+        if (!issue.IsAnonymous || issue.CitizenId === viewerId) return comments;
+
+        return comments.map((comment) => (
+            comment.AuthorId === issue.CitizenId
+                ? { ...comment, AuthorId: null, AuthorName: ANONYMOUS_NAME }
+                : comment
+        ));
+    }
+
+    /**
+     * Hide an anonymous reporter on the status history of their issue
+     * @param {Array} history - Status history rows
+     * @param {Object} issue - Issue row (CitizenId, IsAnonymous)
+     * @param {Object} viewer - req.user or user row
+     * @returns {Array} History rows safe to show to the viewer
+     */
+    protectTimeline(history, issue, viewer) {
+        const viewerId = userIdOf(viewer);
+        if (!issue.IsAnonymous || issue.CitizenId === viewerId) return history;
+
+        return history.map((entry) => (
+            entry.ChangedBy === issue.CitizenId
+                ? { ...entry, ChangedBy: null, ChangedByName: null, ChangedByRole: null }
+                : entry
+        ));
+    }
+
+    /**
+     * Get the contact reveal log, newest first
+     * @param {Object} filters - { viewerId?, citizenId?, issueId?, limit?, offset? }
+     * @returns {Promise<Array>} Reveals
+     */
+    async getRevealLog({ viewerId, citizenId, issueId, limit = 50, offset = 0 } = {}) {
+        if (issueId && !ISSUE_ID_PATTERN.test(issueId)) {
+            throw new Error('Invalid issue id');
+        }
+
+        const rows = await contactRevealRepository.getReveals({
+            viewerId: viewerId ? parseUserId(viewerId, 'viewer id') : null,
+            citizenId: citizenId ? parseUserId(citizenId, 'citizen id') : null,
+            issueId: issueId || null,
+            limit,
+            offset
+        });
+        return rows.map(toReveal);
+    }
+}
+
+module.exports = new PrivacyService();
+module.exports.CONTACT_REVEAL_POLICIES = CONTACT_REVEAL_POLICIES;
+module.exports.REVEAL_CONTEXTS = REVEAL_CONTEXTS;
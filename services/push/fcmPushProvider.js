@@ -0,0 +1,110 @@
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const MESSAGING_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+// FCM error codes meaning the token will never work again
+const DEAD_TOKEN_CODES = ['UNREGISTERED', 'INVALID_ARGUMENT'];
+
+/**
+ * Push Provider - Firebase Cloud Messaging (HTTP v1 API)
+ * Authenticates with a service account (FCM_SERVICE_ACCOUNT_FILE) and sends
+ * one request per device token.
+ */
+class FcmPushProvider {
+    constructor(serviceAccountFile = process.env.FCM_SERVICE_ACCOUNT_FILE) {
+        if (!serviceAccountFile) {
+            throw new Error('FCM_SERVICE_ACCOUNT_FILE is required for the fcm push provider');
+        }
+
+        this.name = 'fcm';
+        this.serviceAccount = JSON.parse(fs.readFileSync(serviceAccountFile, 'utf8'));
+        this.projectId = process.env.FCM_PROJECT_ID || this.serviceAccount.project_id;
+        this.accessToken = null;
+        this.accessTokenExpiresAt = 0;
+    }
+
+    /**
+     * Get an OAuth access token, reusing the cached one until shortly before it expires
+     * @returns {Promise<string>} Access token
+     */
+    async getAccessToken() {
+        if (this.accessToken && Date.now() < this.accessTokenExpiresAt - 60 * 1000) {
+            return this.accessToken;
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const assertion = jwt.sign(
+            { iss: this.serviceAccount.client_email, scope: MESSAGING_SCOPE, aud: TOKEN_URL, iat: now, exp: now + 3600 },
+            this.serviceAccount.private_key,
+            { algorithm: 'RS256' }
+        );
+
+        const response = await fetch(TOKEN_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+                assertion
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`FCM authentication failed with status ${response.status}`);
+        }
+
+        const data = await response.json();
+        this.accessToken = data.access_token;
+        this.accessTokenExpiresAt = Date.now() + data.expires_in * 1000;
+        return this.accessToken;
+    }
+
+    /**
+     * @param {Array<Object>} messages - [{ token, platform, title, body, data }]
+     * @returns {Promise<Array<Object>>} [{ token, success, invalidToken, error? }] in the same order
+     */
+    async send(messages) {
+        const accessToken = await this.getAccessToken();
+        const url = `https://fcm.googleapis.com/v1/projects/${this.projectId}/messages:send`;
+
+        return Promise.all(messages.map(async (message) => {
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        message: {
+                            token: message.token,
+                            notification: { title: message.title, body: message.body || '' },
+                            // FCM data values must be strings
+                            data: Object.fromEntries(
+                                Object.entries(message.data || {}).map(([key, value]) => [key, String(value)])
+                            )
+                        }
+                    })
+                });
+
+                if (response.ok) return { token: message.token, success: true, invalidToken: false };
+
+                const body = await response.json().catch(() => ({}));
+                const errorCode = (body.error?.details || []).map((d) => d.errorCode).find(Boolean)
+                    || body.error?.status;
+
+                return {
+                    token: message.token,
+                    success: false,
+                    invalidToken: DEAD_TOKEN_CODES.includes(errorCode),
+                    error: errorCode || `HTTP ${response.status}`
+                };
+            } catch (error) {
+                return { token: message.token, success: false, invalidToken: false, error: error.message };
+            }
+        }));
+    }
+}
+
+module.exports = FcmPushProvider;
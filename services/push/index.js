@@ -0,0 +1,39 @@
+const LocalPushProvider = require('./localPushProvider');
+const FcmPushProvider = require('./fcmPushProvider');
+
+/**
+ * Push provider registry
+ * Every provider implements:
+ *   send(messages: [{ token, platform, title, body, data }])
+ *     => Promise<[{ token, success, invalidToken, error? }]>
+ * The provider is chosen with PUSH_PROVIDER (local | fcm), default local.
+ */
+const providers = {
+    local: LocalPushProvider,
+    fcm: FcmPushProvider,
+};
+
+let instance = null;
+
+const getPushProvider = () => {
+    if (!instance) {
+        const name = (process.env.PUSH_PROVIDER || 'local').toLowerCase();
+        const Provider = providers[name];
+        if (!Provider) throw new Error(`Unknown push provider: ${name}`);
+        instance = new Provider();
+    }
+    return instance;
+};
+
+/**
+ * Replace the active provider (e.g. a stub in tests)
+ * @param {Object} provider - Object implementing send()
+ */
+const setPushProvider = (provider) => {
+    instance = provider;
+};
+
+module.exports = {
+    getPushProvider,
+    setPushProvider
+};
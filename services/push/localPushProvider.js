@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Push Provider - Local
+ * Development/test provider: writes each push to the console and appends it
+ * as a JSON line to a log file instead of delivering it.
+ * Tokens starting with "invalid" are reported as dead, so pruning can be exercised.
+ */
+class LocalPushProvider {
+    constructor(logFile = process.env.PUSH_LOG_FILE || path.join(__dirname, '../../logs/push.log')) {
+        this.name = 'local';
+        this.logFile = logFile;
+    }
+
+    /**
+     * @param {Array<Object>} messages - [{ token, platform, title, body, data }]
+     * @returns {Promise<Array<Object>>} [{ token, success, invalidToken }] in the same order
+     */
+    async send(messages) {
+        await fs.promises.mkdir(path.dirname(this.logFile), { recursive: true });
+
+        const lines = messages.map((message) => JSON.stringify({ sentAt: new Date().toISOString(), ...message }));
+        await fs.promises.appendFile(this.logFile, lines.join('\n') + '\n');
+
+        return messages.map((message) => {
+            const invalidToken = message.token.startsWith('invalid');
+            console.log(`[Push:local] ${invalidToken ? 'REJECTED' : 'sent'} → ${message.platform} ${message.token.slice(0, 12)}…: ${message.title}`);
+            return { token: message.token, success: !invalidToken, invalidToken };
+        });
+    }
+}
+
+module.exports = LocalPushProvider;
@@ -0,0 +1,73 @@
+const deviceRepository = require('../repositories/deviceRepository');
+const { getPushProvider } = require('./push');
+
+const PLATFORMS = ['ANDROID', 'IOS', 'WEB'];
+
+/**
+ * Service Layer - Push Notifications
+ * Manages device registrations and delivers pushes through the configured provider
+ */
+class PushService {
+    /**
+     * Register (or refresh) a push token for a user
+     * @param {number} userId - Owner
+     * @param {Object} device - { token, platform }
+     * @returns {Promise<Object>} Registered device
+     */
+    async registerDevice(userId, { token, platform }) {
+        if (!token || !platform) throw new Error('Push token and platform are required');
+        if (typeof token !== 'string' || token.length > 512) throw new Error('Invalid push token');
+
+        const normalizedPlatform = String(platform).toUpperCase();
+        if (!PLATFORMS.includes(normalizedPlatform)) {
+            throw new Error(`Invalid platform. Must be ${PLATFORMS.join(', ')}`);
+        }
+
+        const row = await deviceRepository.upsertDevice({ userId, platform: normalizedPlatform, pushToken: token });
+        return {
+            deviceId: row.DeviceId,
+            platform: row.Platform,
+            createdAt: row.CreatedAt,
+            lastSeenAt: row.LastSeenAt,
+        };
+    }
+
+    async unregisterDevice(userId, token) {
+        if (!token) throw new Error('Push token is required');
+
+        const removed = await deviceRepository.deleteDevice(userId, token);
+        if (!removed) throw new Error('Device not found');
+        return { removed };
+    }
+
+    /**
+     * Push a notification to every registered device of the given users.
+     * Tokens the provider reports as dead are removed.
+     * @param {Array<number>} userIds - Recipients
+     * @param {Object} notification - { type, title, body, issueId }
+     * @returns {Promise<Object>} { sent, failed, pruned }
+     */
+    async dispatch(userIds, { type, title, body, issueId }) {
+        const devices = await deviceRepository.getDevicesForUsers(userIds);
+        if (!devices.length) return { sent: 0, failed: 0, pruned: 0 };
+
+        const results = await getPushProvider().send(devices.map((device) => ({
+            token: device.PushToken,
+            platform: device.Platform,
+            title,
+            body,
+            data: { type, ...(issueId ? { issueId } : {}) },
+        })));
+
+        const deadTokens = results.filter((r) => r.invalidToken).map((r) => r.token);
+        const pruned = await deviceRepository.deleteTokens(deadTokens);
+
+        return {
+            sent: results.filter((r) => r.success).length,
+            failed: results.filter((r) => !r.success).length,
+            pruned,
+        };
+    }
+}
+
+module.exports = new PushService();
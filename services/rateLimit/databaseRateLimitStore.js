@@ -0,0 +1,57 @@
+const rateLimitRepository = require('../../repositories/rateLimitRepository');
+
+/**
+ * Rate Limit Store - Database
+ * Keeps counters in the Rate_Limit_Counters table, so every instance of the API
+ * shares them. Needs add_rate_limits.sql.
+ */
+class DatabaseRateLimitStore {
+    constructor({ pruneIntervalMs = 10 * 60 * 1000 } = {}) {
+        this.name = 'database';
+        this.pruneIntervalMs = pruneIntervalMs;
+        this.lastPrunedAt = Date.now();
+    }
+
+    // Delete expired counters now and then; a failure here never blocks a request
+    pruneExpired(now) {
+        if (now - this.lastPrunedAt < this.pruneIntervalMs) return;
+        this.lastPrunedAt = now;
+
+        rateLimitRepository.deleteExpired(new Date(now)).catch((error) => {
+            console.error('[RateLimit] Failed to prune counters:', error.message);
+        });
+    }
+
+    /**
+     * Count a hit. Starts a new window when the key has none or it has ended.
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Window length for a new counter
+     * @returns {Promise<Object>} { hits, resetAt }
+     */
+    async increment(key, windowMs) {
+        const now = Date.now();
+        this.pruneExpired(now);
+
+        const row = await rateLimitRepository.increment(key, new Date(now), new Date(now + windowMs));
+        return { hits: row.Hits, resetAt: new Date(row.ResetAt) };
+    }
+
+    /**
+     * @param {string} key - Counter key
+     * @returns {Promise<Object|null>} { hits, resetAt }, or null if there is no live counter
+     */
+    async get(key) {
+        const row = await rateLimitRepository.find(key, new Date());
+        return row ? { hits: row.Hits, resetAt: new Date(row.ResetAt) } : null;
+    }
+
+    async set(key, hits, resetAt) {
+        await rateLimitRepository.upsert(key, hits, resetAt);
+    }
+
+    async delete(key) {
+        await rateLimitRepository.delete(key);
+    }
+}
+
+module.exports = DatabaseRateLimitStore;
@@ -0,0 +1,43 @@
+const MemoryRateLimitStore = require('./memoryRateLimitStore');
+const DatabaseRateLimitStore = require('./databaseRateLimitStore');
+
+/**
+ * Rate limit store registry
+ * Every store implements:
+ *   increment(key: string, windowMs: number) => Promise<{ hits, resetAt }>
+ *   get(key: string) => Promise<{ hits, resetAt } | null>
+ *   set(key: string, hits: number, resetAt: Date) => Promise<void>
+ *   delete(key: string) => Promise<void>
+ * where an expired counter behaves as if it did not exist.
+ * The store is chosen with RATE_LIMIT_STORE (memory | database), default memory.
+ * Use database when more than one instance of the API runs.
+ */
+const stores = {
+    memory: MemoryRateLimitStore,
+    database: DatabaseRateLimitStore,
+};
+
+let instance = null;
+
+const getRateLimitStore = () => {
+    if (!instance) {
+        const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+        const Store = stores[name];
+        if (!Store) throw new Error(`Unknown rate limit store: ${name}`);
+        instance = new Store();
+    }
+    return instance;
+};
+
+/**
+ * Replace the active store (e.g. a stub in tests)
+ * @param {Object} store - Object implementing increment(), get(), set() and delete()
+ */
+const setRateLimitStore = (store) => {
+    instance = store;
+};
+
+module.exports = {
+    getRateLimitStore,
+    setRateLimitStore
+};
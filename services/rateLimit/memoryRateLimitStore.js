@@ -0,0 +1,64 @@
+/**
+ * Rate Limit Store - Memory
+ * Keeps counters in this process. Fine for a single instance; when several instances
+ * run behind a load balancer each one counts on its own, so use the database store.
+ */
+class MemoryRateLimitStore {
+    constructor({ pruneIntervalMs = 60 * 1000 } = {}) {
+        this.name = 'memory';
+        this.counters = new Map();
+        this.pruneIntervalMs = pruneIntervalMs;
+        this.lastPrunedAt = Date.now();
+    }
+
+    // Drop expired counters now and then so the map does not grow forever
+    pruneExpired(now) {
+        if (now - this.lastPrunedAt < this.pruneIntervalMs) return;
+        this.lastPrunedAt = now;
+
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt <= now) this.counters.delete(key);
+        }
+    }
+
+    /**
+     * Count a hit. Starts a new window when the key has none or it has ended.
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Window length for a new counter
+     * @returns {Promise<Object>} { hits, resetAt }
+     */
+    async increment(key, windowMs) {
+        const now = Date.now();
+        this.pruneExpired(now);
+
+        let counter = this.counters.get(key);
+        if (!counter || counter.resetAt <= now) {
+            counter = { hits: 0, resetAt: now + windowMs };
+            this.counters.set(key, counter);
+        }
+        counter.hits += 1;
+
+        return { hits: counter.hits, resetAt: new Date(counter.resetAt) };
+    }
+
+    /**
+     * @param {string} key - Counter key
+     * @returns {Promise<Object|null>} { hits, resetAt }, or null if there is no live counter
+     */
+    async get(key) {
+        const counter = this.counters.get(key);
+        if (!counter || counter.resetAt <= Date.now()) return null;
+
+        return { hits: counter.hits, resetAt: new Date(counter.resetAt) };
+    }
+
+    async set(key, hits, resetAt) {
+        this.counters.set(key, { hits, resetAt: resetAt.getTime() });
+    }
+
+    async delete(key) {
+        this.counters.delete(key);
+    }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,181 @@
+const { getRateLimitStore } = require('./rateLimit');
+
+// Request limits: at most `max` requests per window, counted per client IP or per account.
+// Override one with RATE_LIMIT_<NAME>=<max>/<minutes>, e.g. RATE_LIMIT_LOGIN_IP=30/15
+const RATE_LIMITS = {
+    LOGIN_IP: { max: 30, windowMinutes: 15 },
+    SIGNUP_IP: { max: 5, windowMinutes: 60 },
+    OTP_IP: { max: 10, windowMinutes: 60 },              // codes sent by SMS
+    OTP_ACCOUNT: { max: 5, windowMinutes: 60 },
+    CODE_VERIFY_IP: { max: 30, windowMinutes: 15 },      // phone verification, password reset, two-factor login
+    ISSUE_CREATE_USER: { max: 10, windowMinutes: 60 },
+    ISSUE_CREATE_IP: { max: 30, windowMinutes: 60 },
+};
+
+// Failed logins are counted per phone number and per client IP
+const LOGIN_SCOPES = {
+    ACCOUNT: 'account',
+    IP: 'ip',
+};
+
+const parseLimit = (value, fallback) => {
+    const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+    if (!match || parseInt(match[1]) <= 0 || parseInt(match[2]) <= 0) return fallback;
+    return { max: parseInt(match[1]), windowMinutes: parseInt(match[2]) };
+};
+
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
+
+/**
+ * Service Layer - Rate Limiting
+ * Request limits for auth and reporting endpoints, and a progressive lockout after
+ * repeated failed logins. Counters live in the configured store (RATE_LIMIT_STORE).
+ * If the store fails, requests are let through rather than locking everyone out.
+ */
+class RateLimitService {
+    getSettings() {
+        return {
+            loginFailureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+            accountFailureThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+            ipFailureThreshold: parseInt(process.env.LOGIN_LOCKOUT_IP_THRESHOLD) || 20,
+            lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 5,
+            maxLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60,
+        };
+    }
+
+    /**
+     * Get a request limit, with its RATE_LIMIT_<NAME> override applied
+     * @param {string} name - Key of RATE_LIMITS
+     * @returns {Object} { max, windowMs }
+     */
+    getLimit(name) {
+        const defaults = RATE_LIMITS[name];
+        if (!defaults) throw new Error(`Unknown rate limit: ${name}`);
+
+        const { max, windowMinutes } = parseLimit(process.env[`RATE_LIMIT_${name}`], defaults);
+        return { max, windowMs: windowMinutes * 60 * 1000 };
+    }
+
+    /**
+     * Count a request against a limit
+     * @param {string} name - Key of RATE_LIMITS
+     * @param {string|number} identifier - IP address, user ID or phone number
+     * @returns {Promise<Object>} { allowed, limit, remaining, retryAfterSeconds }
+     */
+    async consume(name, identifier) {
+        const { max, windowMs } = this.getLimit(name);
+
+        try {
+            const { hits, resetAt } = await getRateLimitStore().increment(`${name}:${identifier}`, windowMs);
+            return {
+                allowed: hits <= max,
+                limit: max,
+                remaining: Math.max(max - hits, 0),
+                retryAfterSeconds: hits > max ? secondsUntil(resetAt) : 0,
+            };
+        } catch (error) {
+            console.error(`[RateLimit] ${name} check failed, allowing request:`, error.message);
+            return { allowed: true, limit: max, remaining: max, retryAfterSeconds: 0 };
+        }
+    }
+
+    // --- Login lockout ---
+
+    getLoginKeys(scope, identifier) {
+        return {
+            failures: `login-failures:${scope}:${identifier}`,
+            lock: `login-lock:${scope}:${identifier}`,
+            lockouts: `login-lockouts:${scope}:${identifier}`,
+        };
+    }
+
+    getLoginIdentifiers(phoneNumber, ipAddress) {
+        return [
+            phoneNumber ? [LOGIN_SCOPES.ACCOUNT, String(phoneNumber).trim()] : null,
+            ipAddress ? [LOGIN_SCOPES.IP, ipAddress] : null,
+        ].filter(Boolean);
+    }
+
+    /**
+     * Refuse a login while the account or the client IP is locked out
+     * @param {string} phoneNumber - Phone number being signed in to
+     * @param {string} [ipAddress] - Client IP
+     * @returns {Promise<void>}
+     * @throws {Error} 'Too many failed login attempts...' with retryAfterSeconds
+     */
+    async assertLoginAllowed(phoneNumber, ipAddress) {
+        let retryAfterSeconds = 0;
+
+        try {
+            const store = getRateLimitStore();
+            for (const [scope, identifier] of this.getLoginIdentifiers(phoneNumber, ipAddress)) {
+                const lock = await store.get(this.getLoginKeys(scope, identifier).lock);
+                if (lock) retryAfterSeconds = Math.max(retryAfterSeconds, secondsUntil(lock.resetAt));
+            }
+        } catch (error) {
+            console.error('[RateLimit] Login lockout check failed, allowing login:', error.message);
+            return;
+        }
+
+        if (retryAfterSeconds > 0) {
+            throw Object.assign(
+                new Error(`Too many failed login attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s)`),
+                { retryAfterSeconds }
+            );
+        }
+    }
+
+    /**
+     * Count a failed login. Reaching the threshold locks the account or IP; each lockout
+     * within a day lasts twice as long as the one before, up to LOGIN_LOCKOUT_MAX_MINUTES.
+     * @param {string} phoneNumber - Phone number that was tried
+     * @param {string} [ipAddress] - Client IP
+     * @returns {Promise<void>}
+     */
+    async recordLoginFailure(phoneNumber, ipAddress) {
+        const settings = this.getSettings();
+        const thresholds = {
+            [LOGIN_SCOPES.ACCOUNT]: settings.accountFailureThreshold,
+            [LOGIN_SCOPES.IP]: settings.ipFailureThreshold,
+        };
+
+        try {
+            const store = getRateLimitStore();
+            for (const [scope, identifier] of this.getLoginIdentifiers(phoneNumber, ipAddress)) {
+                const keys = this.getLoginKeys(scope, identifier);
+
+                const { hits } = await store.increment(keys.failures, settings.loginFailureWindowMinutes * 60 * 1000);
+                if (hits < thresholds[scope]) continue;
+
+                const { hits: lockouts } = await store.increment(keys.lockouts, 24 * 60 * 60 * 1000);
+                const minutes = Math.min(settings.lockoutMinutes * 2 ** (lockouts - 1), settings.maxLockoutMinutes);
+
+                await store.set(keys.lock, lockouts, new Date(Date.now() + minutes * 60 * 1000));
+                await store.delete(keys.failures);
+                console.warn(`[RateLimit] Login locked for ${scope} ${identifier} for ${minutes} min after ${hits} failures`);
+            }
+        } catch (error) {
+            console.error('[RateLimit] Failed to record login failure:', error.message);
+        }
+    }
+
+    /**
+     * Forget an account's failed logins after a successful one.
+     * The IP counters stay, so one valid account cannot reset them.
+     * @param {string} phoneNumber - Phone number signed in to
+     * @returns {Promise<void>}
+     */
+    async clearLoginFailures(phoneNumber) {
+        try {
+            const store = getRateLimitStore();
+            const keys = this.getLoginKeys(LOGIN_SCOPES.ACCOUNT, String(phoneNumber).trim());
+            await store.delete(keys.failures);
+            await store.delete(keys.lockouts);
+        } catch (error) {
+            console.error('[RateLimit] Failed to clear login failures:', error.message);
+        }
+    }
+}
+
+module.exports = new RateLimitService();
+module.exports.RATE_LIMITS = RATE_LIMITS;
@@ -0,0 +1,158 @@
+const slaRepository = require('../repositories/slaRepository');
+const notificationService = require('./notificationService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Priorities from lowest to highest; each escalation moves one step up
+const PRIORITY_LEVELS = ['NORMAL', 'HIGH', 'CRITICAL'];
+
+// Escalation levels recorded on Issues.EscalationLevel
+const ESCALATION_ACKNOWLEDGE = 1;
+const ESCALATION_RESOLVE = 2;
+
+/**
+ * Service Layer - SLA Business Logic
+ * Computes issue deadlines and escalates overdue issues
+ */
+class SlaService {
+    /**
+     * SLA hours used when no policy matches an issue
+     * @returns {Object} { acknowledgeHours, resolveHours }
+     */
+    getDefaultTargets() {
+        return {
+            acknowledgeHours: parseInt(process.env.SLA_DEFAULT_ACKNOWLEDGE_HOURS) || 24,
+            resolveHours: parseInt(process.env.SLA_DEFAULT_RESOLVE_HOURS) || 72,
+        };
+    }
+
+    /**
+     * Compute SLA deadlines for an issue row.
+     * While REPORTED the issue is due for acknowledgement, afterwards for resolution.
+     * @param {Object} row - Issue row with CreatedAt, Status, SlaAcknowledgeHours, SlaResolveHours
+     * @param {Date} now - Reference time (defaults to now)
+     * @returns {Object} { dueAt, isOverdue }
+     */
+    getDeadlines(row, now = new Date()) {
+        if (!row.CreatedAt || row.Status === 'RESOLVED') {
+            return { dueAt: null, isOverdue: false };
+        }
+
+        const defaults = this.getDefaultTargets();
+        const hours = row.Status === 'REPORTED'
+            ? (row.SlaAcknowledgeHours ?? defaults.acknowledgeHours)
+            : (row.SlaResolveHours ?? defaults.resolveHours);
+
+        const dueAt = new Date(new Date(row.CreatedAt).getTime() + hours * HOUR_MS);
+        return { dueAt, isOverdue: dueAt < now };
+    }
+
+    validatePolicy({ acknowledgeHours, resolveHours }) {
+        if (!Number.isInteger(acknowledgeHours) || acknowledgeHours <= 0) {
+            throw new Error('Invalid acknowledgeHours: must be a positive whole number');
+        }
+        if (!Number.isInteger(resolveHours) || resolveHours < acknowledgeHours) {
+            throw new Error('Invalid resolveHours: must be a whole number not less than acknowledgeHours');
+        }
+    }
+
+    async listPolicies() {
+        const rows = await slaRepository.getPolicies();
+        return rows.map((row) => ({
+            slaPolicyId: row.SlaPolicyId,
+            departmentId: row.DepartmentId,
+            departmentName: row.DepartmentName,
+            issueType: row.IssueType,
+            acknowledgeHours: row.AcknowledgeHours,
+            resolveHours: row.ResolveHours,
+            updatedAt: row.UpdatedAt,
+        }));
+    }
+
+    /**
+     * Create or update the SLA target for a department (optionally one issue type)
+     * @param {number} departmentId - Department ID
+     * @param {Object} policy - { issueType?, acknowledgeHours, resolveHours }
+     * @returns {Promise<Object>} Saved policy
+     */
+    async setPolicy(departmentId, policy) {
+        this.validatePolicy(policy);
+
+        const row = await slaRepository.upsertPolicy({
+            departmentId,
+            issueType: policy.issueType?.trim() || null,
+            acknowledgeHours: policy.acknowledgeHours,
+            resolveHours: policy.resolveHours,
+        });
+
+        return {
+            slaPolicyId: row.SlaPolicyId,
+            departmentId: row.DepartmentId,
+            issueType: row.IssueType,
+            acknowledgeHours: row.AcknowledgeHours,
+            resolveHours: row.ResolveHours,
+            updatedAt: row.UpdatedAt,
+        };
+    }
+
+    /**
+     * Notify department admins that an issue was escalated
+     * @param {Object} issue - Overdue issue row
+     * @param {Array} admins - Admin users to notify
+     * @param {Object} escalation - { level, reason, newPriority }
+     */
+    async notifyEscalation(issue, admins, escalation) {
+        const overdue = escalation.reason === 'RESOLVE_OVERDUE' ? 'resolution' : 'acknowledgement';
+        try {
+            await notificationService.notifyUsers(admins.map((admin) => admin.UserId), {
+                type: notificationService.NOTIFICATION_TYPES.SLA_ESCALATION,
+                title: `Issue overdue for ${overdue}, priority raised to ${escalation.newPriority}`,
+                body: issue.IssueType || null,
+                issueId: issue.IssueId,
+            });
+        } catch (error) {
+            console.error(`[SLA] Failed to notify admins for issue ${issue.IssueId}:`, error.message);
+        }
+    }
+
+    /**
+     * Find issues past their SLA deadlines and escalate them one level:
+     * raise priority, record the escalation and notify the department admins.
+     * @param {Date} now - Reference time (defaults to now)
+     * @returns {Promise<Object>} { checked, escalated }
+     */
+    async escalateOverdueIssues(now = new Date()) {
+        const defaults = this.getDefaultTargets();
+        const rows = await slaRepository.getOverdueIssues(defaults);
+        let escalated = 0;
+
+        for (const row of rows) {
+            const created = new Date(row.CreatedAt).getTime();
+            const resolveOverdue = created + row.ResolveHours * HOUR_MS < now.getTime();
+
+            const level = resolveOverdue ? ESCALATION_RESOLVE : ESCALATION_ACKNOWLEDGE;
+            const reason = resolveOverdue ? 'RESOLVE_OVERDUE' : 'ACKNOWLEDGE_OVERDUE';
+
+            const current = Math.max(PRIORITY_LEVELS.indexOf(row.Priority), 0);
+            const newPriority = PRIORITY_LEVELS[Math.min(current + 1, PRIORITY_LEVELS.length - 1)];
+
+            const admins = await slaRepository.getDepartmentAdmins(row.DepartmentId);
+            const record = await slaRepository.recordEscalation({
+                issueId: row.IssueId,
+                level,
+                reason,
+                previousPriority: row.Priority,
+                newPriority,
+                notifiedCount: admins.length,
+            });
+            if (!record) continue; // escalated meanwhile by another run
+
+            await this.notifyEscalation(row, admins, { level, reason, newPriority });
+            escalated++;
+        }
+
+        return { checked: rows.length, escalated };
+    }
+}
+
+module.exports = new SlaService();
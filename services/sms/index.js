@@ -0,0 +1,38 @@
+const LocalSmsProvider = require('./localSmsProvider');
+
+/**
+ * SMS provider registry
+ * Every provider implements:
+ *   send(phoneNumber: string, text: string) => Promise<{ success }>
+ * and throws if the message could not be handed to the gateway.
+ * The provider is chosen with SMS_PROVIDER, default local.
+ * To add a gateway, implement send() in a new module and register it below.
+ */
+const providers = {
+    local: LocalSmsProvider,
+};
+
+let instance = null;
+
+const getSmsProvider = () => {
+    if (!instance) {
+        const name = (process.env.SMS_PROVIDER || 'local').toLowerCase();
+        const Provider = providers[name];
+        if (!Provider) throw new Error(`Unknown SMS provider: ${name}`);
+        instance = new Provider();
+    }
+    return instance;
+};
+
+/**
+ * Replace the active provider (e.g. a stub in tests)
+ * @param {Object} provider - Object implementing send()
+ */
+const setSmsProvider = (provider) => {
+    instance = provider;
+};
+
+module.exports = {
+    getSmsProvider,
+    setSmsProvider
+};
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SMS Provider - Local
+ * Development stub: writes each message (including OTP codes) to the console
+ * and appends it as a JSON line to a log file instead of sending an SMS.
+ */
+class LocalSmsProvider {
+    constructor(logFile = process.env.SMS_LOG_FILE || path.join(__dirname, '../../logs/sms.log')) {
+        this.name = 'local';
+        this.logFile = logFile;
+    }
+
+    /**
+     * @param {string} phoneNumber - Recipient
+     * @param {string} text - Message text
+     * @returns {Promise<Object>} { success }
+     */
+    async send(phoneNumber, text) {
+        await fs.promises.mkdir(path.dirname(this.logFile), { recursive: true });
+        await fs.promises.appendFile(
+            this.logFile,
+            JSON.stringify({ sentAt: new Date().toISOString(), phoneNumber, text }) + '\n'
+        );
+
+        console.log(`[SMS:local] → ${phoneNumber}: ${text}`);
+        return { success: true };
+    }
+}
+
+module.exports = LocalSmsProvider;
@@ -0,0 +1,117 @@
+const { transliterate } = require('./language/transliterate');
+const { getDictionaries } = require('./language');
+
+// Compiled dictionary phrases, rebuilt when KEYWORD_LANGUAGES changes
+let compiled = null;
+
+/**
+ * Service Layer - Text Normalisation
+ * One normalisation for all free-text matching (allocation rules, duplicate detection).
+ * Reports arrive in English, Hindi and other Indian languages, in their own script or
+ * romanised, so matching works on a "match key": the text romanised and spelled loosely.
+ */
+class TextService {
+    /**
+     * Unicode-aware normalisation: NFKC, lower-case, punctuation to spaces, whitespace collapsed.
+     * Letters, combining marks (vowel signs of Indic scripts) and digits of any script are kept.
+     * @param {string} text - Any text
+     * @returns {string} Normalised text ('' for empty input)
+     */
+    normalize(text) {
+        return (text || '')
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/\p{Cf}/gu, '')
+            .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Fold spelling variants of romanised text together
+     * ("paani"/"pani", "gaddha"/"gadda", "khambha"/"khamba", "veej"/"vij", "wire"/"vire").
+     * Distinct words can fold to the same key; both sides of a comparison must be folded.
+     * @param {string} text - Romanised text
+     * @returns {string}
+     */
+    foldSpelling(text) {
+        return text
+            .replace(/ee/g, 'i')
+            .replace(/oo/g, 'u')
+            .replace(/w/g, 'v')
+            .replace(/z/g, 'j')
+            .replace(/q/g, 'k')
+            .replace(/f/g, 'p')
+            .replace(/([kgcjtdpbs])h/g, '$1')
+            .replace(/(\p{L})\1+/gu, '$1');
+    }
+
+    /**
+     * Match key of a text: normalised, Indic scripts romanised, spelling folded.
+     * "सड़क में गड्ढा" and "sadak mein gaddha" get the same key.
+     * @param {string} text - Any text
+     * @returns {string}
+     */
+    toMatchKey(text) {
+        return this.foldSpelling(this.normalize(transliterate(this.normalize(text))));
+    }
+
+    /**
+     * Get the dictionary phrases in use, keyed for matching
+     * @returns {Array} [{ language, phrase, key, term, termKey }], longest phrases first
+     */
+    getDictionaryPhrases() {
+        const languages = process.env.KEYWORD_LANGUAGES || '';
+        if (compiled && compiled.languages === languages) return compiled.phrases;
+
+        const phrases = [];
+        for (const dictionary of getDictionaries()) {
+            for (const [phrase, term] of Object.entries(dictionary.terms)) {
+                const key = this.toMatchKey(phrase);
+                if (key) phrases.push({ language: dictionary.code, phrase, key, term, termKey: this.toMatchKey(term) });
+            }
+        }
+        phrases.sort((a, b) => b.key.length - a.key.length);
+
+        compiled = { languages, phrases };
+        return phrases;
+    }
+
+    /**
+     * Match key of a text with the English terms for any dictionary words it contains
+     * appended, so "bijli nahi hai" also matches rules written in English ("electric", "outage")
+     * @param {string} text - Any text
+     * @returns {Object} { key, translations: [{ language, phrase, term }] }
+     */
+    toExpandedMatchKey(text) {
+        const key = this.toMatchKey(text);
+        if (!key) return { key, translations: [] };
+
+        const translations = [];
+        const terms = new Set();
+        for (const entry of this.getDictionaryPhrases()) {
+            if (terms.has(entry.termKey) || !this.containsPhrase(key, entry.key)) continue;
+            // Already in English (e.g. "light" in both languages)
+            if (entry.key === entry.termKey) continue;
+
+            terms.add(entry.termKey);
+            translations.push({ language: entry.language, phrase: entry.phrase, term: entry.term });
+        }
+
+        const expanded = [key, ...terms].join(' ');
+        return { key: expanded, translations };
+    }
+
+    /**
+     * Whether a normalised text contains a normalised phrase as whole words
+     * @param {string} text - Normalised text
+     * @param {string} phrase - Normalised word or phrase
+     * @returns {boolean}
+     */
+    containsPhrase(text, phrase) {
+        if (!phrase) return false;
+        return ` ${text} `.includes(` ${phrase} `);
+    }
+}
+
+module.exports = new TextService();
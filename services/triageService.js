@@ -0,0 +1,150 @@
+const triageRepository = require('../repositories/triageRepository');
+const departmentRepository = require('../repositories/departmentRepository');
+const { ISSUE_ID_PATTERN } = require('./issueAccessService');
+
+// Why an issue needs manual routing
+const TRIAGE_REASONS = {
+    NO_MATCH: 'NO_MATCH',                  // neither a rule nor the classifier picked a department
+    TIE: 'TIE',                            // two rules matched equally well
+    LOW_CONFIDENCE: 'LOW_CONFIDENCE',      // a weak match, or a close runner-up
+};
+
+const TRIAGE_STATUSES = ['PENDING', 'ROUTED'];
+
+const MAX_PAGE_SIZE = 100;
+
+const department = (departmentId, departmentName) => (departmentId
+    ? { departmentId, departmentName }
+    : null);
+
+// Map triage row to API shape
+const toTriageEntry = (row) => ({
+    issueId: row.IssueId,
+    issueType: row.IssueType,
+    description: row.Description,
+    latitude: row.Latitude,
+    longitude: row.Longitude,
+    address: row.Address,
+    status: row.Status,
+    createdAt: row.CreatedAt,
+    department: department(row.DepartmentId, row.DepartmentName),
+    triage: {
+        status: row.TriageStatus,
+        reason: row.Reason,
+        confidence: Number(row.Confidence),
+        queuedAt: row.QueuedAt,
+        suggestedDepartment: department(row.SuggestedDepartmentId, row.SuggestedDepartmentName),
+        suggestedRule: row.SuggestedRuleId ? { ruleId: row.SuggestedRuleId, name: row.SuggestedRuleName || null } : null,
+        routedDepartment: department(row.RoutedDepartmentId, row.RoutedDepartmentName),
+        routedBy: row.RoutedBy ? { userId: row.RoutedBy, fullName: row.RoutedByName } : null,
+        routedAt: row.RoutedAt || null,
+    },
+});
+
+// Map labelled example row to API shape
+const toExample = (row) => ({
+    exampleId: row.ExampleId,
+    issueId: row.IssueId,
+    issueType: row.IssueType,
+    description: row.Description,
+    department: department(row.DepartmentId, row.DepartmentName),
+    suggestedDepartment: department(row.SuggestedDepartmentId, row.SuggestedDepartmentName),
+    suggestedRuleId: row.SuggestedRuleId,
+    confidence: row.Confidence === null ? null : Number(row.Confidence),
+    labelledBy: { userId: row.LabelledBy, fullName: row.LabelledByName },
+    createdAt: row.CreatedAt,
+});
+
+const parsePage = ({ limit, offset }) => ({
+    limit: Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE),
+    offset: Math.max(parseInt(offset) || 0, 0),
+});
+
+/**
+ * Service Layer - Issue Triage
+ * New issues whose automatic allocation is below the confidence threshold keep the
+ * office they were allocated to, but wait in a queue until an admin routes them.
+ * Every manual decision is stored as a labelled example for improving the rules.
+ */
+class TriageService {
+    getSettings() {
+        const threshold = parseFloat(process.env.ALLOCATION_CONFIDENCE_THRESHOLD);
+        return {
+            // 0 turns triage off
+            threshold: Number.isFinite(threshold) && threshold >= 0 && threshold <= 1 ? threshold : 0.6,
+        };
+    }
+
+    /**
+     * Decide whether an automatic allocation needs an admin
+     * @param {Object} allocationStrategy - From issueService.allocateDepartment
+     * @returns {Object|null} { reason, confidence, suggestedRuleId } or null when confident enough
+     */
+    assess({ rule, classifier, confidence }) {
+        if (confidence >= this.getSettings().threshold) return null;
+
+        const reason = !rule && !classifier?.used ? TRIAGE_REASONS.NO_MATCH
+            : confidence === 0 ? TRIAGE_REASONS.TIE
+            : TRIAGE_REASONS.LOW_CONFIDENCE;
+        return { reason, confidence, suggestedRuleId: rule ? rule.ruleId : null };
+    }
+
+    /**
+     * Get the triage queue
+     * @param {Object} query - { status: 'PENDING' (default) | 'ROUTED', limit, offset }
+     * @returns {Promise<Object>} { pendingCount, issues }
+     */
+    async getQueue({ status, limit, offset } = {}) {
+        status = (status || 'PENDING').toUpperCase();
+        if (!TRIAGE_STATUSES.includes(status)) throw new Error('Invalid status: must be PENDING or ROUTED');
+
+        const [rows, pendingCount] = await Promise.all([
+            triageRepository.getQueue({ status, ...parsePage({ limit, offset }) }),
+            triageRepository.countPending(),
+        ]);
+        return { pendingCount, issues: rows.map(toTriageEntry) };
+    }
+
+    /**
+     * Route an issue from the queue to an office and record the decision
+     * @param {number} actorId - Admin routing it
+     * @param {string} issueId - Issue ID (GUID)
+     * @param {number} departmentId - Office the issue belongs to (may be the suggested one)
+     * @returns {Promise<Object>} { issueId, department, previousDepartmentId, exampleId }
+     */
+    async routeIssue(actorId, issueId, departmentId) {
+        const entry = ISSUE_ID_PATTERN.test(issueId || '') ? await triageRepository.getByIssueId(issueId) : null;
+        if (!entry) throw new Error('Triage entry not found');
+        if (entry.Status !== 'PENDING') throw new Error('Issue has already been routed');
+
+        const id = parseInt(departmentId);
+        const target = Number.isInteger(id) && id > 0 ? await departmentRepository.getById(id) : null;
+        if (!target) throw new Error('Invalid departmentId: department not found');
+
+        const result = await triageRepository.routeIssue({ issueId, departmentId: id, routedBy: actorId });
+        if (!result) throw new Error('Issue has already been routed');
+
+        return {
+            issueId,
+            department: department(target.DepartmentId, target.DepartmentName),
+            previousDepartmentId: result.PreviousDepartmentId,
+            exampleId: result.ExampleId,
+        };
+    }
+
+    /**
+     * Get labelled examples from manual routing
+     * @param {Object} query - { departmentId?, limit, offset }
+     * @returns {Promise<Array>}
+     */
+    async getExamples({ departmentId, limit, offset } = {}) {
+        const id = departmentId === undefined ? null : parseInt(departmentId);
+        if (id !== null && !(Number.isInteger(id) && id > 0)) throw new Error('Invalid departmentId');
+
+        const rows = await triageRepository.getExamples({ departmentId: id, ...parsePage({ limit, offset }) });
+        return rows.map(toExample);
+    }
+}
+
+module.exports = new TriageService();
+module.exports.TRIAGE_REASONS = TRIAGE_REASONS;
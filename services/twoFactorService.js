@@ -0,0 +1,409 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const twoFactorRepository = require('../repositories/twoFactorRepository');
+const authRepository = require('../repositories/authRepository');
+const rateLimitService = require('./rateLimitService');
+
+// RFC 6238 settings understood by every authenticator app
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_WINDOW = 1;                 // also accept the previous and next code, for clock drift
+const SECRET_BYTES = 20;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 secret');
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+};
+
+// Recovery codes are compared without case, spaces or dashes
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+const hashChallengeToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Service Layer - Two-Factor Authentication
+ * TOTP enrolment, recovery codes, and the login challenge that stands between
+ * the password check and the session
+ */
+class TwoFactorService {
+    getSettings() {
+        return {
+            issuer: process.env.TWO_FACTOR_ISSUER || 'NigraniX',
+            requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+                .split(',')
+                .map((role) => role.trim().toUpperCase())
+                .filter(Boolean),
+            challengeTtlMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES) || 5,
+            maxAttempts: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5,
+        };
+    }
+
+    /**
+     * Whether the organisation requires two-factor for a role (TWO_FACTOR_REQUIRED_ROLES)
+     * @param {string} role - Role name
+     * @returns {boolean}
+     */
+    isRequiredForRole(role) {
+        return this.getSettings().requiredRoles.includes(role);
+    }
+
+    /**
+     * Whether signing in needs a second step: two-factor is on, or the role requires it
+     * @param {Object} user - User row (Role, TwoFactorEnabledAt)
+     * @returns {boolean}
+     */
+    isChallengeRequired(user) {
+        return !!user.TwoFactorEnabledAt || this.isRequiredForRole(user.Role);
+    }
+
+    // --- TOTP ---
+
+    generateSecret() {
+        return base32Encode(crypto.randomBytes(SECRET_BYTES));
+    }
+
+    /**
+     * Compute the code for a time step
+     * @param {string} secret - Base32 secret
+     * @param {number} step - Time step (Unix time / period)
+     * @returns {string} Zero-padded code
+     */
+    generateCode(secret, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+        return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+    }
+
+    /**
+     * Find the time step a code belongs to, allowing for clock drift
+     * @param {string} secret - Base32 secret
+     * @param {string} code - Code entered by the user
+     * @param {number} now - Current time in ms
+     * @returns {number|null} Matching step, or null if the code is wrong
+     */
+    findStep(secret, code, now = Date.now()) {
+        const normalized = String(code || '').replace(/\s/g, '');
+        if (!new RegExp(`^[0-9]{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+        const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+        for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+            const expected = this.generateCode(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+        }
+        return null;
+    }
+
+    /**
+     * Build the otpauth:// URI that authenticator apps read from a QR code
+     * @param {string} secret - Base32 secret
+     * @param {string} accountName - Shown in the app, e.g. the phone number
+     * @returns {string} Provisioning URI
+     */
+    getProvisioningUri(secret, accountName) {
+        const { issuer } = this.getSettings();
+        const label = encodeURIComponent(`${issuer}:${accountName}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer,
+            algorithm: 'SHA1',
+            digits: String(TOTP_DIGITS),
+            period: String(TOTP_PERIOD_SECONDS),
+        });
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    // --- Secret storage (AES-256-GCM, key from TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET) ---
+
+    getEncryptionKey() {
+        const keyMaterial = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+        if (!keyMaterial) throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set');
+        return crypto.createHash('sha256').update(keyMaterial).digest();
+    }
+
+    encryptSecret(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+    }
+
+    decryptSecret(stored) {
+        const [iv, tag, encrypted] = stored.split(':').map((part) => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * Generate a fresh set of recovery codes
+     * @returns {Object} { codes (shown once), codeHashes (stored) }
+     */
+    generateRecoveryCodes() {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const raw = base32Encode(crypto.randomBytes(5)).toLowerCase();
+            return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+        });
+        return { codes, codeHashes: codes.map(hashRecoveryCode) };
+    }
+
+    // --- Enrolment and management ---
+
+    async getExistingState(userId) {
+        const state = await twoFactorRepository.getState(userId);
+        if (!state) throw new Error('User not found');
+        return state;
+    }
+
+    /**
+     * Get a user's two-factor status
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} { enabled, enabledAt, required, recoveryCodesLeft }
+     */
+    async getStatus(userId) {
+        const state = await this.getExistingState(userId);
+        return {
+            enabled: !!state.TwoFactorEnabledAt,
+            enabledAt: state.TwoFactorEnabledAt || null,
+            required: this.isRequiredForRole(state.Role),
+            recoveryCodesLeft: state.TwoFactorEnabledAt ? state.RecoveryCodesLeft : 0,
+        };
+    }
+
+    /**
+     * Start enrolment: generate a secret to scan into an authenticator app.
+     * Two-factor is only turned on once a code from the app is confirmed.
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} { secret, otpauthUri }
+     */
+    async startEnrollment(userId) {
+        const state = await this.getExistingState(userId);
+        if (state.TwoFactorEnabledAt) throw new Error('Two-factor authentication is already enabled');
+
+        const secret = this.generateSecret();
+        await twoFactorRepository.setPendingSecret(userId, this.encryptSecret(secret));
+
+        return { secret, otpauthUri: this.getProvisioningUri(secret, state.phone_number) };
+    }
+
+    /**
+     * Finish enrolment with a code from the authenticator app
+     * @param {number} userId - User ID
+     * @param {string} code - Current TOTP code
+     * @param {number} [challengeId] - Login challenge to close together with turning two-factor on
+     * @returns {Promise<Object>} { recoveryCodes } - shown once
+     * @throws {Error} If there is no enrolment in progress, the code is wrong or the challenge is used up
+     */
+    async confirmEnrollment(userId, code, challengeId = null) {
+        if (!code) throw new Error('Two-factor code is required');
+
+        const state = await this.getExistingState(userId);
+        if (state.TwoFactorEnabledAt) throw new Error('Two-factor authentication is already enabled');
+        if (!state.TwoFactorPendingSecret) throw new Error('Invalid request: start two-factor setup first');
+
+        const step = this.findStep(this.decryptSecret(state.TwoFactorPendingSecret), code);
+        if (step === null) throw new Error('Invalid two-factor code');
+
+        const { codes, codeHashes } = this.generateRecoveryCodes();
+        const enabled = await twoFactorRepository.enable(userId, step, codeHashes, challengeId);
+        if (!enabled) {
+            throw new Error(challengeId === null ? 'Invalid request: start two-factor setup first' : 'Invalid or expired login challenge');
+        }
+
+        return { recoveryCodes: codes };
+    }
+
+    /**
+     * Check a second factor: a TOTP code, or else a recovery code (which is used up)
+     * @param {Object} state - Two-factor state of an enrolled user
+     * @param {Object} factor - { code?, recoveryCode? }
+     * @returns {Promise<boolean>} True if accepted
+     */
+    async verifySecondFactor(state, { code, recoveryCode }) {
+        if (code) {
+            const step = this.findStep(this.decryptSecret(state.TwoFactorSecret), code);
+            return step !== null && twoFactorRepository.acceptStep(state.UserId, step);
+        }
+
+        if (recoveryCode) {
+            return twoFactorRepository.useRecoveryCode(state.UserId, hashRecoveryCode(recoveryCode));
+        }
+
+        return false;
+    }
+
+    /**
+     * Turn two-factor off. Needs the password and a second factor.
+     * @param {number} userId - User ID
+     * @param {Object} data - { password, code?, recoveryCode? }
+     * @returns {Promise<void>}
+     */
+    async disable(userId, { password, code, recoveryCode }) {
+        if (!password || (!code && !recoveryCode)) {
+            throw new Error('Password and a two-factor or recovery code are required');
+        }
+
+        const state = await this.getExistingState(userId);
+        if (!state.TwoFactorEnabledAt) throw new Error('Invalid request: two-factor authentication is not enabled');
+        if (this.isRequiredForRole(state.Role)) {
+            throw new Error(`Two-factor authentication is required for ${state.Role} accounts and cannot be turned off`);
+        }
+
+        const passwordHash = await authRepository.getPasswordHash(userId);
+        if (!passwordHash || !(await bcrypt.compare(password, passwordHash))) {
+            throw new Error('Invalid password');
+        }
+
+        if (!(await this.verifySecondFactor(state, { code, recoveryCode }))) {
+            throw new Error('Invalid two-factor code');
+        }
+
+        await twoFactorRepository.disable(userId);
+    }
+
+    /**
+     * Replace the recovery codes. Needs a current TOTP code.
+     * @param {number} userId - User ID
+     * @param {string} code - Current TOTP code
+     * @returns {Promise<Object>} { recoveryCodes } - shown once
+     */
+    async regenerateRecoveryCodes(userId, code) {
+        if (!code) throw new Error('Two-factor code is required');
+
+        const state = await this.getExistingState(userId);
+        if (!state.TwoFactorEnabledAt) throw new Error('Invalid request: two-factor authentication is not enabled');
+
+        if (!(await this.verifySecondFactor(state, { code }))) {
+            throw new Error('Invalid two-factor code');
+        }
+
+        const { codes, codeHashes } = this.generateRecoveryCodes();
+        await twoFactorRepository.replaceRecoveryCodes(userId, codeHashes);
+
+        return { recoveryCodes: codes };
+    }
+
+    /**
+     * Remove two-factor from an account that lost its device (admin action)
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} False if two-factor was not enabled
+     */
+    async reset(userId) {
+        const state = await this.getExistingState(userId);
+        if (!state.TwoFactorEnabledAt && !state.TwoFactorPendingSecret) return false;
+
+        await twoFactorRepository.disable(userId);
+        return true;
+    }
+
+    // --- Login challenge ---
+
+    /**
+     * Issue a login challenge after a correct password
+     * @param {Object} user - User row (UserId, Role, TwoFactorEnabledAt)
+     * @returns {Promise<Object>} { challengeToken, expiresAt, enrollmentRequired }
+     */
+    async createChallenge(user) {
+        const challengeToken = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + this.getSettings().challengeTtlMinutes * 60 * 1000);
+
+        await twoFactorRepository.createChallenge({
+            userId: user.UserId,
+            tokenHash: hashChallengeToken(challengeToken),
+            expiresAt,
+        });
+
+        return { challengeToken, expiresAt, enrollmentRequired: !user.TwoFactorEnabledAt };
+    }
+
+    async getActiveChallenge(challengeToken) {
+        if (!challengeToken) throw new Error('Challenge token is required');
+
+        const challenge = await twoFactorRepository.findActiveChallenge(hashChallengeToken(challengeToken));
+        if (!challenge) throw new Error('Invalid or expired login challenge');
+        if (challenge.Attempts >= this.getSettings().maxAttempts) {
+            throw new Error('Too many attempts. Sign in again');
+        }
+        return challenge;
+    }
+
+    /**
+     * Start the enrolment a role requires, from inside a login challenge
+     * @param {string} challengeToken - Token from the login response
+     * @returns {Promise<Object>} { secret, otpauthUri }
+     */
+    async startChallengeEnrollment(challengeToken) {
+        const challenge = await this.getActiveChallenge(challengeToken);
+        return this.startEnrollment(challenge.UserId);
+    }
+
+    /**
+     * Answer a login challenge. Users who had to enrol confirm their first code here.
+     * @param {string} challengeToken - Token from the login response
+     * @param {Object} factor - { code?, recoveryCode? }
+     * @returns {Promise<Object>} { userId, recoveryCodes? }
+     * @throws {Error} If the challenge is unknown, used up, or the code is wrong
+     */
+    async completeChallenge(challengeToken, { code, recoveryCode }) {
+        if (!code && !recoveryCode) throw new Error('Two-factor code or recovery code is required');
+
+        const challenge = await this.getActiveChallenge(challengeToken);
+        const state = await this.getExistingState(challenge.UserId);
+
+        try {
+            if (!state.TwoFactorEnabledAt) {
+                // Turns two-factor on and closes the challenge in one transaction
+                const { recoveryCodes } = await this.confirmEnrollment(challenge.UserId, code, challenge.ChallengeId);
+                return { userId: challenge.UserId, recoveryCodes };
+            }
+
+            if (!(await this.verifySecondFactor(state, { code, recoveryCode }))) {
+                throw new Error('Invalid two-factor code');
+            }
+        } catch (error) {
+            if (error.message === 'Invalid two-factor code') {
+                // Also counts towards the account's login lockout, so new challenges do not reset the limit
+                await twoFactorRepository.incrementChallengeAttempts(challenge.ChallengeId);
+                await rateLimitService.recordLoginFailure(state.phone_number);
+            }
+            throw error;
+        }
+
+        if (!(await twoFactorRepository.consumeChallenge(challenge.ChallengeId))) {
+            throw new Error('Invalid or expired login challenge');
+        }
+
+        return { userId: challenge.UserId };
+    }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,290 @@
+const userRepository = require('../repositories/userRepository');
+const auditRepository = require('../repositories/auditRepository');
+const departmentRepository = require('../repositories/departmentRepository');
+const authService = require('./authService');
+const otpService = require('./otpService');
+const permissionService = require('./permissionService');
+const twoFactorService = require('./twoFactorService');
+const { REVOKE_REASONS } = authService;
+const { OTP_PURPOSES } = otpService;
+
+const ROLES = permissionService.roles;
+
+// Admin actions recorded in the audit log
+const AUDIT_ACTIONS = {
+    ROLE_CHANGED: 'ROLE_CHANGED',
+    DEPARTMENT_CHANGED: 'DEPARTMENT_CHANGED',
+    USER_DEACTIVATED: 'USER_DEACTIVATED',
+    USER_REACTIVATED: 'USER_REACTIVATED',
+    PASSWORD_RESET_FORCED: 'PASSWORD_RESET_FORCED',
+    SESSIONS_REVOKED: 'SESSIONS_REVOKED',
+    SESSION_REVOKED: 'SESSION_REVOKED',
+    TWO_FACTOR_RESET: 'TWO_FACTOR_RESET',
+    INVITATION_CREATED: 'INVITATION_CREATED',
+    INVITATION_REVOKED: 'INVITATION_REVOKED',
+};
+
+// Map DB row to API shape
+const toAdminUser = (row) => ({
+    userId: row.UserId,
+    fullName: row.FullName,
+    phoneNumber: row.phone_number,
+    email: row.Email,
+    role: row.Role,
+    departmentId: row.DepartmentId,
+    departmentName: row.DepartmentName || null,
+    phoneVerified: !!row.PhoneVerifiedAt,
+    isActive: !row.DeactivatedAt,
+    deactivatedAt: row.DeactivatedAt || null,
+    passwordResetRequired: !!row.PasswordResetRequired,
+    createdAt: row.CreatedAt,
+});
+
+const toAuditEntry = (row) => ({
+    auditId: row.AuditId,
+    action: row.Action,
+    actorId: row.ActorId,
+    actorName: row.ActorName || null,
+    targetUserId: row.TargetUserId,
+    targetName: row.TargetName || null,
+    details: row.Details ? JSON.parse(row.Details) : null,
+    createdAt: row.CreatedAt,
+});
+
+/**
+ * Service Layer - User Administration
+ * Admin management of accounts: roles, departments, deactivation and forced
+ * password resets. Every change is written to the admin audit log.
+ */
+class UserService {
+    parseId(value, label = 'user id') {
+        const id = parseInt(value);
+        if (!Number.isInteger(id)) throw new Error(`Invalid ${label}`);
+        return id;
+    }
+
+    async getExistingUser(userId) {
+        const user = await userRepository.getUserById(userId);
+        if (!user) throw new Error('User not found');
+        return user;
+    }
+
+    async validateDepartment(departmentId) {
+        const department = await departmentRepository.getById(departmentId);
+        if (!department) throw new Error('Invalid department');
+    }
+
+    async listUsers({ search, role, departmentId, status, limit = 50, offset = 0 } = {}) {
+        if (role && !ROLES.includes(role.toUpperCase())) {
+            throw new Error(`Invalid role. Must be one of ${ROLES.join(', ')}`);
+        }
+        if (status && !['active', 'deactivated'].includes(status)) {
+            throw new Error('Invalid status. Must be active or deactivated');
+        }
+
+        const result = await userRepository.searchUsers({
+            search: search ? search.trim() : null,
+            role: role ? role.toUpperCase() : null,
+            departmentId: departmentId ? this.parseId(departmentId, 'department id') : null,
+            status: status || null,
+            limit,
+            offset
+        });
+
+        return { users: result.users.map(toAdminUser), total: result.total };
+    }
+
+    async getUser(userId) {
+        return toAdminUser(await this.getExistingUser(this.parseId(userId)));
+    }
+
+    /**
+     * Change a user's role. Department roles (STAFF, DEPT_HEAD) need a department, CITIZEN have none.
+     * The role is part of the access token, so the user's sessions are revoked.
+     * @param {number} actorId - Admin user ID
+     * @param {number} userId - Target user ID
+     * @param {Object} data - { role, departmentId? }
+     * @returns {Promise<Object>} Updated user
+     */
+    async changeRole(actorId, userId, { role, departmentId }) {
+        userId = this.parseId(userId);
+        if (!role || !ROLES.includes(String(role).toUpperCase())) {
+            throw new Error(`Invalid role. Must be one of ${ROLES.join(', ')}`);
+        }
+        if (userId === actorId) throw new Error('You cannot change your own role');
+
+        const newRole = String(role).toUpperCase();
+        const user = await this.getExistingUser(userId);
+        if (user.Role === newRole) throw new Error(`User is already ${newRole}`);
+
+        let newDepartmentId = departmentId !== undefined && departmentId !== null
+            ? this.parseId(departmentId, 'department id')
+            : user.DepartmentId;
+        if (newRole === 'CITIZEN') newDepartmentId = null;
+        if (permissionService.isDepartmentRole(newRole) && !newDepartmentId) throw new Error(`Department is required for ${newRole} users`);
+        if (newDepartmentId && newDepartmentId !== user.DepartmentId) await this.validateDepartment(newDepartmentId);
+
+        await userRepository.updateAccount(userId, { role: newRole, departmentId: newDepartmentId }, {
+            actorId,
+            action: AUDIT_ACTIONS.ROLE_CHANGED,
+            details: {
+                fromRole: user.Role,
+                toRole: newRole,
+                fromDepartmentId: user.DepartmentId,
+                toDepartmentId: newDepartmentId
+            }
+        });
+        await authService.revokeAllSessions(userId, REVOKE_REASONS.ROLE_CHANGED);
+
+        return this.getUser(userId);
+    }
+
+    /**
+     * Assign, move or remove a user's department
+     * @param {number} actorId - Admin user ID
+     * @param {number} userId - Target user ID
+     * @param {number|null} departmentId - New department, null to remove
+     * @returns {Promise<Object>} Updated user
+     */
+    async changeDepartment(actorId, userId, departmentId) {
+        userId = this.parseId(userId);
+        if (departmentId === undefined) throw new Error('Department id is required (null to remove)');
+
+        const newDepartmentId = departmentId === null ? null : this.parseId(departmentId, 'department id');
+        const user = await this.getExistingUser(userId);
+
+        if (user.Role === 'CITIZEN' && newDepartmentId) throw new Error('Invalid department: citizens do not belong to a department');
+        if (permissionService.isDepartmentRole(user.Role) && !newDepartmentId) throw new Error(`Department is required for ${user.Role} users`);
+        if (user.DepartmentId === newDepartmentId) throw new Error('User is already in this department');
+        if (newDepartmentId) await this.validateDepartment(newDepartmentId);
+
+        await userRepository.updateAccount(userId, { departmentId: newDepartmentId }, {
+            actorId,
+            action: AUDIT_ACTIONS.DEPARTMENT_CHANGED,
+            details: { fromDepartmentId: user.DepartmentId, toDepartmentId: newDepartmentId }
+        });
+
+        return this.getUser(userId);
+    }
+
+    /**
+     * Deactivate an account: login is refused and every session is revoked
+     */
+    async deactivateUser(actorId, userId, reason = null) {
+        userId = this.parseId(userId);
+        if (userId === actorId) throw new Error('You cannot deactivate your own account');
+
+        const user = await this.getExistingUser(userId);
+        if (user.DeactivatedAt) throw new Error('User is already deactivated');
+
+        await userRepository.updateAccount(userId, { deactivated: true }, {
+            actorId,
+            action: AUDIT_ACTIONS.USER_DEACTIVATED,
+            details: { reason: reason || null }
+        });
+        await authService.revokeAllSessions(userId, REVOKE_REASONS.DEACTIVATED);
+
+        return this.getUser(userId);
+    }
+
+    async reactivateUser(actorId, userId) {
+        userId = this.parseId(userId);
+
+        const user = await this.getExistingUser(userId);
+        if (!user.DeactivatedAt) throw new Error('User is already active');
+
+        await userRepository.updateAccount(userId, { deactivated: false }, {
+            actorId,
+            action: AUDIT_ACTIONS.USER_REACTIVATED
+        });
+
+        return this.getUser(userId);
+    }
+
+    /**
+     * Force a password reset: sessions are revoked, login is refused until the
+     * user sets a new password through the forgot-password flow, and a reset
+     * code is sent to their phone.
+     * @returns {Promise<Object>} { user, codeSent }
+     */
+    async forcePasswordReset(actorId, userId) {
+        userId = this.parseId(userId);
+
+        const user = await this.getExistingUser(userId);
+        if (user.DeactivatedAt) throw new Error('Invalid request: user is deactivated');
+
+        await userRepository.updateAccount(userId, { passwordResetRequired: true }, {
+            actorId,
+            action: AUDIT_ACTIONS.PASSWORD_RESET_FORCED
+        });
+        await authService.revokeAllSessions(userId, REVOKE_REASONS.PASSWORD_RESET);
+
+        let codeSent = true;
+        try {
+            await otpService.issueOtp(user.phone_number, OTP_PURPOSES.PASSWORD_RESET);
+        } catch (error) {
+            codeSent = false;
+            console.error('Forced reset OTP error:', error.message);
+        }
+
+        return { user: await this.getUser(userId), codeSent };
+    }
+
+    /**
+     * Remove two-factor from an account that lost its authenticator. Sessions are
+     * revoked; roles that require two-factor set it up again at the next login.
+     * @returns {Promise<Object>} { user, wasEnabled }
+     */
+    async resetTwoFactor(actorId, userId) {
+        userId = this.parseId(userId);
+
+        await this.getExistingUser(userId);
+        const wasEnabled = await twoFactorService.reset(userId);
+
+        await this.recordAction(actorId, AUDIT_ACTIONS.TWO_FACTOR_RESET, userId, { wasEnabled });
+        await authService.revokeAllSessions(userId, REVOKE_REASONS.TWO_FACTOR_RESET);
+
+        return { user: await this.getUser(userId), wasEnabled };
+    }
+
+    async revokeSessions(actorId, userId) {
+        userId = this.parseId(userId);
+
+        const result = await authService.revokeAllSessions(userId, REVOKE_REASONS.ADMIN_REVOKED);
+        await this.recordAction(actorId, AUDIT_ACTIONS.SESSIONS_REVOKED, userId, result);
+
+        return result;
+    }
+
+    async revokeSession(actorId, userId, sessionId) {
+        userId = this.parseId(userId);
+
+        await authService.revokeSession(userId, sessionId, REVOKE_REASONS.ADMIN_REVOKED);
+        await this.recordAction(actorId, AUDIT_ACTIONS.SESSION_REVOKED, userId, { sessionId });
+    }
+
+    /**
+     * Record an admin action that is not an account change (sessions, invitations)
+     * @param {number} actorId - Admin user ID
+     * @param {string} action - One of AUDIT_ACTIONS
+     * @param {number|null} targetUserId - Affected user, if any
+     * @param {Object} [details] - Extra context
+     */
+    async recordAction(actorId, action, targetUserId = null, details = null) {
+        await auditRepository.record({ actorId, action, targetUserId, details });
+    }
+
+    async getAuditLog({ actorId, targetUserId, action, limit = 50, offset = 0 } = {}) {
+        const rows = await auditRepository.getEntries({
+            actorId: actorId ? this.parseId(actorId, 'actor id') : null,
+            targetUserId: targetUserId ? this.parseId(targetUserId) : null,
+            action: action ? action.toUpperCase() : null,
+            limit,
+            offset
+        });
+        return rows.map(toAuditEntry);
+    }
+}
+
+module.exports = new UserService();
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;